@@ -0,0 +1,207 @@
+// All API traffic from the renderer goes through this client in the main process.
+// warframe.market allows roughly 3 requests per second, so each request first takes a
+// token from its host's bucket. 429/5xx responses and network errors are retried with
+// exponential backoff, identical requests already in flight share one response, and a
+// request is only aborted once every caller waiting on it has cancelled.
+class HttpClient {
+    // fetch is Electron's net.fetch in the app, so requests use the system proxy settings
+    constructor(fetch) {
+        this.fetch = fetch;
+        this.allowedHosts = ['api.warframe.market', 'api.warframestat.us'];
+        this.hostLimits = {
+            'api.warframe.market': { rate: 3, burst: 3 }
+        };
+        this.defaultLimit = { rate: 10, burst: 10 };
+        this.maxRetries = 4;
+        this.baseDelay = 500;
+        this.maxDelay = 15000;
+        this.buckets = new Map(); // host -> { tokens, updated, waiting, timer }
+        this.inFlight = new Map(); // url + headers -> { promise, controller, callers }
+        this.callers = new Map(); // caller id -> { entry, resolve }
+    }
+
+    getLimit(host) {
+        return this.hostLimits[host] || this.defaultLimit;
+    }
+
+    getBucket(host) {
+        if (!this.buckets.has(host)) {
+            this.buckets.set(host, { tokens: this.getLimit(host).burst, updated: Date.now(), waiting: [], timer: null });
+        }
+        return this.buckets.get(host);
+    }
+
+    // Resolves once a token is available; waiters are served in the order they arrived.
+    // onCancel receives the function that gives up the place in the queue.
+    takeToken(host, onCancel) {
+        const bucket = this.getBucket(host);
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve };
+            bucket.waiting.push(waiter);
+            onCancel(() => {
+                const index = bucket.waiting.indexOf(waiter);
+                if (index !== -1) {
+                    bucket.waiting.splice(index, 1);
+                    reject(new Error('Request cancelled'));
+                }
+            });
+            this.drainBucket(host);
+        });
+    }
+
+    drainBucket(host) {
+        const bucket = this.getBucket(host);
+        const limit = this.getLimit(host);
+        const now = Date.now();
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + ((now - bucket.updated) / 1000) * limit.rate);
+        bucket.updated = now;
+
+        while (bucket.waiting.length > 0 && bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            bucket.waiting.shift().resolve();
+        }
+
+        if (bucket.waiting.length > 0 && !bucket.timer) {
+            const wait = Math.ceil(((1 - bucket.tokens) / limit.rate) * 1000);
+            bucket.timer = setTimeout(() => {
+                bucket.timer = null;
+                this.drainBucket(host);
+            }, wait);
+        }
+    }
+
+    isRetryable(status) {
+        return status === 429 || status >= 500;
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date
+    parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+        return Number.isFinite(delay) ? Math.min(this.maxDelay, Math.max(0, delay)) : null;
+    }
+
+    sleep(ms, onCancel) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            onCancel(() => {
+                clearTimeout(timer);
+                reject(new Error('Request cancelled'));
+            });
+        });
+    }
+
+    // Never rejects: resolves { ok, status, statusText, data } or { ok: false, error, aborted }
+    async fetchWithRetry(url, headers, signal) {
+        const host = new URL(url).host;
+
+        // A single abort listener per request cancels whichever wait is pending
+        let cancelWait = null;
+        const onCancel = cancel => {
+            if (signal.aborted) cancel();
+            else cancelWait = cancel;
+        };
+        const onAbort = () => {
+            if (cancelWait) cancelWait();
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            return await this.attemptWithRetry(url, headers, signal, host, onCancel);
+        } finally {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    async attemptWithRetry(url, headers, signal, host, onCancel) {
+        for (let attempt = 0; ; attempt++) {
+            let failure;
+            let retryAfter = null;
+
+            try {
+                await this.takeToken(host, onCancel);
+                const response = await this.fetch(url, { headers, signal });
+
+                if (response.ok) {
+                    return { ok: true, status: response.status, data: await response.json() };
+                }
+
+                failure = {
+                    ok: false,
+                    status: response.status,
+                    statusText: response.statusText,
+                    error: `HTTP ${response.status}: ${response.statusText}`
+                };
+                if (!this.isRetryable(response.status)) return failure;
+                retryAfter = this.parseRetryAfter(response.headers.get('retry-after'));
+            } catch (error) {
+                if (signal.aborted) return { ok: false, aborted: true, error: 'Request cancelled' };
+                failure = { ok: false, status: 0, error: error.message };
+            }
+
+            if (attempt >= this.maxRetries) return failure;
+
+            // 0.5s, 1s, 2s ... capped, with jitter so queued requests do not retry in lockstep,
+            // unless the server told us how long to wait
+            const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+            const wait = retryAfter !== null ? retryAfter : delay + Math.random() * delay * 0.3;
+
+            try {
+                await this.sleep(wait, onCancel);
+            } catch (error) {
+                return { ok: false, aborted: true, error: 'Request cancelled' };
+            }
+        }
+    }
+
+    request(callerId, url, headers = {}) {
+        let host;
+        try {
+            host = new URL(url).host;
+        } catch (error) {
+            return Promise.resolve({ ok: false, status: 0, error: `Invalid URL: ${url}` });
+        }
+        if (!this.allowedHosts.includes(host)) {
+            return Promise.resolve({ ok: false, status: 0, error: `Requests to ${host} are not allowed` });
+        }
+
+        const key = `${url}\n${JSON.stringify(headers)}`;
+        let entry = this.inFlight.get(key);
+        if (!entry) {
+            entry = { key, controller: new AbortController(), callers: new Set() };
+            entry.promise = this.fetchWithRetry(url, headers, entry.controller.signal).finally(() => {
+                if (this.inFlight.get(key) === entry) this.inFlight.delete(key);
+            });
+            this.inFlight.set(key, entry);
+        }
+
+        entry.callers.add(callerId);
+        return new Promise(resolve => {
+            this.callers.set(callerId, { entry, resolve });
+            entry.promise.then(resolve);
+        }).finally(() => {
+            this.callers.delete(callerId);
+            entry.callers.delete(callerId);
+        });
+    }
+
+    cancel(callerId) {
+        const caller = this.callers.get(callerId);
+        if (!caller) return false;
+
+        const { entry } = caller;
+        this.callers.delete(callerId);
+        entry.callers.delete(callerId);
+        caller.resolve({ ok: false, aborted: true, error: 'Request cancelled' });
+
+        // Nobody is waiting for the response any more, so stop the request itself
+        if (entry.callers.size === 0) {
+            entry.controller.abort();
+            if (this.inFlight.get(entry.key) === entry) this.inFlight.delete(entry.key);
+        }
+        return true;
+    }
+}
+
+module.exports = { HttpClient };
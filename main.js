@@ -1,6 +1,9 @@
-const { app, BrowserWindow, Menu, shell, dialog, ipcMain } = require('electron');
+const { app, BrowserWindow, Menu, shell, dialog, ipcMain, Notification, net } = require('electron');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const { autoUpdater } = require('electron-updater');
+const { HttpClient } = require('./http-client');
 
 // Keep a global reference of the window object
 let mainWindow;
@@ -247,6 +250,7 @@ app.commandLine.appendSwitch('--no-sandbox');
 // This method will be called when Electron has finished initialization
 app.whenReady().then(() => {
     createWindow();
+    schedulePruneCache();
 
     // On macOS, re-create window when dock icon is clicked
     app.on('activate', () => {
@@ -298,6 +302,195 @@ ipcMain.handle('show-message-box', async (event, options) => {
     return result;
 });
 
+// Persistent JSON data stored as one file per name under the userData directory
+function getUserDataFile(name) {
+    const safeName = String(name).replace(/[^a-z0-9_-]/gi, '_');
+    return path.join(app.getPath('userData'), `${safeName}.json`);
+}
+
+// Offline copies of API responses, kept apart from user data so they can be deleted freely
+function getCacheDir() {
+    return path.join(app.getPath('userData'), 'offline-cache');
+}
+
+// Keys are full URLs, and auction searches can be longer than a file name may be, so the
+// file is named after a hash of the key instead
+function getCacheFile(key) {
+    const hash = crypto.createHash('sha1').update(String(key)).digest('hex');
+    return path.join(getCacheDir(), `${hash}.json`);
+}
+
+// Every fetched URL gets its own cache file, so scans over hundreds of items would grow the
+// directory forever. Files unused for a month are deleted, then the least recently used ones
+// until the cache fits its size limit. Reads refresh a file's time so entries in use are kept.
+const cacheMaxAge = 30 * 24 * 3600000;
+const cacheMaxBytes = 50 * 1024 * 1024;
+const cachePruneInterval = 100; // Writes between clean-ups
+let cacheWrites = 0;
+let cachePruning = null;
+
+async function pruneCache() {
+    let names;
+    try {
+        names = await fs.promises.readdir(getCacheDir());
+    } catch (error) {
+        return; // Nothing cached yet
+    }
+
+    const files = [];
+    for (const name of names) {
+        const filePath = path.join(getCacheDir(), name);
+        try {
+            const stats = await fs.promises.stat(filePath);
+            files.push({ filePath, size: stats.size, used: stats.mtimeMs });
+        } catch (error) {
+            // Removed while we were looking
+        }
+    }
+
+    // Most recently used first, so whatever no longer fits is the oldest
+    files.sort((a, b) => b.used - a.used);
+    const now = Date.now();
+    let total = 0;
+    for (const file of files) {
+        if (now - file.used <= cacheMaxAge) {
+            total += file.size;
+            if (total <= cacheMaxBytes) continue;
+        }
+        await fs.promises.unlink(file.filePath).catch(() => {});
+    }
+}
+
+function schedulePruneCache() {
+    if (cachePruning) return;
+    cacheWrites = 0;
+    cachePruning = pruneCache()
+        .catch(error => console.error('Failed to prune offline cache:', error))
+        .finally(() => {
+            cachePruning = null;
+        });
+}
+
+async function readJsonFile(filePath) {
+    try {
+        const contents = await fs.promises.readFile(filePath, 'utf8');
+        return JSON.parse(contents);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Failed to read ${filePath}:`, error);
+        }
+        return null;
+    }
+}
+
+async function writeJsonFile(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+
+    // Write to a temp file first so a crash mid-write never corrupts existing data
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(data), 'utf8');
+    await fs.promises.rename(tempPath, filePath);
+    return true;
+}
+
+ipcMain.handle('read-user-data', (event, name) => readJsonFile(getUserDataFile(name)));
+
+ipcMain.handle('write-user-data', (event, name, data) => writeJsonFile(getUserDataFile(name), data));
+
+// UI translation catalogues shipped with the app under locales/
+ipcMain.handle('read-locale', (event, language) => {
+    if (!/^[a-z]{2}$/.test(String(language))) return null;
+    return readJsonFile(path.join(__dirname, 'locales', `${language}.json`));
+});
+
+ipcMain.handle('read-cache', async (event, key) => {
+    const filePath = getCacheFile(key);
+    const entry = await readJsonFile(filePath);
+    if (entry) {
+        const now = new Date();
+        fs.promises.utimes(filePath, now, now).catch(() => {});
+    }
+    return entry;
+});
+
+ipcMain.handle('write-cache', async (event, key, entry) => {
+    const written = await writeJsonFile(getCacheFile(key), entry);
+    if (++cacheWrites >= cachePruneInterval) schedulePruneCache();
+    return written;
+});
+
+// Links from the renderer (wiki, warframe.market) open in the default browser. Only web
+// URLs are allowed so a crafted link cannot launch local files or other protocols.
+ipcMain.handle('open-external', async (event, url) => {
+    let parsed;
+    try {
+        parsed = new URL(String(url));
+    } catch (error) {
+        return false;
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        return false;
+    }
+
+    await shell.openExternal(parsed.toString());
+    return true;
+});
+
+// Exports: ask where to save, then write the text the renderer prepared. Resolves to the
+// chosen path, or null when the dialog was cancelled.
+ipcMain.handle('save-file', async (event, { defaultPath, content, filters }) => {
+    const result = await dialog.showSaveDialog(mainWindow, {
+        defaultPath: path.join(app.getPath('documents'), path.basename(String(defaultPath))),
+        filters: filters || []
+    });
+    if (result.canceled || !result.filePath) {
+        return null;
+    }
+
+    await fs.promises.writeFile(result.filePath, String(content), 'utf8');
+    return result.filePath;
+});
+
+// Native desktop notifications (used by watchlist price alerts)
+ipcMain.handle('show-notification', (event, options) => {
+    if (!Notification.isSupported()) {
+        return false;
+    }
+
+    // Only assets/icon.svg ships with the source tree and Notification can't load SVG,
+    // so use the packaged PNG when it exists and fall back to the app icon otherwise
+    const iconPath = path.join(__dirname, 'assets', 'icon.png');
+    const notification = new Notification({
+        title: options.title,
+        body: options.body,
+        ...(fs.existsSync(iconPath) ? { icon: iconPath } : {})
+    });
+
+    // Bring the window forward and tell the renderer which notification was clicked
+    notification.on('click', () => {
+        if (!mainWindow) return;
+        if (mainWindow.isMinimized()) {
+            mainWindow.restore();
+        }
+        mainWindow.focus();
+        mainWindow.webContents.send('notification-clicked', options.tag || null);
+    });
+
+    notification.show();
+    return true;
+});
+
+const httpClient = new HttpClient((url, options) => net.fetch(url, options));
+
+// Request ids are only unique per renderer, so they are scoped to the sender
+ipcMain.handle('http-request', (event, requestId, url, headers) => {
+    return httpClient.request(`${event.sender.id}:${requestId}`, url, headers);
+});
+
+ipcMain.handle('http-cancel', (event, requestId) => {
+    return httpClient.cancel(`${event.sender.id}:${requestId}`);
+});
+
 // Handle protocol for deep linking (optional)
 app.setAsDefaultProtocolClient('warframe-market-tracker');
 
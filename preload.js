@@ -6,6 +6,31 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getAppVersion: () => ipcRenderer.invoke('app-version'),
     showMessageBox: (options) => ipcRenderer.invoke('show-message-box', options),
     
+    // Persistent storage under the userData directory
+    readData: (name) => ipcRenderer.invoke('read-user-data', name),
+    writeData: (name, data) => ipcRenderer.invoke('write-user-data', name, data),
+    
+    // UI translations from the locales directory
+    readLocale: (language) => ipcRenderer.invoke('read-locale', language),
+    
+    // Offline copies of API responses
+    readCache: (key) => ipcRenderer.invoke('read-cache', key),
+    writeCache: (key, entry) => ipcRenderer.invoke('write-cache', key, entry),
+    
+    // Native save dialog for exports
+    saveFile: (options) => ipcRenderer.invoke('save-file', options),
+    
+    // Open a web page in the default browser
+    openExternal: (url) => ipcRenderer.invoke('open-external', url),
+    
+    // Rate-limited HTTP client in the main process
+    httpRequest: (requestId, url, headers) => ipcRenderer.invoke('http-request', requestId, url, headers),
+    cancelHttpRequest: (requestId) => ipcRenderer.invoke('http-cancel', requestId),
+    
+    // Native desktop notifications
+    showNotification: (options) => ipcRenderer.invoke('show-notification', options),
+    onNotificationClick: (callback) => ipcRenderer.on('notification-clicked', (event, tag) => callback(tag)),
+    
     // Platform detection
     platform: process.platform,
     
@@ -0,0 +1,150 @@
+// Minimal CORS relay for the web build of Warframe Market Tracker.
+//
+// Forwards GET requests for warframe.market and warframestat.us only, caches responses
+// in memory and spaces out warframe.market requests to stay under its rate limit.
+//
+//   node relay/server.js            (or: npm run relay)
+//   PORT=8787 ALLOWED_ORIGIN=https://example.com node relay/server.js
+//
+// Then add http://localhost:8787/?url={encodedUrl} to the app's proxy list.
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const ALLOWED_HOSTS = ['api.warframe.market', 'api.warframestat.us'];
+const FORWARDED_HEADERS = ['accept', 'platform', 'crossplay', 'language'];
+const MAX_CACHE_ENTRIES = 1000;
+const MARKET_REQUEST_INTERVAL = 350; // ~3 requests per second
+const UPSTREAM_TIMEOUT = 15000; // A hung request would otherwise hold up every client waiting on it
+
+const cache = new Map(); // cache key -> { status, body, expires }
+const inFlight = new Map(); // cache key -> Promise of the upstream response
+let marketQueue = Promise.resolve();
+
+// Item lists and item details rarely change, orders and world state do
+function getCacheDuration(url) {
+    if (url.hostname === 'api.warframe.market' && /^\/v[12]\/items(\/[^/]+)?$/.test(url.pathname)) {
+        return 3600000;
+    }
+    if (url.pathname.endsWith('/statistics')) {
+        return 600000;
+    }
+    return 60000;
+}
+
+// Queue warframe.market requests so the relay never exceeds its limit, however many clients it serves
+function waitForMarketSlot() {
+    const slot = marketQueue.then(() => new Promise(resolve => setTimeout(resolve, MARKET_REQUEST_INTERVAL)));
+    marketQueue = slot;
+    return marketQueue;
+}
+
+async function fetchUpstream(url, headers) {
+    if (url.hostname === 'api.warframe.market') {
+        await waitForMarketSlot();
+    }
+
+    const response = await fetch(url, {
+        headers: { ...headers, 'User-Agent': 'Warframe Market Tracker relay/1.0.0' },
+        signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+    });
+    return { status: response.status, body: await response.text() };
+}
+
+function storeInCache(key, entry) {
+    // Maps keep insertion order, so the first key is the oldest entry
+    if (cache.size >= MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, entry);
+}
+
+function send(res, status, body, extraHeaders = {}) {
+    res.writeHead(status, {
+        'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': FORWARDED_HEADERS.join(', '),
+        'Access-Control-Max-Age': '86400',
+        'Content-Type': 'application/json; charset=utf-8',
+        ...extraHeaders
+    });
+    res.end(body);
+}
+
+async function handleRequest(req, res) {
+    if (req.method === 'OPTIONS') {
+        send(res, 204, '');
+        return;
+    }
+    if (req.method !== 'GET') {
+        send(res, 405, JSON.stringify({ error: 'Only GET requests are relayed' }));
+        return;
+    }
+
+    const requestUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (requestUrl.pathname === '/health') {
+        send(res, 200, JSON.stringify({ ok: true, cached: cache.size }));
+        return;
+    }
+
+    let target;
+    try {
+        target = new URL(requestUrl.searchParams.get('url'));
+    } catch (error) {
+        send(res, 400, JSON.stringify({ error: 'Pass the API URL as ?url=' }));
+        return;
+    }
+    if (target.protocol !== 'https:' || !ALLOWED_HOSTS.includes(target.hostname)) {
+        send(res, 403, JSON.stringify({ error: `Requests to ${target.hostname} are not relayed` }));
+        return;
+    }
+
+    const headers = {};
+    FORWARDED_HEADERS.forEach(name => {
+        if (req.headers[name]) headers[name] = req.headers[name];
+    });
+    const key = `${target.href}|${JSON.stringify(headers)}`;
+
+    const cached = cache.get(key);
+    if (cached && cached.expires > Date.now()) {
+        send(res, cached.status, cached.body, { 'X-Relay-Cache': 'HIT' });
+        return;
+    }
+
+    try {
+        // Identical requests arriving together share one upstream call
+        if (!inFlight.has(key)) {
+            inFlight.set(key, fetchUpstream(target, headers).finally(() => inFlight.delete(key)));
+        }
+        const response = await inFlight.get(key);
+
+        if (response.status === 200) {
+            storeInCache(key, { ...response, expires: Date.now() + getCacheDuration(target) });
+        }
+        send(res, response.status, response.body, { 'X-Relay-Cache': 'MISS' });
+    } catch (error) {
+        console.error(`Relay request for ${target.href} failed:`, error.message);
+
+        // Better stale data than none when the upstream API is down
+        if (cached) {
+            send(res, cached.status, cached.body, { 'X-Relay-Cache': 'STALE' });
+            return;
+        }
+        send(res, 502, JSON.stringify({ error: `Upstream request failed: ${error.message}` }));
+    }
+}
+
+// Tests load this file for handleRequest without starting a server
+if (require.main === module) {
+    http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            console.error('Unexpected relay error:', error);
+            if (!res.headersSent) send(res, 500, JSON.stringify({ error: 'Internal relay error' }));
+        });
+    }).listen(PORT, () => {
+        console.log(`Warframe Market Tracker relay listening on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { handleRequest, getCacheDuration, cache, MARKET_REQUEST_INTERVAL };
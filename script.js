@@ -1,64 +1,144 @@
 // Warframe Market Tracker - JavaScript Functionality
 
 class WarframeMarketAPI {
-    constructor() {
+    constructor(diskCache = null) {
         // Use CORS proxy for web browsers, direct API for Electron
         this.isElectron = window.electronAPI !== undefined;
-        // Reorder proxies for better mobile compatibility
-        this.corsProxies = [
-            'https://api.allorigins.win/get?url=',
-            'https://corsproxy.io/?',
-            'https://api.codetabs.com/v1/proxy?quest=',
-            // Backup proxy for mobile
-            'https://cors-anywhere.herokuapp.com/'
+        this.http = MainProcessHttp.isAvailable() ? new MainProcessHttp('market') : null;
+        // Proxy URL templates for the web build: {url} is replaced with the API URL and
+        // {encodedUrl} with the URL-encoded API URL (appended encoded when neither is present)
+        this.defaultProxies = [
+            'https://api.allorigins.win/get?url={encodedUrl}',
+            'https://corsproxy.io/?{url}',
+            'https://api.codetabs.com/v1/proxy?quest={encodedUrl}'
         ];
+        this.corsProxies = [...this.defaultProxies];
+        this.proxyHealth = new ProxyHealth();
         this.cache = new Map();
+        this.diskCache = diskCache; // Survives restarts and serves data when offline
+        this.fetchInfo = new Map(); // cache key -> { offline, timestamp } of the last response
         this.cacheTimeout = 300000; // 5 minutes for orders
         this.itemsCacheTimeout = 3600000; // 1 hour for items list (changes infrequently)
+        this.platform = 'pc'; // 'pc', 'ps4', 'xbox', 'switch'
+        this.crossplay = true; // Include orders from crossplay players on other platforms
+        this.language = 'en'; // Item names come back in this language
+        this.mergedItems = null; // Localised items list with English names added, see getItems()
+    }
+
+    setPlatform(platform, crossplay) {
+        this.platform = platform;
+        this.crossplay = crossplay;
+    }
+
+    setLanguage(language) {
+        this.language = language;
+    }
+
+    // Cache entries are kept per platform and language so switching never shows stale names or prices
+    getCacheKey(url, language = this.language) {
+        return `${this.platform}:${this.crossplay ? 'crossplay' : 'native'}:${language}:${url}`;
+    }
+
+    // Memory cache misses fall back to the copy saved on disk by a previous session
+    async loadCached(cacheKey) {
+        const cached = this.cache.get(cacheKey);
+        if (cached || !this.diskCache) return cached || null;
+        
+        const stored = await this.diskCache.get(cacheKey);
+        if (stored) this.cache.set(cacheKey, stored);
+        return stored;
+    }
+
+    storeResponse(cacheKey, data, timestamp) {
+        this.cache.set(cacheKey, { data, timestamp });
+        this.fetchInfo.set(cacheKey, { offline: false, timestamp });
+        if (this.diskCache) this.diskCache.set(cacheKey, data, timestamp);
+    }
+
+    useStaleResponse(cacheKey, cached) {
+        this.fetchInfo.set(cacheKey, { offline: true, timestamp: cached.timestamp });
+        return cached.data;
+    }
+
+    // Whether the last response for a URL came from the network or an offline copy
+    getFetchInfo(url) {
+        return this.fetchInfo.get(this.getCacheKey(url)) || null;
+    }
+
+    getItemOrdersInfo(itemUrlName) {
+        return this.getFetchInfo(`https://api.warframe.market/v1/items/${itemUrlName}/orders`);
+    }
+
+    // An empty list restores the built-in public proxies
+    setProxies(proxies) {
+        this.corsProxies = proxies && proxies.length > 0 ? [...proxies] : [...this.defaultProxies];
+    }
+
+    buildProxyUrl(proxy, apiUrl) {
+        if (proxy.includes('{encodedUrl}')) return proxy.replace('{encodedUrl}', encodeURIComponent(apiUrl));
+        if (proxy.includes('{url}')) return proxy.replace('{url}', apiUrl);
+        return `${proxy}${encodeURIComponent(apiUrl)}`;
+    }
+
+    getRequestHeaders(language = this.language) {
+        return {
+            'Accept': 'application/json',
+            'Platform': this.platform,
+            'Crossplay': this.crossplay ? 'true' : 'false',
+            'Language': language
+        };
     }
 
-    async fetchWithCache(url, originalApiUrl = null, signal = null) {
+    async fetchWithCache(url, originalApiUrl = null, signal = null, maxAge = this.cacheTimeout, language = this.language) {
         const now = Date.now();
-        const cached = this.cache.get(url);
+        const cacheKey = this.getCacheKey(url, language);
+        const cached = await this.loadCached(cacheKey);
         const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
         
-        if (cached && (now - cached.timestamp) < this.cacheTimeout) {
+        if (cached && !cached.expired && (now - cached.timestamp) < maxAge) {
             console.log('Using cached data for:', originalApiUrl || url);
+            if (!this.fetchInfo.has(cacheKey)) {
+                this.fetchInfo.set(cacheKey, { offline: false, timestamp: cached.timestamp });
+            }
             return cached.data;
         }
+        
+        // Skip the network entirely when the OS reports no connection
+        if (cached && navigator.onLine === false) {
+            console.log('Offline, using cached data for:', originalApiUrl || url);
+            return this.useStaleResponse(cacheKey, cached);
+        }
 
         console.log('Fetching from:', url);
         console.log('Mobile device detected:', isMobile);
         console.log('User agent:', navigator.userAgent);
 
         if (this.isElectron) {
-            // Direct fetch for Electron
+            // Electron needs no CORS proxy; the main process client handles rate limiting and retries
             try {
-                const fetchOptions = {
-                    method: 'GET',
-                    headers: {
-                        'Accept': 'application/json',
-                        'User-Agent': 'Warframe Market Tracker/1.0.0'
-                    }
+                const headers = {
+                    ...this.getRequestHeaders(language),
+                    'User-Agent': 'Warframe Market Tracker/1.0.0'
                 };
-                if (signal) {
-                    fetchOptions.signal = signal;
-                }
-                
-                const response = await fetch(url, fetchOptions);
+                let data;
                 
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                if (this.http) {
+                    data = await this.http.getJSON(url, headers, signal);
+                } else {
+                    const response = await fetch(url, { method: 'GET', headers, signal });
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    }
+                    data = await response.json();
                 }
                 
-                const data = await response.json();
-                this.cache.set(url, { data, timestamp: now });
+                this.storeResponse(cacheKey, data, now);
                 return data;
             } catch (error) {
                 console.error('Electron API Error:', error);
                 if (cached) {
                     console.log('Using expired cache due to error');
-                    return cached.data;
+                    return this.useStaleResponse(cacheKey, cached);
                 }
                 throw error;
             }
@@ -68,24 +148,12 @@ class WarframeMarketAPI {
         let lastError;
         const baseApiUrl = originalApiUrl || url;
 
-        // Reorder proxies for mobile - some work better on mobile than others
-        const proxiesToTry = isMobile ? [
-            'https://api.allorigins.win/get?url=',
-            'https://api.codetabs.com/v1/proxy?quest=',
-            'https://corsproxy.io/?'
-        ] : this.corsProxies;
+        // Fastest working proxies first, based on how they performed before
+        const proxiesToTry = this.proxyHealth.order(this.corsProxies);
 
         for (let i = 0; i < proxiesToTry.length; i++) {
             const proxy = proxiesToTry[i];
-            let proxyUrl;
-
-            if (proxy.includes('allorigins')) {
-                proxyUrl = `${proxy}${encodeURIComponent(baseApiUrl)}`;
-            } else if (proxy.includes('cors-anywhere')) {
-                proxyUrl = `${proxy}${baseApiUrl}`;
-            } else {
-                proxyUrl = `${proxy}${baseApiUrl}`;
-            }
+            const proxyUrl = this.buildProxyUrl(proxy, baseApiUrl);
 
             console.log(`[Mobile: ${isMobile}] Trying proxy ${i + 1}/${proxiesToTry.length}:`, proxy);
             console.log('Full proxy URL:', proxyUrl);
@@ -94,7 +162,7 @@ class WarframeMarketAPI {
                 const fetchOptions = {
                     method: 'GET',
                     headers: {
-                        'Accept': 'application/json',
+                        ...this.getRequestHeaders(language),
                         'User-Agent': isMobile ? 'Mozilla/5.0 (Mobile)' : 'Warframe Market Tracker/1.0.0'
                     }
                 };
@@ -111,9 +179,8 @@ class WarframeMarketAPI {
                 console.log('Fetch options:', fetchOptions);
                 const startTime = Date.now();
                 const response = await fetch(proxyUrl, fetchOptions);
-                const duration = Date.now() - startTime;
                 
-                console.log(`Response received in ${duration}ms, status:`, response.status);
+                console.log(`Response received in ${Date.now() - startTime}ms, status:`, response.status);
                 
                 if (!response.ok) {
                     throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -134,10 +201,14 @@ class WarframeMarketAPI {
                     data = await response.json();
                 }
                 
+                this.proxyHealth.record(proxy, true, Date.now() - startTime);
                 console.log('Successfully fetched data using proxy:', proxy, 'Data keys:', Object.keys(data));
-                this.cache.set(url, { data, timestamp: now });
+                this.storeResponse(cacheKey, data, now);
                 return data;
             } catch (error) {
+                // A cancelled search says nothing about the proxy
+                if (error.name === 'AbortError') throw error;
+                this.proxyHealth.record(proxy, false);
                 console.error(`Proxy ${proxy} failed:`, error.message);
                 console.error('Error details:', error);
                 lastError = error;
@@ -153,7 +224,7 @@ class WarframeMarketAPI {
         // All proxies failed, try cached data
         if (cached) {
             console.log('All proxies failed, using expired cache');
-            return cached.data;
+            return this.useStaleResponse(cacheKey, cached);
         }
         
         // Mobile-specific fallback: try direct API call (might work on some mobile networks)
@@ -163,7 +234,7 @@ class WarframeMarketAPI {
                 const response = await fetch(baseApiUrl, {
                     method: 'GET',
                     headers: {
-                        'Accept': 'application/json',
+                        ...this.getRequestHeaders(language),
                         'Origin': window.location.origin
                     },
                     mode: 'cors'
@@ -172,7 +243,7 @@ class WarframeMarketAPI {
                 if (response.ok) {
                     const data = await response.json();
                     console.log('Direct API call succeeded on mobile!');
-                    this.cache.set(url, { data, timestamp: now });
+                    this.storeResponse(cacheKey, data, now);
                     return data;
                 }
             } catch (directError) {
@@ -185,10 +256,39 @@ class WarframeMarketAPI {
         throw lastError || new Error('All proxy attempts failed');
     }
 
+    // Items list in the selected language. Other languages also carry the English name as
+    // en_name, used for matching English queries and for English-only data such as relic tables.
     async getItems(signal = null) {
+        const response = await this.getItemsList(signal, this.language);
+        if (this.language === 'en') return response;
+        
+        let english;
+        try {
+            english = await this.getItemsList(signal, 'en');
+        } catch (error) {
+            console.error('Failed to load English item names:', error);
+            return response;
+        }
+        
+        const merged = this.mergedItems;
+        if (merged && merged.localised === response && merged.english === english) {
+            return merged.result;
+        }
+        
+        const englishNames = new Map(english.payload.items.map(item => [item.url_name, item.item_name]));
+        const result = {
+            payload: {
+                items: response.payload.items.map(item => ({ ...item, en_name: englishNames.get(item.url_name) || item.item_name }))
+            }
+        };
+        this.mergedItems = { localised: response, english, result };
+        return result;
+    }
+
+    async getItemsList(signal = null, language = this.language) {
         const apiURL = 'https://api.warframe.market/v1/items';
         const now = Date.now();
-        const cached = this.cache.get(apiURL);
+        const cached = await this.loadCached(this.getCacheKey(apiURL, language));
         
         // Detect mobile for extended cache usage
         const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
@@ -205,17 +305,95 @@ class WarframeMarketAPI {
             console.log('Using slightly expired items cache for speed, refreshing in background');
             // Refresh in background without waiting
             setTimeout(() => {
-                this.fetchWithCache(apiURL, apiURL, null).catch(console.error);
+                this.fetchWithCache(apiURL, apiURL, null, this.cacheTimeout, language).catch(console.error);
             }, 100);
             return cached.data;
         }
         
         // No cache or very old cache, fetch fresh
-        return await this.fetchWithCache(apiURL, apiURL, signal);
+        return await this.fetchWithCache(apiURL, apiURL, signal, this.cacheTimeout, language);
     }
 
-    async getItemOrders(itemUrlName) {
+    // English name of an item, for looking it up in English-only data
+    async getEnglishName(itemUrlName) {
+        const response = await this.getItemsList(null, 'en');
+        const item = response.payload.items.find(entry => entry.url_name === itemUrlName);
+        return item ? item.item_name : null;
+    }
+
+    // Name of an item in the selected language
+    async getItemName(itemUrlName) {
+        const response = await this.getItemsList(null, this.language);
+        const item = response.payload.items.find(entry => entry.url_name === itemUrlName);
+        return item ? item.item_name : null;
+    }
+
+    // maxAge 0 skips the cache, e.g. for background checks that must see current orders
+    async getItemOrders(itemUrlName, maxAge = this.cacheTimeout) {
         const apiURL = `https://api.warframe.market/v1/items/${itemUrlName}/orders`;
+        return await this.fetchWithCache(apiURL, apiURL, null, maxAge);
+    }
+
+    // Item details including every item in the same set (items_in_set). Details rarely
+    // change so they are cached as long as the items list.
+    async getItemDetails(itemUrlName) {
+        const apiURL = `https://api.warframe.market/v1/items/${itemUrlName}`;
+        return await this.fetchWithCache(apiURL, apiURL, null, this.itemsCacheTimeout);
+    }
+
+    // Tags of every item (mod, arcane_enhancement, prime, set...) keyed by url name. The v1
+    // items list has no tags, the v2 one does; its slug is the v1 url name.
+    async getItemTags() {
+        const apiURL = 'https://api.warframe.market/v2/items';
+        const response = await this.fetchWithCache(apiURL, apiURL, null, this.itemsCacheTimeout, 'en');
+        return new Map((response.data || []).map(item => [item.slug, item.tags || []]));
+    }
+
+    // Item details carry names per language code, with English always present
+    getDetailsName(entry) {
+        const names = entry[this.language] || entry.en;
+        return (names && names.item_name) || entry.item_name || entry.url_name;
+    }
+
+    // Drop cached orders for an item, e.g. after a live update changed them
+    // (kept as a stale entry so the disk copy is not picked up as fresh again)
+    invalidateItemOrders(itemUrlName) {
+        const cached = this.cache.get(this.getCacheKey(`https://api.warframe.market/v1/items/${itemUrlName}/orders`));
+        if (cached) cached.expired = true;
+    }
+
+    // Closed trade and live order statistics, bucketed by hour (48hours) and by day (90days)
+    async getItemStatistics(itemUrlName) {
+        const apiURL = `https://api.warframe.market/v1/items/${itemUrlName}/statistics`;
+        return await this.fetchWithCache(apiURL, apiURL);
+    }
+
+    // Weapons that can have a riven and the stats a riven can roll. Both rarely change so
+    // they are cached as long as the items list.
+    async getRivenItems() {
+        const apiURL = 'https://api.warframe.market/v1/riven/items';
+        return await this.fetchWithCache(apiURL, apiURL, null, this.itemsCacheTimeout);
+    }
+
+    async getRivenAttributes() {
+        const apiURL = 'https://api.warframe.market/v1/riven/attributes';
+        return await this.fetchWithCache(apiURL, apiURL, null, this.itemsCacheTimeout);
+    }
+
+    // Kuva Lich ('lich') or Sister ('sister') weapons
+    async getLichWeapons(kind = 'lich') {
+        const apiURL = `https://api.warframe.market/v1/${kind}/weapons`;
+        return await this.fetchWithCache(apiURL, apiURL, null, this.itemsCacheTimeout);
+    }
+
+    // Auctions of one type ('riven', 'lich' or 'sister'), cheapest first. Filters are auctions/search
+    // query parameters such as weapon_url_name, positive_stats, element, damage_min or ephemera.
+    async searchAuctions(type, filters) {
+        const params = new URLSearchParams({ type, sort_by: 'price_asc' });
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== null && value !== undefined && value !== '') params.set(key, value);
+        });
+        const apiURL = `https://api.warframe.market/v1/auctions/search?${params}`;
         return await this.fetchWithCache(apiURL, apiURL);
     }
 
@@ -224,12 +402,7 @@ class WarframeMarketAPI {
             const response = await this.getItems(signal);
             const items = response.payload.items;
             
-            const filtered = items.filter(item => 
-                item.item_name.toLowerCase().includes(query.toLowerCase()) ||
-                item.url_name.toLowerCase().includes(query.toLowerCase())
-            ).slice(0, 10);
-            
-            return filtered;
+            return ItemMatcher.rank(items, query).slice(0, 10);
         } catch (error) {
             console.error('Search error:', error);
             return [];
@@ -237,746 +410,5399 @@ class WarframeMarketAPI {
     }
 }
 
+// Ranked fuzzy matching for item search. Better kinds of match always win:
+// exact > prefix > word starts > substring > typo-tolerant.
+class ItemMatcher {
+    // Community shorthand, expanded when it makes up a whole word of the query
+    static get abbreviations() {
+        return {
+            p: 'prime',
+            bp: 'blueprint',
+            nc: 'neuroptics',
+            neuro: 'neuroptics',
+            sys: 'systems',
+            chas: 'chassis',
+            rec: 'receiver',
+            brl: 'barrel',
+            stk: 'stock',
+            hndl: 'handle'
+        };
+    }
+
+    static normalize(text) {
+        // Accents are dropped so "lamina" finds "Lâmina"
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[_\-'’.,:()]+/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    static expand(query) {
+        return query.split(' ').map(word => ItemMatcher.abbreviations[word] || word).join(' ');
+    }
+
+    // Edit distance between two short strings, giving up early once it exceeds max
+    static distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Each query word must start a different word of the name
+    static matchWordStarts(queryWords, nameWords) {
+        const used = new Set();
+        return queryWords.every(queryWord => {
+            const index = nameWords.findIndex((word, i) => !used.has(i) && word.startsWith(queryWord));
+            if (index === -1) return false;
+            used.add(index);
+            return true;
+        });
+    }
+
+    // Total typos needed for each query word to match the start of a name word, or null
+    static matchTypos(queryWords, nameWords) {
+        let total = 0;
+        for (const queryWord of queryWords) {
+            const allowed = queryWord.length >= 6 ? 2 : (queryWord.length >= 3 ? 1 : 0);
+            let best = allowed + 1;
+            nameWords.forEach(word => {
+                best = Math.min(
+                    best,
+                    ItemMatcher.distance(queryWord, word, allowed),
+                    ItemMatcher.distance(queryWord, word.slice(0, queryWord.length), allowed)
+                );
+            });
+            if (best > allowed) return null;
+            total += best;
+        }
+        return total;
+    }
+
+    static score(query, name) {
+        if (!query) return 0;
+        if (name === query) return 1000;
+        
+        // Prefer shorter names within the same kind of match
+        const lengthPenalty = Math.min(name.length - query.length, 90);
+        if (name.startsWith(query)) return 900 - lengthPenalty;
+        
+        const queryWords = query.split(' ');
+        const nameWords = name.split(' ');
+        if (ItemMatcher.matchWordStarts(queryWords, nameWords)) {
+            const firstWordBonus = nameWords[0].startsWith(queryWords[0]) ? 50 : 0;
+            return 700 + firstWordBonus - lengthPenalty;
+        }
+        
+        const index = name.indexOf(query);
+        if (index !== -1) return 500 - Math.min(index, 90);
+        
+        if (queryWords.every(word => name.includes(word))) return 400 - lengthPenalty;
+        
+        const typos = ItemMatcher.matchTypos(queryWords, nameWords);
+        if (typos !== null) return 200 - typos * 40 - Math.min(lengthPenalty, 30);
+        
+        return 0;
+    }
+
+    static rank(items, rawQuery) {
+        const query = ItemMatcher.normalize(rawQuery);
+        const expanded = ItemMatcher.expand(query);
+        
+        return items
+            .map(item => {
+                const names = [item.item_name, item.url_name, item.en_name]
+                    .filter(Boolean)
+                    .map(name => ItemMatcher.normalize(name));
+                const score = Math.max(...names.map(name => Math.max(
+                    ItemMatcher.score(query, name),
+                    expanded !== query ? ItemMatcher.score(expanded, name) : 0
+                )));
+                return { item, score };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.item.item_name.localeCompare(b.item.item_name))
+            .map(result => result.item);
+    }
+}
+
 class WarframeAlertsAPI {
-    constructor() {
+    constructor(diskCache = null) {
         this.baseURL = 'https://api.warframestat.us/pc';
         this.cache = new Map();
+        this.diskCache = diskCache;
+        this.http = MainProcessHttp.isAvailable() ? new MainProcessHttp('alerts') : null;
+        this.fetchInfo = new Map(); // url -> { offline, timestamp } of the last response
         this.cacheTimeout = 60000; // 1 minute for alerts data
+        this.itemsCacheTimeout = 3600000; // 1 hour for item database lookups
+        this.language = 'en'; // World state text comes back in this language
+    }
+
+    // warframestat.us uses its own platform identifiers
+    setPlatform(platform) {
+        const platformPaths = { pc: 'pc', ps4: 'ps4', xbox: 'xb1', switch: 'swi' };
+        this.baseURL = `https://api.warframestat.us/${platformPaths[platform] || 'pc'}`;
     }
 
-    async fetchWithCache(url) {
+    setLanguage(language) {
+        this.language = language;
+    }
+
+    getWorldStateUrl() {
+        return `${this.baseURL}?language=${this.language}`;
+    }
+
+    async fetchWithCache(url, maxAge = this.cacheTimeout) {
         const now = Date.now();
-        const cached = this.cache.get(url);
+        let cached = this.cache.get(url);
+        if (!cached && this.diskCache) {
+            cached = await this.diskCache.get(`warframestat:${url}`);
+            if (cached) this.cache.set(url, cached);
+        }
         
-        if (cached && (now - cached.timestamp) < this.cacheTimeout) {
+        if (cached && (now - cached.timestamp) < maxAge) {
             console.log('Using cached data');
+            if (!this.fetchInfo.has(url)) {
+                this.fetchInfo.set(url, { offline: false, timestamp: cached.timestamp });
+            }
+            return cached.data;
+        }
+        
+        if (cached && navigator.onLine === false) {
+            console.log('Offline, using cached data');
+            this.fetchInfo.set(url, { offline: true, timestamp: cached.timestamp });
             return cached.data;
         }
 
         console.log('Fetching fresh data from:', url);
         
         try {
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-            
-            console.log('Response status:', response.status);
+            let data;
             
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            if (this.http) {
+                data = await this.http.getJSON(url, { 'Accept': 'application/json' });
+            } else {
+                const response = await fetch(url, {
+                    method: 'GET',
+                    headers: {
+                        'Accept': 'application/json'
+                    }
+                });
+                
+                console.log('Response status:', response.status);
+                
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+                
+                data = await response.json();
             }
-            
-            const data = await response.json();
             console.log('API response received, caching...');
             this.cache.set(url, { data, timestamp: now });
+            this.fetchInfo.set(url, { offline: false, timestamp: now });
+            if (this.diskCache) this.diskCache.set(`warframestat:${url}`, data, now);
             return data;
         } catch (error) {
             console.error('Alerts API Error details:', error);
+            if (cached) {
+                console.log('Using expired alerts data due to error');
+                this.fetchInfo.set(url, { offline: true, timestamp: cached.timestamp });
+                return cached.data;
+            }
             throw new Error(`Failed to fetch alerts data: ${error.message}`);
         }
     }
 
+    getFetchInfo(url) {
+        return this.fetchInfo.get(url) || null;
+    }
+
     async getWorldState() {
-        return await this.fetchWithCache(this.baseURL);
+        return await this.fetchWithCache(this.getWorldStateUrl());
+    }
+
+    // Relic drop tables come from the warframestat.us item database, which is the
+    // same on every platform. Returns the relic entry or null when it is unknown.
+    async getRelic(relicName) {
+        const url = `https://api.warframestat.us/items/search/${encodeURIComponent(relicName.toLowerCase())}?by=name`;
+        const results = await this.fetchWithCache(url, this.itemsCacheTimeout);
+        const relics = (Array.isArray(results) ? results : [])
+            .filter(entry => Array.isArray(entry.rewards) && entry.rewards.length > 0);
+        
+        const target = relicName.toLowerCase();
+        const baseName = target.replace(/\s+relic$/, '');
+        return relics.find(entry => entry.name.toLowerCase() === target) ||
+            relics.find(entry => entry.name.toLowerCase().startsWith(`${baseName} `)) ||
+            null;
     }
 }
 
-class WarframeMarketApp {
+// Success rate and latency of each CORS proxy, as exponential moving averages so a proxy
+// that recovers (or breaks) moves up or down the list within a few requests.
+class ProxyHealth {
     constructor() {
-        this.api = new WarframeMarketAPI();
-        this.alertsAPI = new WarframeAlertsAPI();
-        this.currentItem = null;
-        this.currentOrders = null;
-        this.orderFilter = 'all'; // 'all', 'buy', 'sell'
-        this.recentSearches = JSON.parse(localStorage.getItem('recentSearches') || '[]');
-        this.alertsRefreshInterval = null;
-        this.timerUpdateInterval = null;
-        this.currentMainTab = 'market';
-        this.cycleTimers = new Map(); // Store timer data for real-time updates
-        this.alertTimers = new Map(); // Store alert timer data for real-time updates
-        this.fissureTimers = new Map(); // Store fissure timer data for real-time updates
-        this.pendingRefresh = false; // Prevent multiple simultaneous refreshes
-        
-        // Common Warframe node mappings for better location display
-        this.nodeMap = new Map([
-            // Earth
-            ['SolNode1', 'Coba (Earth)'],
-            ['SolNode2', 'Mantle (Earth)'],
-            ['SolNode3', 'Mariana (Earth)'],
-            ['SolNode4', 'Pacific (Earth)'],
-            ['SolNode5', 'Cambria (Earth)'],
-            ['SolNode6', 'Lua (Earth)'],
-            // Venus
-            ['SolNode51', 'Venera (Venus)'],
-            ['SolNode52', 'Aphrodite (Venus)'],
-            ['SolNode53', 'Cytherean (Venus)'],
-            ['SolNode54', 'Tessera (Venus)'],
-            ['SolNode55', 'Linea (Venus)'],
-            // Mercury  
-            ['SolNode101', 'Caloris (Mercury)'],
-            ['SolNode102', 'Tolstoj (Mercury)'],
-            ['SolNode103', 'Beethoven (Mercury)'],
-            // Mars
-            ['SolNode201', 'Olympia (Mars)'],
-            ['SolNode202', 'Phobos (Mars)'],
-            ['SolNode203', 'Deimos (Mars)'],
-            ['SolNode204', 'Tharsis (Mars)'],
-            ['SolNode205', 'Hellas (Mars)'],
-            // Common ones that often appear in alerts
-            ['SolNode401', 'Ceres Station'],
-            ['SolNode451', 'Europa Station'],
-            ['SolNode501', 'Jupiter Station'],
-            ['SolNode551', 'Saturn Station'],
-            ['SolNode601', 'Uranus Station'],
-            ['SolNode651', 'Neptune Station'],
-            ['SolNode701', 'Pluto Station'],
-            ['SolNode801', 'Sedna Station'],
-            ['SolNode851', 'Eris Station'],
-            ['SolNode901', 'Void Station']
-        ]);
-        
-        this.initializeElements();
-        this.bindEvents();
-        this.loadRecentSearches();
-        this.hideResults();
-        
-        // Initialize header text for default tab
-        this.updateHeaderText(this.currentMainTab);
+        this.storageKey = 'proxyHealth';
+        this.smoothing = 0.3;
+        this.stats = this.load(); // proxy -> { successRate, latency, attempts, lastUsed }
     }
 
-    initializeElements() {
-        // Main tab elements
-        this.mainTabBtns = document.querySelectorAll('.main-tab-btn');
-        this.mainTabPanels = document.querySelectorAll('.main-tab-panel');
-        
-        // Market tab elements
-        this.searchInput = document.getElementById('itemSearch');
-        this.searchBtn = document.getElementById('searchBtn');
-        this.suggestionsContainer = document.getElementById('suggestions');
-        this.recentList = document.getElementById('recentList');
-        
-        this.loadingContainer = document.getElementById('loadingContainer');
-        this.resultsContainer = document.getElementById('resultsContainer');
-        this.errorContainer = document.getElementById('errorContainer');
-        this.welcomeMessage = document.getElementById('welcomeMessage');
-        
-        this.itemNameEl = document.getElementById('itemName');
-        this.tabBtns = document.querySelectorAll('.tab-btn');
-        this.tabPanels = document.querySelectorAll('.tab-panel');
-        
-        // Pricing elements
-        this.highestBuyEl = document.getElementById('highestBuy');
-        this.lowestSellEl = document.getElementById('lowestSell');
-        this.buyOrdersList = document.getElementById('buyOrdersList');
-        this.sellOrdersList = document.getElementById('sellOrdersList');
-        
-        // Statistics elements
-        this.totalOrdersEl = document.getElementById('totalOrders');
-        this.priceRangeEl = document.getElementById('priceRange');
-        this.averagePriceEl = document.getElementById('averagePrice');
-        this.onlineSellersEl = document.getElementById('onlineSellers');
-        this.onlineBuyersEl = document.getElementById('onlineBuyers');
-        this.lastUpdatedEl = document.getElementById('lastUpdated');
-        
-        this.retryBtn = document.getElementById('retryBtn');
-        this.orderFilterBtn = document.getElementById('orderFilterBtn');
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.stats));
+    }
+
+    get(proxy) {
+        return this.stats[proxy] || null;
+    }
+
+    record(proxy, success, latency = null) {
+        const stat = this.stats[proxy] || { successRate: 1, latency: null, attempts: 0 };
+        stat.successRate = stat.attempts === 0
+            ? (success ? 1 : 0)
+            : stat.successRate + this.smoothing * ((success ? 1 : 0) - stat.successRate);
+        if (success && latency !== null) {
+            stat.latency = stat.latency === null ? latency : stat.latency + this.smoothing * (latency - stat.latency);
+        }
+        stat.attempts++;
+        stat.lastUsed = Date.now();
+        this.stats[proxy] = stat;
+        this.save();
+    }
+
+    // Working proxies first, fastest first; untried proxies go before slow ones so they get
+    // measured, and failing proxies are still tried last rather than dropped
+    order(proxies) {
+        const rank = proxy => {
+            const stat = this.get(proxy);
+            if (!stat) return { working: true, latency: 0 };
+            return { working: stat.successRate >= 0.5, latency: stat.latency === null ? Infinity : stat.latency };
+        };
         
-        // Alerts tab elements
-        this.cyclesContainer = document.getElementById('cyclesContainer');
-        this.alertsContainer = document.getElementById('alertsContainer');
-        this.activitiesContainer = document.getElementById('activitiesContainer');
-        this.alertsLoading = document.getElementById('alertsLoading');
-        this.refreshAlertsBtn = document.getElementById('refreshAlertsBtn');
+        return proxies
+            .map((proxy, index) => ({ proxy, index, ...rank(proxy) }))
+            .sort((a, b) => (b.working - a.working) || (a.latency - b.latency) || (a.index - b.index))
+            .map(entry => entry.proxy);
     }
 
-    bindEvents() {
-        // Main tab events
+    reset() {
+        this.stats = {};
+        this.save();
+    }
+}
+
+// Requests made through the main process HTTP client, which rate limits, retries and
+// de-duplicates them. Aborting the signal only drops this caller; the request itself
+// is stopped once nobody else is waiting for it.
+class MainProcessHttp {
+    constructor(prefix) {
+        this.prefix = prefix;
+        this.nextId = 0;
+    }
+
+    static isAvailable() {
+        return window.electronAPI !== undefined && typeof window.electronAPI.httpRequest === 'function';
+    }
+
+    static abortError() {
+        return new DOMException('The request was cancelled', 'AbortError');
+    }
+
+    async getJSON(url, headers = {}, signal = null) {
+        if (signal && signal.aborted) throw MainProcessHttp.abortError();
+        
+        const requestId = `${this.prefix}-${++this.nextId}`;
+        const onAbort = () => window.electronAPI.cancelHttpRequest(requestId);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        
+        try {
+            const result = await window.electronAPI.httpRequest(requestId, url, headers);
+            if (result.aborted || (signal && signal.aborted)) throw MainProcessHttp.abortError();
+            if (!result.ok) throw new Error(result.error || `HTTP ${result.status}: ${result.statusText}`);
+            return result.data;
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+}
+
+// Offline copies of API responses. Electron keeps them as files under userData via the
+// main process; browsers fall back to localStorage, which may be too small for the items
+// list, so failures there are only logged.
+class DiskCache {
+    constructor() {
+        this.isElectron = window.electronAPI !== undefined && typeof window.electronAPI.readCache === 'function';
+        this.prefix = 'cache:';
+    }
+
+    // Resolves { data, timestamp } or null
+    async get(key) {
+        try {
+            const entry = this.isElectron
+                ? await window.electronAPI.readCache(key)
+                : JSON.parse(localStorage.getItem(this.prefix + key) || 'null');
+            return entry && entry.timestamp ? entry : null;
+        } catch (error) {
+            console.error(`Failed to read offline cache "${key}":`, error);
+            return null;
+        }
+    }
+
+    async set(key, data, timestamp = Date.now()) {
+        const entry = { data, timestamp };
+        try {
+            if (this.isElectron) {
+                await window.electronAPI.writeCache(key, entry);
+            } else {
+                localStorage.setItem(this.prefix + key, JSON.stringify(entry));
+            }
+        } catch (error) {
+            console.warn(`Failed to write offline cache "${key}":`, error.message || error);
+        }
+    }
+}
+
+class DataStore {
+    constructor() {
+        // Use a JSON file under userData in Electron, localStorage in web browsers
+        this.isElectron = window.electronAPI !== undefined && typeof window.electronAPI.readData === 'function';
+        this.prefix = 'store:';
+    }
+
+    async load(name, fallback = null) {
+        try {
+            if (this.isElectron) {
+                const data = await window.electronAPI.readData(name);
+                return data !== null && data !== undefined ? data : fallback;
+            }
+
+            const raw = localStorage.getItem(this.prefix + name);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (error) {
+            console.error(`Failed to load stored data "${name}":`, error);
+            return fallback;
+        }
+    }
+
+    async save(name, data) {
+        try {
+            if (this.isElectron) {
+                await window.electronAPI.writeData(name, data);
+            } else {
+                localStorage.setItem(this.prefix + name, JSON.stringify(data));
+            }
+            return true;
+        } catch (error) {
+            console.error(`Failed to save stored data "${name}":`, error);
+            return false;
+        }
+    }
+}
+
+class PriceHistoryStore {
+    constructor(dataStore) {
+        this.dataStore = dataStore;
+        this.storageKey = 'price-history';
+        this.history = {}; // url_name -> array of snapshots, oldest first
+        this.retention = 30 * 24 * 3600000; // Keep 30 days of snapshots
+        this.minInterval = 60000; // Ignore snapshots taken less than a minute apart
+        this.ready = this.load();
+    }
+
+    async load() {
+        const stored = await this.dataStore.load(this.storageKey, {});
+        this.history = stored && typeof stored === 'object' ? stored : {};
+        this.prune();
+    }
+
+    // Summarise an order list into a snapshot. Prices only consider online and in-game
+    // users because offline listings cannot actually be traded against.
+    static summarize(orders, timestamp = Date.now()) {
+        const isOnline = order => order.user && (order.user.status === 'ingame' || order.user.status === 'online');
+        const sellPrices = orders
+            .filter(order => order.order_type === 'sell' && isOnline(order))
+            .map(order => order.platinum)
+            .sort((a, b) => a - b);
+        const buyPrices = orders
+            .filter(order => order.order_type === 'buy' && isOnline(order))
+            .map(order => order.platinum)
+            .sort((a, b) => b - a);
+
+        let median = null;
+        if (sellPrices.length > 0) {
+            const middle = Math.floor(sellPrices.length / 2);
+            median = sellPrices.length % 2 === 0
+                ? (sellPrices[middle - 1] + sellPrices[middle]) / 2
+                : sellPrices[middle];
+        }
+
+        return {
+            t: timestamp,
+            lowestSell: sellPrices.length > 0 ? sellPrices[0] : null,
+            highestBuy: buyPrices.length > 0 ? buyPrices[0] : null,
+            median: median,
+            sellCount: orders.filter(order => order.order_type === 'sell').length,
+            buyCount: orders.filter(order => order.order_type === 'buy').length,
+            onlineSellCount: sellPrices.length,
+            onlineBuyCount: buyPrices.length
+        };
+    }
+
+    // Variants (mod rank, relic refinement, subtype) and platforms are recorded separately
+    // under the same item so their prices never mix; items without variants use 'default'.
+    // timestamp is when the orders were fetched, so a cached list is not stamped as new
+    async record(urlName, orders, variant = 'default', platform = 'pc', timestamp = Date.now()) {
+        await this.ready;
+
+        const snapshot = PriceHistoryStore.summarize(orders, timestamp);
+        snapshot.variant = variant;
+        snapshot.platform = platform;
+        const snapshots = this.history[urlName] || [];
+        const last = [...snapshots].reverse().find(entry =>
+            (entry.variant || 'default') === variant && (entry.platform || 'pc') === platform
+        );
+
+        // Cached order lists are reused for several minutes, avoid storing duplicates
+        // or snapshots older than the last one
+        if (last && (snapshot.t - last.t) < this.minInterval) {
+            return last;
+        }
+
+        snapshots.push(snapshot);
+        this.history[urlName] = snapshots;
+        this.prune();
+        await this.dataStore.save(this.storageKey, this.history);
+        return snapshot;
+    }
+
+    getSnapshots(urlName, rangeMs, variant = 'default', platform = 'pc') {
+        const cutoff = Date.now() - rangeMs;
+        return (this.history[urlName] || []).filter(snapshot =>
+            snapshot.t >= cutoff &&
+            (snapshot.variant || 'default') === variant &&
+            (snapshot.platform || 'pc') === platform
+        );
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.retention;
+        Object.keys(this.history).forEach(urlName => {
+            const snapshots = (this.history[urlName] || []).filter(snapshot => snapshot.t >= cutoff);
+            if (snapshots.length > 0) {
+                this.history[urlName] = snapshots;
+            } else {
+                delete this.history[urlName];
+            }
+        });
+    }
+}
+
+class Watchlist {
+    constructor(dataStore) {
+        this.dataStore = dataStore;
+        this.storageKey = 'watchlist';
+        this.entries = [];
+        this.ready = this.load();
+    }
+
+    async load() {
+        const stored = await this.dataStore.load(this.storageKey, []);
+        this.entries = Array.isArray(stored) ? stored : [];
+    }
+
+    async save() {
+        await this.dataStore.save(this.storageKey, this.entries);
+    }
+
+    has(urlName) {
+        return this.entries.some(entry => entry.url_name === urlName);
+    }
+
+    get(urlName) {
+        return this.entries.find(entry => entry.url_name === urlName) || null;
+    }
+
+    async add(item, variant = null) {
+        if (this.has(item.url_name)) return this.get(item.url_name);
+
+        const entry = {
+            url_name: item.url_name,
+            item_name: item.item_name,
+            variant: variant ? variant.key : null, // Only watch one rank/refinement/subtype
+            variantLabel: variant ? variant.label : null,
+            maxSell: null, // Notify when lowest online sell <= maxSell
+            minBuy: null, // Notify when highest online buy >= minBuy
+            lastSell: null,
+            lastBuy: null,
+            lastChecked: null,
+            matched: { sell: false, buy: false }
+        };
+        this.entries.push(entry);
+        await this.save();
+        return entry;
+    }
+
+    async remove(urlName) {
+        this.entries = this.entries.filter(entry => entry.url_name !== urlName);
+        await this.save();
+    }
+
+    async updateRule(urlName, rule, value) {
+        const entry = this.get(urlName);
+        if (!entry) return;
+
+        const parsed = value === '' || value === null ? null : Number(value);
+        entry[rule] = Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+
+        // Re-arm the rule so a changed threshold can notify again
+        entry.matched = { sell: false, buy: false };
+        await this.save();
+    }
+
+    // Apply a fresh price snapshot to an entry and return the rules that newly matched.
+    // A rule only fires once until the price moves back out of range.
+    evaluate(urlName, snapshot) {
+        const entry = this.get(urlName);
+        if (!entry) return [];
+
+        entry.lastSell = snapshot.lowestSell;
+        entry.lastBuy = snapshot.highestBuy;
+        entry.lastChecked = snapshot.t;
+        entry.matched = entry.matched || { sell: false, buy: false };
+
+        const triggered = [];
+        const sellMatches = entry.maxSell !== null && snapshot.lowestSell !== null && snapshot.lowestSell <= entry.maxSell;
+        const buyMatches = entry.minBuy !== null && snapshot.highestBuy !== null && snapshot.highestBuy >= entry.minBuy;
+
+        if (sellMatches && !entry.matched.sell) triggered.push('sell');
+        if (buyMatches && !entry.matched.buy) triggered.push('buy');
+
+        entry.matched = { sell: sellMatches, buy: buyMatches };
+        return triggered;
+    }
+}
+
+// WebSocket client for live order updates. Reconnects with exponential backoff and
+// takes its URL from settings so it can be pointed at a local stand-in server.
+// Messages are warframe.market style: { type: '@WS/...', payload: {...} }.
+class MarketSocket {
+    constructor({ url, onOrderEvent, onStatusChange = null }) {
+        this.url = url;
+        this.onOrderEvent = onOrderEvent;
+        this.onStatusChange = onStatusChange;
+        this.socket = null;
+        this.status = 'disconnected'; // 'connecting', 'connected', 'reconnecting', 'disconnected'
+        this.subscribedItem = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.baseDelay = 1000;
+        this.maxDelay = 30000;
+        this.shouldReconnect = false;
+    }
+
+    setStatus(status) {
+        this.status = status;
+        if (this.onStatusChange) this.onStatusChange(status);
+    }
+
+    connect() {
+        if (this.socket || typeof WebSocket === 'undefined') return;
+        
+        this.shouldReconnect = true;
+        this.setStatus(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+        
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            console.error('Live updates: invalid socket URL', error);
+            this.socket = null;
+            this.scheduleReconnect();
+            return;
+        }
+        
+        this.socket.onopen = () => {
+            this.reconnectAttempts = 0;
+            this.setStatus('connected');
+            this.send('@WS/SUBSCRIBE/MOST_RECENT');
+            if (this.subscribedItem) {
+                this.send('@WS/SUBSCRIBE/ITEM', { url_name: this.subscribedItem });
+            }
+        };
+        
+        this.socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            
+            const orderEvent = MarketSocket.parseMessage(message);
+            if (orderEvent) this.onOrderEvent(orderEvent);
+        };
+        
+        this.socket.onclose = () => {
+            this.socket = null;
+            this.scheduleReconnect();
+        };
+        
+        // onclose follows every error, so reconnecting is handled there
+        this.socket.onerror = (error) => {
+            console.warn('Live updates socket error:', error.message || error.type || error);
+        };
+    }
+
+    scheduleReconnect() {
+        if (!this.shouldReconnect) {
+            this.setStatus('disconnected');
+            return;
+        }
+        
+        // 1s, 2s, 4s ... capped at 30s, with jitter so clients do not reconnect in lockstep
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, this.reconnectAttempts));
+        const jitter = Math.random() * delay * 0.3;
+        this.reconnectAttempts++;
+        this.setStatus('reconnecting');
+        
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay + jitter);
+    }
+
+    disconnect() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+        this.setStatus('disconnected');
+    }
+
+    send(type, payload = undefined) {
+        if (!this.socket || this.socket.readyState !== 1) return;
+        this.socket.send(JSON.stringify(payload === undefined ? { type } : { type, payload }));
+    }
+
+    subscribe(itemUrlName) {
+        if (this.subscribedItem === itemUrlName) return;
+        
+        if (this.subscribedItem) {
+            this.send('@WS/UNSUBSCRIBE/ITEM', { url_name: this.subscribedItem });
+        }
+        this.subscribedItem = itemUrlName;
+        this.send('@WS/SUBSCRIBE/ITEM', { url_name: itemUrlName });
+    }
+
+    // Normalises the message into { action: 'upsert' | 'remove', order, orderId, urlName }.
+    // urlName is null when the message does not say which item it belongs to.
+    static parseMessage(message) {
+        const type = message && typeof message.type === 'string' ? message.type : '';
+        const payload = (message && message.payload) || {};
+        const order = payload.order || null;
+        const urlName = payload.url_name || (order && order.item && order.item.url_name) || null;
+        
+        if (/(NEW_ORDER|ORDER_(ADDED|CREATED|UPDATED|CHANGED))$/.test(type) && order && order.id) {
+            return { action: 'upsert', order, orderId: order.id, urlName };
+        }
+        
+        if (/ORDER_(REMOVED|DELETED|CLOSED)$/.test(type)) {
+            const orderId = payload.id || payload.order_id || (order && order.id);
+            return orderId ? { action: 'remove', order: null, orderId, urlName } : null;
+        }
+        
+        return null;
+    }
+}
+
+// Buys and sells recorded by the user. Profit is realised against the average cost
+// of the units still held, so partial sells and restocks are handled naturally.
+class Ledger {
+    constructor(dataStore) {
+        this.dataStore = dataStore;
+        this.storageKey = 'ledger';
+        this.entries = [];
+        this.ready = this.load();
+    }
+
+    async load() {
+        const stored = await this.dataStore.load(this.storageKey, []);
+        this.entries = Array.isArray(stored) ? stored : [];
+    }
+
+    async save() {
+        await this.dataStore.save(this.storageKey, this.entries);
+    }
+
+    async add(entry) {
+        const record = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            type: entry.type === 'sell' ? 'sell' : 'buy',
+            url_name: entry.url_name,
+            item_name: entry.item_name,
+            rank: entry.rank === undefined || entry.rank === null || isNaN(entry.rank) ? null : entry.rank,
+            quantity: entry.quantity,
+            platinum: entry.platinum, // Per unit
+            partner: entry.partner || '',
+            date: entry.date || Date.now()
+        };
+        this.entries.push(record);
+        await this.save();
+        return record;
+    }
+
+    async remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        await this.save();
+    }
+
+    static itemKey(entry) {
+        return `${entry.url_name}|${entry.rank === null ? '' : entry.rank}`;
+    }
+
+    // Walks the entries in date order. Returns per-item totals, the running profit after
+    // each entry, and the overall totals.
+    summarize() {
+        const items = new Map();
+        const running = new Map();
+        let realised = 0;
+        let spent = 0;
+        let earned = 0;
+
+        [...this.entries].sort((a, b) => a.date - b.date).forEach(entry => {
+            const key = Ledger.itemKey(entry);
+            if (!items.has(key)) {
+                items.set(key, {
+                    key,
+                    url_name: entry.url_name,
+                    item_name: entry.item_name,
+                    rank: entry.rank,
+                    bought: 0,
+                    sold: 0,
+                    held: 0,
+                    heldCost: 0,
+                    soldCost: 0,
+                    soldRevenue: 0,
+                    realised: 0
+                });
+            }
+
+            const item = items.get(key);
+            const total = entry.platinum * entry.quantity;
+
+            if (entry.type === 'buy') {
+                item.bought += entry.quantity;
+                item.held += entry.quantity;
+                item.heldCost += total;
+                spent += total;
+            } else {
+                // Units sold without a recorded buy are treated as free
+                const averageCost = item.held > 0 ? item.heldCost / item.held : 0;
+                const coveredUnits = Math.min(entry.quantity, item.held);
+                const cost = averageCost * coveredUnits;
+
+                item.sold += entry.quantity;
+                item.soldCost += cost;
+                item.soldRevenue += total;
+                item.realised += total - cost;
+                item.heldCost -= cost;
+                item.held -= coveredUnits;
+                realised += total - cost;
+                earned += total;
+            }
+
+            running.set(entry.id, realised);
+        });
+
+        items.forEach(item => {
+            item.averageCost = item.held > 0 ? item.heldCost / item.held : null;
+            item.margin = item.soldCost > 0 ? (item.realised / item.soldCost) * 100 : null;
+        });
+
+        return { items: [...items.values()], running, realised, spent, earned };
+    }
+}
+
+// Expected platinum value of opening a void relic. Each relic has three common,
+// two uncommon and one rare reward; refining shifts the odds towards the rare.
+class RelicCalculator {
+    static get refinements() {
+        return ['intact', 'exceptional', 'flawless', 'radiant'];
+    }
+
+    // Chance (percent) of each single reward of a rarity, per refinement
+    static get chances() {
+        return {
+            common: { intact: 25.33, exceptional: 23.33, flawless: 20, radiant: 16.67 },
+            uncommon: { intact: 11, exceptional: 13, flawless: 17, radiant: 20 },
+            rare: { intact: 2, exceptional: 4, flawless: 6, radiant: 10 }
+        };
+    }
+
+    // Older drop tables only carry the intact chance, so fall back to it for the rarity
+    static rarityOf(reward) {
+        const rarity = (reward.rarity || '').toLowerCase();
+        if (RelicCalculator.chances[rarity]) return rarity;
+        if (reward.chance <= 2) return 'rare';
+        if (reward.chance <= 11) return 'uncommon';
+        return 'common';
+    }
+
+    static chanceOf(rarity, refinement) {
+        return RelicCalculator.chances[rarity][refinement] / 100;
+    }
+
+    // Solo run: you get exactly one draw from your own relic
+    static expectedValue(rewards, refinement) {
+        return rewards.reduce((total, reward) => total + RelicCalculator.chanceOf(reward.rarity, refinement) * (reward.value || 0), 0);
+    }
+
+    // Radshare: every player opens the same relic and you take the best of their drops,
+    // so the value is the expectation of the maximum of `players` independent draws
+    static radshareValue(rewards, refinement, players = 4) {
+        const sorted = [...rewards].sort((a, b) => (a.value || 0) - (b.value || 0));
+        let cumulative = 0;
+        
+        return sorted.reduce((total, reward) => {
+            const previous = Math.pow(cumulative, players);
+            cumulative = Math.min(1, cumulative + RelicCalculator.chanceOf(reward.rarity, refinement));
+            return total + (reward.value || 0) * (Math.pow(cumulative, players) - previous);
+        }, 0);
+    }
+}
+
+// Runs a list of market requests one after another with a pause in between so
+// long scans stay under the warframe.market rate limit. Scans can be cancelled.
+class MarketScanner {
+    constructor(delay = 350) {
+        this.delay = delay;
+        this.running = false;
+        this.cancelled = false;
+    }
+
+    // Resolves true when every entry was processed, false when cancelled
+    async run(entries, task, onProgress = null) {
+        this.running = true;
+        this.cancelled = false;
+
+        try {
+            for (let i = 0; i < entries.length && !this.cancelled; i++) {
+                try {
+                    await task(entries[i], i);
+                } catch (error) {
+                    console.error('Scan task failed:', error);
+                }
+
+                if (onProgress) onProgress(i + 1, entries.length);
+
+                if (i < entries.length - 1 && !this.cancelled) {
+                    await new Promise(resolve => setTimeout(resolve, this.delay));
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        return !this.cancelled;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+}
+
+// Spread of a list of prices: quartiles plus an even-width histogram for drawing bars
+class PriceDistribution {
+    static summarize(prices, bucketCount = 8) {
+        const sorted = prices.filter(price => typeof price === 'number' && price >= 0).sort((a, b) => a - b);
+        if (sorted.length === 0) return null;
+
+        // Linear interpolation between the two closest ranks
+        const quantile = q => {
+            const position = (sorted.length - 1) * q;
+            const lower = Math.floor(position);
+            const upper = Math.ceil(position);
+            return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+        };
+
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const width = Math.max(1, Math.ceil((max - min + 1) / bucketCount));
+        const buckets = [];
+        for (let from = min; from <= max; from += width) {
+            buckets.push({ from, to: from + width - 1, count: 0 });
+        }
+        sorted.forEach(price => {
+            buckets[Math.min(buckets.length - 1, Math.floor((price - min) / width))].count++;
+        });
+
+        return {
+            count: sorted.length,
+            min,
+            q1: quantile(0.25),
+            median: quantile(0.5),
+            q3: quantile(0.75),
+            max,
+            buckets
+        };
+    }
+}
+
+// Kuva Lich and Sister weapon auctions. Unlike items these are one-off listings, each with
+// its own element, damage bonus and ephemera, so they are compared by those instead of by rank.
+class LichAuction {
+    static get elements() {
+        return { impact: 'Impact', heat: 'Heat', cold: 'Cold', electricity: 'Electricity', toxin: 'Toxin', magnetic: 'Magnetic', radiation: 'Radiation' };
+    }
+
+    static get kinds() {
+        return { lich: 'Kuva Lich', sister: 'Sister of Parvos' };
+    }
+
+    static from(auction) {
+        const item = auction.item || {};
+        return {
+            id: auction.id,
+            weapon: item.weapon_url_name,
+            element: item.element,
+            damage: item.damage,
+            ephemera: !!item.having_ephemera,
+            quirk: item.quirk || null,
+            buyout: auction.buyout_price,
+            startingPrice: auction.starting_price,
+            topBid: auction.top_bid,
+            directSell: !!auction.is_direct_sell,
+            seller: auction.owner ? auction.owner.ingame_name : '',
+            status: auction.owner ? auction.owner.status : 'offline'
+        };
+    }
+
+    // How buyout price moves with the damage bonus: a least-squares line through the
+    // (damage, price) points, their correlation, and the median price per 5% damage band.
+    static priceByDamage(auctions) {
+        const points = auctions
+            .filter(auction => typeof auction.damage === 'number' && typeof auction.buyout === 'number')
+            .map(auction => ({ damage: auction.damage, price: auction.buyout, ephemera: auction.ephemera }));
+        if (points.length === 0) return null;
+
+        const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+        const meanDamage = mean(points.map(point => point.damage));
+        const meanPrice = mean(points.map(point => point.price));
+        let covariance = 0;
+        let damageSpread = 0;
+        let priceSpread = 0;
+        points.forEach(point => {
+            covariance += (point.damage - meanDamage) * (point.price - meanPrice);
+            damageSpread += (point.damage - meanDamage) ** 2;
+            priceSpread += (point.price - meanPrice) ** 2;
+        });
+        const slope = damageSpread > 0 ? covariance / damageSpread : 0;
+
+        const bands = new Map();
+        points.forEach(point => {
+            const from = Math.floor(point.damage / 5) * 5;
+            if (!bands.has(from)) bands.set(from, []);
+            bands.get(from).push(point.price);
+        });
+
+        return {
+            points,
+            slope,
+            intercept: meanPrice - slope * meanDamage,
+            correlation: damageSpread > 0 && priceSpread > 0 ? covariance / Math.sqrt(damageSpread * priceSpread) : 0,
+            bands: [...bands.entries()]
+                .sort((a, b) => a[0] - b[0])
+                .map(([from, prices]) => ({ from, to: from + 4, ...PriceDistribution.summarize(prices) }))
+        };
+    }
+}
+
+// Flip opportunities from an item's orders. An instant flip is an online buyer paying more
+// than the cheapest online seller asks; otherwise the spread between the two is what a
+// patient trader earns per unit by buying low and relisting.
+class FlipFinder {
+    // Mods and arcanes are picked by their item tags, prime parts by url name (which also
+    // leaves out Primed mods). Ranked categories are confirmed during the scan by their
+    // orders having a rank.
+    static get categories() {
+        return {
+            prime_parts: { label: 'Prime Parts', ranked: false, matches: urlName => urlName.includes('_prime_') && !urlName.endsWith('_set') },
+            mods: { label: 'Mods', ranked: true, matches: (urlName, tags) => tags.includes('mod') },
+            arcanes: { label: 'Arcanes', ranked: true, matches: (urlName, tags) => tags.includes('arcane_enhancement') }
+        };
+    }
+
+    // Best opportunity among the variants of an item, as ranks and refinements must never be
+    // compared with each other: the largest instant flip, otherwise the variant with the most online orders
+    static evaluate(variants) {
+        const candidates = variants.map(variant => {
+            const snapshot = PriceHistoryStore.summarize(variant.orders);
+            if (snapshot.lowestSell === null || snapshot.highestBuy === null) return null;
+            return {
+                variant: { key: variant.key, label: variant.label, rank: variant.rank, subtype: variant.subtype },
+                lowestSell: snapshot.lowestSell,
+                highestBuy: snapshot.highestBuy,
+                margin: Math.abs(snapshot.lowestSell - snapshot.highestBuy),
+                instant: snapshot.highestBuy > snapshot.lowestSell,
+                onlineOrderCount: snapshot.onlineSellCount + snapshot.onlineBuyCount
+            };
+        }).filter(Boolean);
+
+        const instant = candidates.filter(candidate => candidate.instant).sort((a, b) => b.margin - a.margin);
+        if (instant.length > 0) return instant[0];
+        return candidates.sort((a, b) => b.onlineOrderCount - a.onlineOrderCount)[0] || null;
+    }
+
+    // Platinum a spread flip could make over 48 hours if it caught a share of every trade
+    static potential(flip) {
+        return flip.instant || flip.volume === null ? null : flip.margin * flip.volume;
+    }
+
+    // Instant flips first, largest profit first; then spreads by potential so a wide spread on
+    // an item nobody trades does not outrank a smaller one that sells all day
+    static compare(a, b) {
+        if (a.instant !== b.instant) return a.instant ? -1 : 1;
+        if (a.instant) return b.margin - a.margin;
+        return (FlipFinder.potential(b) || 0) - (FlipFinder.potential(a) || 0) || b.margin - a.margin;
+    }
+}
+
+class WarframeMarketApp {
+    constructor() {
+        this.diskCache = new DiskCache();
+        this.api = new WarframeMarketAPI(this.diskCache);
+        this.alertsAPI = new WarframeAlertsAPI(this.diskCache);
+        this.dataStore = new DataStore();
+        this.priceHistory = new PriceHistoryStore(this.dataStore);
+        this.historyRange = '24h'; // '24h', '7d', '30d'
+        this.watchlist = new Watchlist(this.dataStore);
+        this.watchlistPollInterval = 300000; // Check watched items every 5 minutes
+        this.watchlistTimer = null;
+        this.watchlistPolling = false;
+        this.defaultWhisperTemplate = '/w {player} Hi! I want to {action}: "{item}" for {price} platinum. (warframe.market)';
+        this.defaultLiveUrl = 'wss://warframe.market/socket?platform={platform}';
+        this.settings = {
+            whisperTemplate: this.defaultWhisperTemplate,
+            liveUpdates: true,
+            liveUrl: this.defaultLiveUrl,
+            proxies: [], // Web build only; empty uses the built-in public proxies
+            ...WarframeMarketApp.defaultPreferences
+        };
+        this.liveSocket = null;
+        this.changedOrderIds = new Map(); // order id -> time it last changed live
+        this.liveRenderTimer = null;
+        this.settingsReady = this.loadSettings();
+        this.displayedOrders = new Map(); // order id -> order for row actions
+        this.currentTab = 'pricing';
+        this.currentItemDetails = null; // payload.item from the item details endpoint
+        this.setBreakdownFor = null; // Item, platform and language the set breakdown was last built for
+        this.ducatScanner = new MarketScanner();
+        this.relicScanner = new MarketScanner();
+        this.relicValueFor = null; // Item, platform and language the relic tab was last built for
+        this.ledger = new Ledger(this.dataStore);
+        this.ledgerScanner = new MarketScanner();
+        this.ledgerPrices = new Map(); // ledger item key -> lowest online sell
+        this.ledgerPrefill = null; // item picked from an order row
+        this.compareList = JSON.parse(localStorage.getItem('compareList') || '[]'); // [{ url_name, item_name, variant }]
+        this.compareData = new Map(); // url_name -> loaded comparison row
+        this.compareSort = { key: null, direction: 'asc' };
+        this.compareScanner = new MarketScanner();
+        this.relicValues = JSON.parse(localStorage.getItem('relicValues') || '{}'); // relic name -> evaluated values
+        this.relicValueTtl = 24 * 3600000; // Relic values older than a day are dropped instead of shown as current
+        this.ducatParts = new Map(); // url_name -> prime part with ducats and lowest sell
+        this.ducatOptions = JSON.parse(localStorage.getItem('ducatFinderOptions') || '{"minRatio":5,"excludeVaulted":true}');
+        this.flipScanner = new MarketScanner();
+        this.flips = new Map(); // url_name -> best flip of the item
+        this.flipOptions = JSON.parse(localStorage.getItem('flipFinderOptions') || '{"category":"prime_parts","minMargin":5,"minVolume":5}');
+        this.rivenWeapons = []; // riven/items entries, in the selected language
+        this.rivenAttributes = []; // riven/attributes entries
+        this.rivenWeapon = null; // weapon picked from the suggestions
+        this.rivenAuctions = null; // results of the last search
+        this.rivenSearchId = 0; // ignores responses to searches that were replaced
+        this.rivenFilters = JSON.parse(localStorage.getItem('rivenSearch') || '{}');
+        this.lichWeapons = []; // lich/weapons or sister/weapons entries for the selected kind
+        this.lichWeapon = null;
+        this.lichAuctions = null; // LichAuction.from() results of the last search
+        this.lichSearchId = 0;
+        this.lichFilters = JSON.parse(localStorage.getItem('lichSearch') || '{"kind":"lich"}');
+        this.currentItem = null;
+        this.currentOrders = null;
+        this.currentVariants = [];
+        this.selectedVariant = null; // Variant key, chosen automatically when null
+        this.orderFilter = 'all'; // 'all', 'buy', 'sell'
+        this.orderSort = { key: null, direction: 'asc' }; // key: price, quantity, status, reputation, updated
+        this.orderStatusFilter = { ingame: true, online: true, offline: false };
+        this.orderMinQuantity = 1;
+        this.orderPage = 0;
+        this.ordersPerPage = 25;
+        this.recentSearches = JSON.parse(localStorage.getItem('recentSearches') || '[]');
+        this.favourites = JSON.parse(localStorage.getItem('favouriteItems') || '[]'); // Pinned, never roll off
+        this.draggedFavourite = null; // url_name of the favourite being dragged
+        this.platformPreferences = JSON.parse(localStorage.getItem('platformPreferences') || '{"platform":"pc","crossplay":true}');
+        this.applyPlatform();
+        this.language = I18n.resolveLanguage(localStorage.getItem('language'));
+        this.languageReady = this.applyLanguage();
+        this.alertsRefreshInterval = null;
+        this.timerUpdateInterval = null;
+        this.currentMainTab = 'market';
+        this.cycleTimers = new Map(); // Store timer data for real-time updates
+        this.alertTimers = new Map(); // Store alert timer data for real-time updates
+        this.fissureTimers = new Map(); // Store fissure timer data for real-time updates
+        this.pendingRefresh = false; // Prevent multiple simultaneous refreshes
+        
+        // Common Warframe node mappings for better location display
+        this.nodeMap = new Map([
+            // Earth
+            ['SolNode1', 'Coba (Earth)'],
+            ['SolNode2', 'Mantle (Earth)'],
+            ['SolNode3', 'Mariana (Earth)'],
+            ['SolNode4', 'Pacific (Earth)'],
+            ['SolNode5', 'Cambria (Earth)'],
+            ['SolNode6', 'Lua (Earth)'],
+            // Venus
+            ['SolNode51', 'Venera (Venus)'],
+            ['SolNode52', 'Aphrodite (Venus)'],
+            ['SolNode53', 'Cytherean (Venus)'],
+            ['SolNode54', 'Tessera (Venus)'],
+            ['SolNode55', 'Linea (Venus)'],
+            // Mercury  
+            ['SolNode101', 'Caloris (Mercury)'],
+            ['SolNode102', 'Tolstoj (Mercury)'],
+            ['SolNode103', 'Beethoven (Mercury)'],
+            // Mars
+            ['SolNode201', 'Olympia (Mars)'],
+            ['SolNode202', 'Phobos (Mars)'],
+            ['SolNode203', 'Deimos (Mars)'],
+            ['SolNode204', 'Tharsis (Mars)'],
+            ['SolNode205', 'Hellas (Mars)'],
+            // Common ones that often appear in alerts
+            ['SolNode401', 'Ceres Station'],
+            ['SolNode451', 'Europa Station'],
+            ['SolNode501', 'Jupiter Station'],
+            ['SolNode551', 'Saturn Station'],
+            ['SolNode601', 'Uranus Station'],
+            ['SolNode651', 'Neptune Station'],
+            ['SolNode701', 'Pluto Station'],
+            ['SolNode801', 'Sedna Station'],
+            ['SolNode851', 'Eris Station'],
+            ['SolNode901', 'Void Station']
+        ]);
+        
+        this.initializeElements();
+        this.bindEvents();
+        this.loadRecentSearches();
+        this.hideResults();
+        
+        this.settingsReady.then(() => this.updateLiveStatus('disconnected'));
+        
+        // Watchlist polling runs regardless of which main tab is open
+        this.watchlist.ready.then(() => {
+            this.renderWatchlist();
+            this.startWatchlistPolling();
+            
+            // Check watched items shortly after startup instead of waiting a full interval
+            if (this.watchlist.entries.length > 0) {
+                setTimeout(() => this.pollWatchlist(), 5000);
+            }
+        });
+        
+        // Initialize header text for default tab
+        this.updateHeaderText(this.currentMainTab);
+        
+        // Anything rendered before the translations arrived is still in English
+        this.languageReady.then(() => {
+            if (this.language !== 'en') this.renderForLanguage();
+        });
+    }
+
+    initializeElements() {
+        // Main tab elements
+        this.mainTabBtns = document.querySelectorAll('.main-tab-btn');
+        this.mainTabPanels = document.querySelectorAll('.main-tab-panel');
+        
+        // Platform elements
+        this.platformSelect = document.getElementById('platformSelect');
+        this.proxySettingsBtn = document.getElementById('proxySettingsBtn');
+        this.settingsBtn = document.getElementById('settingsBtn');
+        this.crossplayToggle = document.getElementById('crossplayToggle');
+        this.languageSelect = document.getElementById('languageSelect');
+        
+        // Market tab elements
+        this.searchInput = document.getElementById('itemSearch');
+        this.searchBtn = document.getElementById('searchBtn');
+        this.suggestionsContainer = document.getElementById('suggestions');
+        this.recentList = document.getElementById('recentList');
+        this.favouriteList = document.getElementById('favouriteList');
+        this.clearRecentBtn = document.getElementById('clearRecentBtn');
+        
+        // Suggestion dropdowns share markup and keyboard handling; each has its own input,
+        // container and action for a picked suggestion
+        this.searchSuggestions = {
+            input: this.searchInput,
+            container: this.suggestionsContainer,
+            idPrefix: 'suggestion',
+            activeIndex: -1, // Suggestion highlighted with the arrow keys
+            onSelect: suggestion => this.selectSuggestion(suggestion),
+            onEnter: () => this.handleSearch()
+        };
+        
+        this.loadingContainer = document.getElementById('loadingContainer');
+        this.resultsContainer = document.getElementById('resultsContainer');
+        this.errorContainer = document.getElementById('errorContainer');
+        this.welcomeMessage = document.getElementById('welcomeMessage');
+        
+        this.itemNameEl = document.getElementById('itemName');
+        this.watchBtn = document.getElementById('watchBtn');
+        this.offlineBadge = document.getElementById('offlineBadge');
+        this.compareBtn = document.getElementById('compareBtn');
+        this.itemDucatsEl = document.getElementById('itemDucats');
+        this.watchListEl = document.getElementById('watchList');
+        this.watchCheckBtn = document.getElementById('watchCheckBtn');
+        this.tabBtns = document.querySelectorAll('.tab-btn');
+        this.tabPanels = document.querySelectorAll('.tab-panel');
+        this.setTabBtn = document.getElementById('setTabBtn');
+        this.setBreakdownEl = document.getElementById('setBreakdown');
+        this.itemDetailsEl = document.getElementById('itemDetails');
+        this.relicTabBtn = document.getElementById('relicTabBtn');
+        this.relicValueEl = document.getElementById('relicValue');
+        
+        // Pricing elements
+        this.highestBuyEl = document.getElementById('highestBuy');
+        this.lowestSellEl = document.getElementById('lowestSell');
+        this.buyOrdersList = document.getElementById('buyOrdersList');
+        this.variantBar = document.getElementById('variantBar');
+        this.variantSelect = document.getElementById('variantSelect');
+        this.variantSummary = document.getElementById('variantSummary');
+        this.sellOrdersList = document.getElementById('sellOrdersList');
+        
+        // Statistics elements
+        this.totalOrdersEl = document.getElementById('totalOrders');
+        this.priceRangeEl = document.getElementById('priceRange');
+        this.averagePriceEl = document.getElementById('averagePrice');
+        this.onlineSellersEl = document.getElementById('onlineSellers');
+        this.onlineBuyersEl = document.getElementById('onlineBuyers');
+        this.lastUpdatedEl = document.getElementById('lastUpdated');
+        
+        // Price history elements
+        this.historyChartEl = document.getElementById('historyChart');
+        this.historySummaryEl = document.getElementById('historySummary');
+        this.historyRangeBtns = document.querySelectorAll('.history-range-btn');
+        
+        // Trade statistics elements
+        this.tradeStatsBody = document.getElementById('tradeStatsBody');
+        
+        this.retryBtn = document.getElementById('retryBtn');
+        this.orderFilterBtn = document.getElementById('orderFilterBtn');
+        this.liveStatusBtn = document.getElementById('liveStatusBtn');
+        this.orderSortHeaders = document.querySelectorAll('.header-cell[data-sort]');
+        this.orderStatusToggles = document.querySelectorAll('.order-status-toggle');
+        this.orderMinQuantityInput = document.getElementById('orderMinQuantity');
+        this.orderPaginationEl = document.getElementById('orderPagination');
+        this.whisperTemplateBtn = document.getElementById('whisperTemplateBtn');
+        
+        // Modal dialog elements
+        this.modalOverlay = document.getElementById('modalOverlay');
+        this.modalTitle = document.getElementById('modalTitle');
+        this.modalBody = document.getElementById('modalBody');
+        this.modalConfirmBtn = document.getElementById('modalConfirmBtn');
+        this.modalCancelBtn = document.getElementById('modalCancelBtn');
+        
+        // Alerts tab elements
+        this.cyclesContainer = document.getElementById('cyclesContainer');
+        this.alertsContainer = document.getElementById('alertsContainer');
+        this.activitiesContainer = document.getElementById('activitiesContainer');
+        this.alertsLoading = document.getElementById('alertsLoading');
+        this.refreshAlertsBtn = document.getElementById('refreshAlertsBtn');
+        this.alertsOfflineBadge = document.getElementById('alertsOfflineBadge');
+        
+        // Compare elements
+        this.compareItemInput = document.getElementById('compareItem');
+        this.compareItemOptions = document.getElementById('compareItemOptions');
+        this.compareAddBtn = document.getElementById('compareAddBtn');
+        this.compareRefreshBtn = document.getElementById('compareRefreshBtn');
+        this.compareClearBtn = document.getElementById('compareClearBtn');
+        this.compareTableEl = document.getElementById('compareTable');
+        
+        // Ledger elements
+        this.ledgerTypeSelect = document.getElementById('ledgerType');
+        this.ledgerItemInput = document.getElementById('ledgerItem');
+        this.ledgerItemOptions = document.getElementById('ledgerItemOptions');
+        this.ledgerRankInput = document.getElementById('ledgerRank');
+        this.ledgerQuantityInput = document.getElementById('ledgerQuantity');
+        this.ledgerPlatinumInput = document.getElementById('ledgerPlatinum');
+        this.ledgerPartnerInput = document.getElementById('ledgerPartner');
+        this.ledgerDateInput = document.getElementById('ledgerDate');
+        this.ledgerAddBtn = document.getElementById('ledgerAddBtn');
+        this.ledgerRefreshBtn = document.getElementById('ledgerRefreshBtn');
+        this.ledgerExportCsvBtn = document.getElementById('ledgerExportCsvBtn');
+        this.ledgerExportJsonBtn = document.getElementById('ledgerExportJsonBtn');
+        this.ledgerSummaryEl = document.getElementById('ledgerSummary');
+        this.ledgerItemsEl = document.getElementById('ledgerItems');
+        this.ledgerEntriesEl = document.getElementById('ledgerEntries');
+        
+        // Ducat Finder elements
+        this.ducatMinRatioInput = document.getElementById('ducatMinRatio');
+        this.ducatExcludeVaultedToggle = document.getElementById('ducatExcludeVaulted');
+        this.ducatScanBtn = document.getElementById('ducatScanBtn');
+        this.ducatProgressEl = document.getElementById('ducatProgress');
+        this.ducatResultsEl = document.getElementById('ducatResults');
+        
+        // Flip Finder elements
+        this.flipCategorySelect = document.getElementById('flipCategory');
+        this.flipMinMarginInput = document.getElementById('flipMinMargin');
+        this.flipMinVolumeInput = document.getElementById('flipMinVolume');
+        this.flipScanBtn = document.getElementById('flipScanBtn');
+        this.flipProgressEl = document.getElementById('flipProgress');
+        this.flipResultsEl = document.getElementById('flipResults');
+        
+        // Riven elements
+        this.rivenWeaponInput = document.getElementById('rivenWeapon');
+        this.rivenSuggestionsContainer = document.getElementById('rivenSuggestions');
+        this.rivenPositiveSelects = [...document.querySelectorAll('.riven-positive')];
+        this.rivenNegativeSelect = document.getElementById('rivenNegative');
+        this.rivenMinMasteryInput = document.getElementById('rivenMinMastery');
+        this.rivenMaxRerollsInput = document.getElementById('rivenMaxRerolls');
+        this.rivenPolaritySelect = document.getElementById('rivenPolarity');
+        this.rivenSearchBtn = document.getElementById('rivenSearchBtn');
+        this.rivenDistributionEl = document.getElementById('rivenDistribution');
+        this.rivenResultsEl = document.getElementById('rivenResults');
+        this.rivenSuggestions = {
+            input: this.rivenWeaponInput,
+            container: this.rivenSuggestionsContainer,
+            idPrefix: 'riven-suggestion',
+            activeIndex: -1,
+            onSelect: suggestion => this.selectRivenWeapon(suggestion),
+            onEnter: () => this.handleRivenSearch()
+        };
+        
+        // Lich and Sister elements
+        this.lichKindSelect = document.getElementById('lichKind');
+        this.lichWeaponInput = document.getElementById('lichWeapon');
+        this.lichSuggestionsContainer = document.getElementById('lichSuggestions');
+        this.lichElementSelect = document.getElementById('lichElement');
+        this.lichMinDamageInput = document.getElementById('lichMinDamage');
+        this.lichMaxDamageInput = document.getElementById('lichMaxDamage');
+        this.lichEphemeraSelect = document.getElementById('lichEphemera');
+        this.lichSearchBtn = document.getElementById('lichSearchBtn');
+        this.lichStatsEl = document.getElementById('lichStats');
+        this.lichResultsEl = document.getElementById('lichResults');
+        this.lichSuggestions = {
+            input: this.lichWeaponInput,
+            container: this.lichSuggestionsContainer,
+            idPrefix: 'lich-suggestion',
+            activeIndex: -1,
+            onSelect: suggestion => this.selectLichWeapon(suggestion),
+            onEnter: () => this.handleLichSearch()
+        };
+    }
+
+    bindEvents() {
+        // Main tab events
+        this.mainTabBtns.forEach(btn => {
+            btn.addEventListener('click', this.handleMainTabClick.bind(this));
+        });
+        
+        // Platform events
+        // Electron talks to the APIs directly, proxies only matter in a browser
+        if (this.proxySettingsBtn) {
+            this.proxySettingsBtn.classList.toggle('hidden', this.api.isElectron);
+            this.proxySettingsBtn.addEventListener('click', this.editProxySettings.bind(this));
+        }
+        
+        if (this.settingsBtn) {
+            this.settingsBtn.addEventListener('click', this.editSettings.bind(this));
+        }
+        
+        if (this.clearRecentBtn) {
+            this.clearRecentBtn.addEventListener('click', () => this.clearRecentSearches());
+        }
+        
+        if (this.platformSelect) {
+            this.platformSelect.value = this.platformPreferences.platform;
+            this.platformSelect.addEventListener('change', this.handlePlatformChange.bind(this));
+        }
+        if (this.crossplayToggle) {
+            this.crossplayToggle.checked = this.platformPreferences.crossplay;
+            this.crossplayToggle.addEventListener('change', this.handlePlatformChange.bind(this));
+        }
+        if (this.languageSelect) {
+            // Language names are shown in their own language, so they are not translated
+            this.languageSelect.innerHTML = Object.entries(I18n.languages)
+                .map(([code, name]) => `<option value="${code}">${name}</option>`)
+                .join('');
+            this.languageSelect.value = this.language;
+            this.languageSelect.addEventListener('change', this.handleLanguageChange.bind(this));
+        }
+        
+        // Market tab events
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', this.handleSearchInput.bind(this));
+            this.searchInput.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
+        }
+        if (this.searchBtn) {
+            this.searchBtn.addEventListener('click', this.handleSearch.bind(this));
+        }
+        
+        this.tabBtns.forEach(btn => {
+            btn.addEventListener('click', this.handleTabClick.bind(this));
+        });
+        
+        this.retryBtn.addEventListener('click', this.handleRetry.bind(this));
+        
+        if (this.compareBtn) {
+            this.compareBtn.addEventListener('click', this.toggleCompare.bind(this));
+        }
+        
+        if (this.watchBtn) {
+            this.watchBtn.addEventListener('click', this.toggleWatch.bind(this));
+        }
+        if (this.watchCheckBtn) {
+            this.watchCheckBtn.addEventListener('click', () => this.pollWatchlist());
+        }
+        this.orderFilterBtn.addEventListener('click', this.handleFilterToggle.bind(this));
+        
+        if (this.liveStatusBtn) {
+            this.liveStatusBtn.addEventListener('click', this.editLiveSettings.bind(this));
+        }
+        
+        this.orderSortHeaders.forEach(header => {
+            header.addEventListener('click', () => this.handleOrderSort(header.dataset.sort));
+        });
+        this.orderStatusToggles.forEach(toggle => {
+            toggle.checked = this.orderStatusFilter[toggle.dataset.status] !== false;
+            toggle.addEventListener('change', () => this.handleOrderBookFilterChange());
+        });
+        if (this.orderMinQuantityInput) {
+            this.orderMinQuantityInput.addEventListener('input', () => this.handleOrderBookFilterChange());
+        }
+        
+        if (this.variantSelect) {
+            this.variantSelect.addEventListener('change', (e) => this.selectVariant(e.target.value));
+        }
+        
+        if (this.whisperTemplateBtn) {
+            this.whisperTemplateBtn.addEventListener('click', this.editWhisperTemplate.bind(this));
+        }
+        
+        this.historyRangeBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.historyRange = btn.dataset.range;
+                this.historyRangeBtns.forEach(b => b.classList.toggle('active', b === btn));
+                this.renderHistoryChart();
+            });
+        });
+
+        // Export the order book, statistics or price history of the current item
+        document.querySelectorAll('.export-actions').forEach(group => {
+            group.querySelectorAll('.export-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.exportMarketData(group.dataset.export, btn.dataset.format));
+            });
+        });
+
+        // Alerts tab events
+        if (this.refreshAlertsBtn) {
+            this.refreshAlertsBtn.addEventListener('click', () => {
+                console.log('Manual refresh clicked');
+                this.loadAlertsData();
+            });
+        }
+        
+        // Compare events
+        if (this.compareAddBtn) {
+            this.compareAddBtn.addEventListener('click', () => this.addCompareFromInput());
+            this.compareItemInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.addCompareFromInput();
+                }
+            });
+            this.compareRefreshBtn.addEventListener('click', () => this.loadCompareData(true));
+            this.compareClearBtn.addEventListener('click', () => {
+                this.compareList = [];
+                this.saveCompareList();
+                this.renderCompareTable();
+            });
+        }
+        
+        // Ledger events
+        if (this.ledgerAddBtn) {
+            this.ledgerAddBtn.addEventListener('click', () => this.addLedgerEntry());
+            this.ledgerRefreshBtn.addEventListener('click', () => this.refreshLedgerValues(true));
+            this.ledgerExportCsvBtn.addEventListener('click', () => this.exportLedger('csv'));
+            this.ledgerExportJsonBtn.addEventListener('click', () => this.exportLedger('json'));
+            this.ledgerItemInput.addEventListener('input', () => {
+                // Typing a different item drops the url picked from an order row
+                if (this.ledgerPrefill && this.ledgerItemInput.value !== this.ledgerPrefill.item_name) {
+                    this.ledgerPrefill = null;
+                }
+            });
+        }
+        
+        // Ducat Finder events
+        if (this.ducatScanBtn) {
+            this.ducatMinRatioInput.value = this.ducatOptions.minRatio;
+            this.ducatExcludeVaultedToggle.checked = this.ducatOptions.excludeVaulted;
+            this.ducatScanBtn.textContent = I18n.t('Scan Prime Parts');
+            this.renderDucatResults();
+            
+            this.ducatScanBtn.addEventListener('click', () => this.toggleDucatScan());
+            this.ducatMinRatioInput.addEventListener('input', () => this.handleDucatOptionsChange());
+            this.ducatExcludeVaultedToggle.addEventListener('change', () => this.handleDucatOptionsChange());
+        }
+        
+        // Flip Finder events
+        if (this.flipScanBtn) {
+            this.renderFlipCategories();
+            this.flipMinMarginInput.value = this.flipOptions.minMargin;
+            this.flipMinVolumeInput.value = this.flipOptions.minVolume;
+            this.flipScanBtn.textContent = I18n.t('Scan');
+            this.renderFlipResults();
+            
+            this.flipScanBtn.addEventListener('click', () => this.toggleFlipScan());
+            this.flipCategorySelect.addEventListener('change', () => this.handleFlipOptionsChange());
+            this.flipMinMarginInput.addEventListener('input', () => this.handleFlipOptionsChange());
+            this.flipMinVolumeInput.addEventListener('input', () => this.handleFlipOptionsChange());
+        }
+        
+        // Riven events
+        if (this.rivenSearchBtn) {
+            this.rivenWeaponInput.value = this.rivenFilters.weaponName || '';
+            this.rivenMinMasteryInput.value = this.rivenFilters.mastery_rank_min || '';
+            this.rivenMaxRerollsInput.value = this.rivenFilters.re_rolls_max || '';
+            this.rivenPolaritySelect.value = this.rivenFilters.polarity || '';
+            this.renderRivenResults();
+            
+            this.rivenWeaponInput.addEventListener('input', () => this.handleRivenWeaponInput());
+            this.rivenWeaponInput.addEventListener('keydown', (e) => this.handleSearchKeydown(e, this.rivenSuggestions));
+            this.rivenSearchBtn.addEventListener('click', () => this.handleRivenSearch());
+        }
+        
+        // Lich and Sister events
+        if (this.lichSearchBtn) {
+            this.renderLichFilterOptions();
+            this.lichWeaponInput.value = this.lichFilters.weaponName || '';
+            this.lichMinDamageInput.value = this.lichFilters.damage_min || '';
+            this.lichMaxDamageInput.value = this.lichFilters.damage_max || '';
+            this.renderLichResults();
+            
+            this.lichKindSelect.addEventListener('change', () => this.handleLichKindChange());
+            this.lichWeaponInput.addEventListener('input', () => this.handleLichWeaponInput());
+            this.lichWeaponInput.addEventListener('keydown', (e) => this.handleSearchKeydown(e, this.lichSuggestions));
+            this.lichSearchBtn.addEventListener('click', () => this.handleLichSearch());
+        }
+        
+        // Hide suggestions when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!this.searchInput.contains(e.target) && !this.suggestionsContainer.contains(e.target)) {
+                this.hideSuggestions();
+            }
+            if (this.rivenWeaponInput && !this.rivenWeaponInput.contains(e.target) && !this.rivenSuggestionsContainer.contains(e.target)) {
+                this.hideSuggestions(this.rivenSuggestions);
+            }
+            if (this.lichWeaponInput && !this.lichWeaponInput.contains(e.target) && !this.lichSuggestionsContainer.contains(e.target)) {
+                this.hideSuggestions(this.lichSuggestions);
+            }
+        });
+    }
+
+    async handleSearchInput(e) {
+        const query = e.target.value.trim();
+        
+        // Clear any pending search
+        if (this.searchTimeout) {
+            clearTimeout(this.searchTimeout);
+        }
+        
+        // Cancel any pending request
+        if (this.currentSearchController) {
+            this.currentSearchController.abort();
+        }
+        
+        if (query.length < 2) {
+            this.hideSuggestions();
+            return;
+        }
+
+        // Debounce the search to avoid too many API calls - longer delay for mobile
+        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+        const debounceDelay = isMobile ? 500 : 300; // 500ms for mobile, 300ms for desktop
+        
+        this.searchTimeout = setTimeout(async () => {
+            try {
+                // Create new AbortController for this request
+                this.currentSearchController = new AbortController();
+                this.currentSearchQuery = query;
+                
+                const items = await this.api.searchItems(query, this.currentSearchController.signal);
+                
+                // Only show suggestions if this is still the current query
+                if (this.currentSearchQuery === query && !this.currentSearchController.signal.aborted) {
+                    this.showSuggestions(items);
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    console.log('Search request was cancelled');
+                    return;
+                }
+                console.error('Search input error:', error);
+                console.warn('Auto-suggestions temporarily unavailable');
+                
+                // Only hide suggestions if this is still the current query
+                if (this.currentSearchQuery === query) {
+                    this.hideSuggestions();
+                    
+                    // Show a subtle warning to user if this is the first failure
+                    if (!this.searchWarningShown) {
+                        this.searchWarningShown = true;
+                        setTimeout(() => {
+                            if (this.searchInput.value.trim() === query) {
+                                const warningText = isMobile 
+                                    ? I18n.t('Auto-suggestions may be limited on mobile. Try typing the full item name.')
+                                    : I18n.t('Auto-suggestions may be limited. Try typing the full item name.');
+                                this.showInfo(warningText);
+                            }
+                        }, 1000);
+                    }
+                }
+            } finally {
+                if (this.currentSearchController && !this.currentSearchController.signal.aborted) {
+                    this.currentSearchController = null;
+                }
+            }
+        }, debounceDelay);
+    }
+
+    handleSearchKeydown(e, box = this.searchSuggestions) {
+        const suggestions = box.container.querySelectorAll('.suggestion-item');
+        const open = box.container.classList.contains('show') && suggestions.length > 0;
+        
+        if (open && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const next = box.activeIndex + step;
+            // Wrap around, passing through "nothing selected" at either end
+            this.setActiveSuggestion(next >= suggestions.length ? -1 : (next < -1 ? suggestions.length - 1 : next), box);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (open && box.activeIndex >= 0) {
+                box.onSelect(suggestions[box.activeIndex]);
+            } else {
+                box.onEnter();
+            }
+        } else if (e.key === 'Escape' && open) {
+            e.preventDefault();
+            this.hideSuggestions(box);
+        }
+    }
+
+    async handleSearch() {
+        const query = this.searchInput.value.trim();
+        
+        if (!query) {
+            this.showError(I18n.t('Please enter an item name'));
+            return;
+        }
+
+        try {
+            console.log('Starting search for:', query);
+            this.showLoading();
+            
+            // Add timeout to prevent hanging - longer for mobile devices
+            const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+            const timeoutDuration = isMobile ? 15000 : 8000; // 15s for mobile, 8s for desktop
+            
+            const searchPromise = this.api.searchItems(query);
+            const timeoutPromise = new Promise((_, reject) => 
+                setTimeout(() => reject(new Error('Search timeout - please try again')), timeoutDuration)
+            );
+            
+            const items = await Promise.race([searchPromise, timeoutPromise]);
+            console.log('Search results:', items);
+            
+            if (items.length === 0) {
+                this.showError(I18n.t('No items found matching your search'));
+                return;
+            }
+
+            // Use exact match if found, otherwise use first result
+            const exactMatch = items.find(item => 
+                item.item_name.toLowerCase() === query.toLowerCase() ||
+                item.url_name.toLowerCase() === query.toLowerCase()
+            );
+            
+            const selectedItem = exactMatch || items[0];
+            console.log('Selected item:', selectedItem);
+            await this.loadItemData(selectedItem);
+            this.hideSuggestions();
+            
+        } catch (error) {
+            console.error('Search error:', error);
+            console.error('Error details:', error.message);
+            
+            // Provide mobile-specific error messages and debugging info
+            const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+            let errorMessage = I18n.t('Connection failed: {error}', { error: error.message });
+            
+            console.log('Search failed with error:', error);
+            console.log('Mobile device:', isMobile);
+            console.log('Network connection:', navigator.onLine ? 'Online' : 'Offline');
+            
+            if (isMobile) {
+                if (error.message.includes('timeout')) {
+                    errorMessage = I18n.t('Search timed out. Mobile networks can be slower - please try again or check your connection.');
+                } else if (error.message.includes('proxy') || error.message.includes('failed')) {
+                    errorMessage = I18n.t('Connection issue on mobile. Try switching to WiFi or mobile data, then search again.');
+                } else if (error.message.includes('Failed to fetch')) {
+                    errorMessage = I18n.t('Network error on mobile. Please check your internet connection and try again.');
+                } else {
+                    errorMessage = I18n.t('Mobile search error: {error}. Check console for details.', { error: error.message });
+                }
+                
+                // Add a suggestion to try desktop version
+                errorMessage += ` ${I18n.t('If issues persist, try using the desktop version.')}`;
+            }
+            
+            this.showError(errorMessage);
+        }
+    }
+
+    applyPlatform() {
+        this.api.setPlatform(this.platformPreferences.platform, this.platformPreferences.crossplay);
+        this.alertsAPI.setPlatform(this.platformPreferences.platform);
+    }
+
+    async handlePlatformChange() {
+        this.platformPreferences = {
+            platform: this.platformSelect.value,
+            crossplay: this.crossplayToggle.checked
+        };
+        localStorage.setItem('platformPreferences', JSON.stringify(this.platformPreferences));
+        this.applyPlatform();
+        
+        // Reload whatever is on screen for the new platform
+        if (this.currentMainTab === 'alerts') {
+            this.loadAlertsData();
+        }
+        // The socket URL can depend on the platform
+        this.restartLiveUpdates();
+        
+        if (this.currentItem) {
+            await this.loadItemData(this.currentItem);
+        }
+    }
+
+    // UI text, item names and world state all follow the selected language. Resolves once
+    // its translations are loaded and the static markup is translated.
+    async applyLanguage() {
+        I18n.setLanguage(this.language);
+        this.api.setLanguage(this.language);
+        this.alertsAPI.setLanguage(this.language);
+        document.documentElement.lang = this.language;
+        await I18n.load(this.language);
+        I18n.apply(document);
+    }
+
+    async handleLanguageChange() {
+        this.language = this.languageSelect.value;
+        localStorage.setItem('language', this.language);
+        await this.applyLanguage();
+        await this.renderForLanguage();
+    }
+
+    // Re-render whatever was built from templates in the previous language
+    async renderForLanguage() {
+        this.hideSuggestions();
+        this.updateHeaderText(this.currentMainTab);
+        this.updateFilterButton();
+        this.updateLiveStatus(this.liveSocket ? this.liveSocket.status : 'disconnected');
+        this.loadRecentSearches();
+        this.renderWatchlist();
+        this.renderCompareTable();
+        this.renderDucatResults();
+        if (this.ducatScanBtn && !this.ducatScanner.running) {
+            this.ducatScanBtn.textContent = I18n.t('Scan Prime Parts');
+        }
+        if (this.flipScanBtn) {
+            this.renderFlipCategories();
+            this.flipScanBtn.textContent = I18n.t(this.flipScanner.running ? 'Stop' : 'Scan');
+        }
+        this.renderFlipResults();
+        
+        // Weapon and stat names come from the API in the selected language
+        this.rivenWeapons = [];
+        this.rivenAttributes = [];
+        if (this.currentMainTab === 'rivens') {
+            this.loadRivenFilters();
+        }
+        this.lichWeapons = [];
+        if (this.lichSearchBtn) this.renderLichFilterOptions();
+        this.renderLichResults();
+        if (this.currentMainTab === 'liches') {
+            this.loadLichWeapons();
+        }
+        if (this.currentMainTab === 'ledger') {
+            this.renderLedger();
+        }
+        if (this.currentMainTab === 'alerts') {
+            this.loadAlertsData();
+        }
+        
+        if (this.currentItem) {
+            const name = await this.api.getItemName(this.currentItem.url_name).catch(() => null);
+            await this.loadItemData(name ? { ...this.currentItem, item_name: name } : this.currentItem);
+        }
+    }
+
+    handleFilterToggle() {
+        // Cycle through: all -> sell -> buy -> all
+        const filters = ['all', 'sell', 'buy'];
+        const currentIndex = filters.indexOf(this.orderFilter);
+        const nextIndex = (currentIndex + 1) % filters.length;
+        this.orderFilter = filters[nextIndex];
+        
+        this.updateFilterButton();
+        
+        // Refresh display if we have current orders
+        this.refreshOrderBook(true);
+    }
+
+    updateFilterButton() {
+        const btn = this.orderFilterBtn;
+        
+        // Remove all filter classes
+        btn.classList.remove('sell-only', 'buy-only');
+        
+        switch (this.orderFilter) {
+            case 'all':
+                btn.textContent = I18n.t('All Orders');
+                btn.dataset.filter = 'all';
+                break;
+            case 'sell':
+                btn.textContent = I18n.t('Sell Orders');
+                btn.classList.add('sell-only');
+                btn.dataset.filter = 'sell';
+                break;
+            case 'buy':
+                btn.textContent = I18n.t('Buy Orders');
+                btn.classList.add('buy-only');
+                btn.dataset.filter = 'buy';
+                break;
+        }
+    }
+
+    async handleRetry() {
+        if (this.currentItem) {
+            await this.loadItemData(this.currentItem);
+        } else {
+            this.handleSearch();
+        }
+    }
+
+    handleTabClick(e) {
+        const tabName = e.target.dataset.tab;
+        this.switchTab(tabName);
+    }
+
+    switchTab(tabName) {
+        this.currentTab = tabName;
+        
+        this.tabBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tabName);
+        });
+        
+        this.tabPanels.forEach(panel => {
+            panel.classList.toggle('active', panel.id === `${tabName}Tab`);
+        });
+        
+        // Part and reward prices are only fetched once their tab is actually opened
+        if (tabName === 'set') {
+            this.loadSetBreakdown();
+        } else if (tabName === 'relic') {
+            this.loadRelicValue();
+        }
+    }
+
+    handleMainTabClick(e) {
+        const tabName = e.target.dataset.mainTab;
+        this.switchMainTab(tabName);
+        
+        // Preload items list when market tab is accessed for faster searches
+        if (tabName === 'market' && !this.itemsPreloaded) {
+            this.preloadItemsList();
+        }
+    }
+
+    async preloadItemsList() {
+        if (this.itemsPreloading) return;
+        this.itemsPreloading = true;
+        
+        try {
+            console.log('Preloading items list for faster searches...');
+            await this.api.getItems();
+            this.itemsPreloaded = true;
+            console.log('Items list preloaded successfully');
+        } catch (error) {
+            console.error('Failed to preload items list:', error);
+        } finally {
+            this.itemsPreloading = false;
+        }
+    }
+
+    switchMainTab(tabName) {
+        this.currentMainTab = tabName;
+        
         this.mainTabBtns.forEach(btn => {
-            btn.addEventListener('click', this.handleMainTabClick.bind(this));
+            btn.classList.toggle('active', btn.dataset.mainTab === tabName);
+        });
+        
+        this.mainTabPanels.forEach(panel => {
+            panel.classList.toggle('active', panel.id === `${tabName}Tab`);
+        });
+        
+        // Update header text based on active tab
+        this.updateHeaderText(tabName);
+        
+        if (tabName === 'ledger') {
+            this.openLedger();
+        } else if (tabName === 'rivens') {
+            this.loadRivenFilters();
+        } else if (tabName === 'liches') {
+            this.loadLichWeapons();
+        } else if (tabName === 'compare') {
+            this.populateItemOptions(this.compareItemOptions);
+            this.renderCompareTable();
+            this.loadCompareData();
+        }
+        
+        // Load alerts data when switching to alerts tab
+        if (tabName === 'alerts') {
+            this.loadAlertsData();
+            this.startAlertsRefresh();
+            this.startTimerUpdates(); // Start real-time timer updates
+        } else {
+            this.stopAlertsRefresh();
+            this.stopTimerUpdates(); // Stop timer updates when not on alerts tab
+        }
+    }
+
+    updateHeaderText(tabName) {
+        const titleAccent = document.querySelector('.title-accent');
+        const titleMain = document.querySelector('.title-main');
+        
+        if (titleAccent && titleMain) {
+            if (tabName === 'alerts') {
+                titleAccent.textContent = 'WARFRAME';
+                titleMain.textContent = I18n.t('ALERTS');
+                document.title = I18n.t('Warframe Alerts');
+            } else if (tabName === 'ducats') {
+                titleAccent.textContent = 'WARFRAME';
+                titleMain.textContent = I18n.t('DUCAT FINDER');
+                document.title = I18n.t('Warframe Ducat Finder');
+            } else if (tabName === 'flips') {
+                titleAccent.textContent = 'WARFRAME';
+                titleMain.textContent = I18n.t('FLIP FINDER');
+                document.title = I18n.t('Warframe Flip Finder');
+            } else if (tabName === 'rivens') {
+                titleAccent.textContent = 'WARFRAME';
+                titleMain.textContent = I18n.t('RIVEN AUCTIONS');
+                document.title = I18n.t('Warframe Riven Auctions');
+            } else if (tabName === 'liches') {
+                titleAccent.textContent = 'WARFRAME';
+                titleMain.textContent = I18n.t('LICH & SISTER AUCTIONS');
+                document.title = I18n.t('Warframe Lich & Sister Auctions');
+            } else if (tabName === 'compare') {
+                titleAccent.textContent = 'WARFRAME';
+                titleMain.textContent = I18n.t('COMPARE ITEMS');
+                document.title = I18n.t('Warframe Item Comparison');
+            } else if (tabName === 'ledger') {
+                titleAccent.textContent = 'WARFRAME';
+                titleMain.textContent = I18n.t('TRADE LEDGER');
+                document.title = I18n.t('Warframe Trade Ledger');
+            } else {
+                titleAccent.textContent = 'WARFRAME';
+                titleMain.textContent = I18n.t('MARKET TRACKER');
+                document.title = I18n.t('Warframe Market Tracker');
+            }
+        }
+    }
+
+    showSuggestions(items, box = this.searchSuggestions) {
+        if (items.length === 0) {
+            this.hideSuggestions(box);
+            return;
+        }
+
+        box.container.innerHTML = items.map((item, index) => `
+            <div class="suggestion-item" id="${box.idPrefix}-${index}" role="option" data-url-name="${Utils.escapeHtml(item.url_name)}" data-item-name="${Utils.escapeHtml(item.item_name)}">
+                ${Utils.escapeHtml(item.item_name)}
+            </div>
+        `).join('');
+        box.activeIndex = -1;
+
+        // Bind click events to suggestions
+        box.container.querySelectorAll('.suggestion-item').forEach((item, index) => {
+            item.addEventListener('click', () => box.onSelect(item));
+            item.addEventListener('mouseenter', () => this.setActiveSuggestion(index, box));
+        });
+
+        box.container.classList.add('show');
+    }
+
+    setActiveSuggestion(index, box = this.searchSuggestions) {
+        box.activeIndex = index;
+        
+        box.container.querySelectorAll('.suggestion-item').forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            if (i === index && typeof item.scrollIntoView === 'function') {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+        
+        if (index >= 0) {
+            box.input.setAttribute('aria-activedescendant', `${box.idPrefix}-${index}`);
+        } else {
+            box.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    async selectSuggestion(suggestion) {
+        const urlName = suggestion.dataset.urlName;
+        const itemName = suggestion.dataset.itemName;
+        
+        this.searchInput.value = itemName;
+        this.hideSuggestions();
+        
+        await this.loadItemData({ url_name: urlName, item_name: itemName });
+    }
+
+    hideSuggestions(box = this.searchSuggestions) {
+        box.container.classList.remove('show');
+        box.container.innerHTML = '';
+        box.activeIndex = -1;
+        box.input.removeAttribute('aria-activedescendant');
+    }
+
+    async loadItemData(item, variant = undefined) {
+        // A different item starts from its own default variant unless one is requested
+        if (variant !== undefined) {
+            this.selectedVariant = variant;
+        } else if (!this.currentItem || this.currentItem.url_name !== item.url_name) {
+            this.selectedVariant = null;
+        }
+        if (!this.currentItem || this.currentItem.url_name !== item.url_name) {
+            this.orderPage = 0;
+        }
+        this.currentItem = item;
+        this.showLoading();
+        
+        try {
+            const response = await this.api.getItemOrders(item.url_name);
+            const orders = response.payload.orders;
+            
+            this.addToRecentSearches(item);
+            this.displayItemData(item, orders);
+            this.updateOfflineBadge(this.offlineBadge, this.api.getItemOrdersInfo(item.url_name));
+            this.showResults();
+            
+            this.recordPriceSnapshot(item, orders);
+            this.loadTradeStatistics(item);
+            this.loadItemDetails(item);
+            this.updateRelicTab();
+            this.startLiveUpdates(item);
+            
+        } catch (error) {
+            console.error('Load item error:', error);
+            this.showError(I18n.t('Failed to load data for {item}', { item: item.item_name }), true);
+        }
+    }
+
+    displayItemData(item, orders) {
+        this.itemNameEl.textContent = item.item_name;
+        this.currentOrders = orders; // Store for filtering
+        
+        // Default to the variant with the most orders until the user picks one
+        this.currentVariants = this.getVariants(orders);
+        if (!this.currentVariants.some(variant => variant.key === this.selectedVariant)) {
+            const busiest = [...this.currentVariants].sort((a, b) => b.orders.length - a.orders.length)[0];
+            this.selectedVariant = busiest ? busiest.key : null;
+        }
+        this.renderVariantBar();
+        
+        const variantOrders = this.getSelectedOrders();
+        const buyOrders = variantOrders.filter(order => order.order_type === 'buy').sort((a, b) => b.platinum - a.platinum);
+        const sellOrders = variantOrders.filter(order => order.order_type === 'sell').sort((a, b) => a.platinum - b.platinum);
+        
+        // Update pricing summary from online orders only, like the history and watchlist
+        const snapshot = PriceHistoryStore.summarize(variantOrders);
+        this.highestBuyEl.textContent = snapshot.highestBuy !== null ? `${snapshot.highestBuy} ♦` : '-- ♦';
+        this.lowestSellEl.textContent = snapshot.lowestSell !== null ? `${snapshot.lowestSell} ♦` : '-- ♦';
+        
+        // Display orders in new table format
+        this.displayOrders(variantOrders, null);
+        this.updateSidebarPrice(item.url_name, snapshot.lowestSell);
+        
+        // Update statistics
+        this.updateStatistics(buyOrders, sellOrders, variantOrders);
+        
+        this.updateWatchButton();
+        this.updateCompareButton();
+    }
+
+    // Orders for mods and arcanes carry mod_rank, relics and some other items carry a subtype
+    getOrderVariant(order) {
+        const hasRank = order.mod_rank !== undefined && order.mod_rank !== null;
+        const hasSubtype = typeof order.subtype === 'string' && order.subtype !== '';
+        
+        if (!hasRank && !hasSubtype) {
+            return { key: 'default', label: I18n.t('All'), rank: null, subtype: null };
+        }
+        
+        const keyParts = [];
+        const labelParts = [];
+        if (hasRank) {
+            keyParts.push(`rank:${order.mod_rank}`);
+            labelParts.push(I18n.t('Rank {rank}', { rank: order.mod_rank }));
+        }
+        if (hasSubtype) {
+            keyParts.push(`subtype:${order.subtype}`);
+            labelParts.push(order.subtype.replace(/_/g, ' ').replace(/\b\w/g, char => char.toUpperCase()));
+        }
+        
+        return {
+            key: keyParts.join('|'),
+            label: labelParts.join(' · '),
+            rank: hasRank ? order.mod_rank : null,
+            subtype: hasSubtype ? order.subtype : null
+        };
+    }
+
+    getVariants(orders) {
+        const variants = new Map();
+        orders.forEach(order => {
+            const variant = this.getOrderVariant(order);
+            if (!variants.has(variant.key)) {
+                variants.set(variant.key, { ...variant, orders: [] });
+            }
+            variants.get(variant.key).orders.push(order);
+        });
+        
+        // Relic refinements in their natural order, then by rank
+        const refinementOrder = ['intact', 'exceptional', 'flawless', 'radiant'];
+        const subtypeIndex = subtype => {
+            const index = refinementOrder.indexOf(subtype);
+            return index === -1 ? refinementOrder.length : index;
+        };
+        
+        return [...variants.values()].sort((a, b) => {
+            if (subtypeIndex(a.subtype) !== subtypeIndex(b.subtype)) {
+                return subtypeIndex(a.subtype) - subtypeIndex(b.subtype);
+            }
+            if ((a.subtype || '') !== (b.subtype || '')) {
+                return (a.subtype || '').localeCompare(b.subtype || '');
+            }
+            return (a.rank || 0) - (b.rank || 0);
+        });
+    }
+
+    getSelectedVariant() {
+        return this.currentVariants.find(variant => variant.key === this.selectedVariant) || null;
+    }
+
+    getSelectedOrders() {
+        const variant = this.getSelectedVariant();
+        return variant ? variant.orders : (this.currentOrders || []);
+    }
+
+    selectVariant(key) {
+        if (!this.currentItem || !this.currentOrders || key === this.selectedVariant) return;
+        
+        this.selectedVariant = key;
+        this.orderPage = 0;
+        this.displayItemData(this.currentItem, this.currentOrders);
+        this.displayTradeStatistics();
+        this.renderHistoryChart();
+    }
+
+    renderVariantBar() {
+        if (!this.variantBar) return;
+        
+        // Nothing to choose between for items that only trade in one form
+        if (this.currentVariants.length <= 1) {
+            this.variantBar.classList.remove('show');
+            this.variantSelect.innerHTML = '';
+            this.variantSummary.innerHTML = '';
+            return;
+        }
+        
+        const variantPrices = variant => {
+            const snapshot = PriceHistoryStore.summarize(variant.orders);
+            return {
+                sell: snapshot.lowestSell !== null ? `${snapshot.lowestSell} ♦` : '--',
+                buy: snapshot.highestBuy !== null ? `${snapshot.highestBuy} ♦` : '--'
+            };
+        };
+        
+        this.variantSelect.innerHTML = this.currentVariants.map(variant => `
+            <option value="${Utils.escapeHtml(variant.key)}" ${variant.key === this.selectedVariant ? 'selected' : ''}>${Utils.escapeHtml(variant.label)} (${I18n.t('{count} orders', { count: variant.orders.length })})</option>
+        `).join('');
+        
+        this.variantSummary.innerHTML = this.currentVariants.map(variant => {
+            const prices = variantPrices(variant);
+            return `
+                <button class="variant-chip ${variant.key === this.selectedVariant ? 'active' : ''}" data-variant="${Utils.escapeHtml(variant.key)}">
+                    <span class="variant-chip-label">${Utils.escapeHtml(variant.label)}</span>
+                    <span class="variant-chip-prices">${I18n.t('Sell')} ${prices.sell} · ${I18n.t('Buy')} ${prices.buy}</span>
+                </button>
+            `;
+        }).join('');
+        
+        this.variantSummary.querySelectorAll('.variant-chip').forEach(chip => {
+            chip.addEventListener('click', () => this.selectVariant(chip.dataset.variant));
+        });
+        
+        this.variantBar.classList.add('show');
+    }
+
+    // The order book as shown: filtered by status, type and quantity, then sorted
+    getBookOrders(orders) {
+        const statusPriority = { ingame: 3, online: 2, offline: 1 };
+        
+        // Status, order type and minimum quantity filters
+        let filteredOrders = orders.filter(order => this.orderStatusFilter[order.user.status] !== false);
+        if (this.orderFilter === 'buy') {
+            filteredOrders = filteredOrders.filter(order => order.order_type === 'buy');
+        } else if (this.orderFilter === 'sell') {
+            filteredOrders = filteredOrders.filter(order => order.order_type === 'sell');
+        }
+        filteredOrders = filteredOrders.filter(order => order.quantity >= this.orderMinQuantity);
+        
+        if (this.orderSort.key) {
+            const sortValue = {
+                price: order => order.platinum,
+                quantity: order => order.quantity,
+                status: order => statusPriority[order.user.status] || 0,
+                reputation: order => order.user.reputation || 0,
+                updated: order => new Date(order.last_update).getTime() || 0
+            }[this.orderSort.key];
+            const direction = this.orderSort.direction === 'asc' ? 1 : -1;
+            
+            return [...filteredOrders].sort((a, b) =>
+                (sortValue(a) - sortValue(b)) * direction || a.platinum - b.platinum
+            );
+        }
+        
+        // Default book: sells then buys, each prioritising in-game, then online, then offline
+        // users, then the best price
+        const sortWithPriority = (a, b, isAscending = true) => {
+            const aPriority = statusPriority[a.user.status] || 0;
+            const bPriority = statusPriority[b.user.status] || 0;
+            
+            if (aPriority !== bPriority) {
+                return bPriority - aPriority; // Higher priority first
+            }
+            
+            return isAscending ? a.platinum - b.platinum : b.platinum - a.platinum;
+        };
+        
+        const buyOrders = filteredOrders
+            .filter(order => order.order_type === 'buy')
+            .sort((a, b) => sortWithPriority(a, b, false)); // Descending price for buy orders
+            
+        const sellOrders = filteredOrders
+            .filter(order => order.order_type === 'sell')
+            .sort((a, b) => sortWithPriority(a, b, true)); // Ascending price for sell orders
+        
+        return [...sellOrders, ...buyOrders];
+    }
+
+    displayOrders(orders, container) {
+        // Update for new table structure
+        const tableBody = document.getElementById('ordersTableBody');
+        const totalOrdersQuick = document.getElementById('totalOrdersQuick');
+        
+        if (!tableBody) {
+            console.error('Table body not found');
+            return;
+        }
+
+        if (orders.length === 0) {
+            tableBody.innerHTML = `<div class="no-orders" style="padding: 20px; text-align: center; color: #9ca3af;">${I18n.t('No orders available')}</div>`;
+            if (totalOrdersQuick) totalOrdersQuick.textContent = '0';
+            this.displayedOrders = new Map();
+            this.renderOrderPagination(0, 1);
+            return;
+        }
+
+        const sortedOrders = this.getBookOrders(orders);
+        
+        // Paginate so items with hundreds of orders stay responsive
+        const pageCount = Math.max(1, Math.ceil(sortedOrders.length / this.ordersPerPage));
+        this.orderPage = Math.min(this.orderPage, pageCount - 1);
+        const pageStart = this.orderPage * this.ordersPerPage;
+        const pageOrders = sortedOrders.slice(pageStart, pageStart + this.ordersPerPage);
+
+        if (totalOrdersQuick) totalOrdersQuick.textContent = sortedOrders.length.toString();
+
+        this.updateOrderSortHeaders();
+        this.renderOrderPagination(sortedOrders.length, pageCount);
+        this.displayedOrders = new Map(pageOrders.map(order => [order.id, order]));
+        
+        if (pageOrders.length === 0) {
+            tableBody.innerHTML = `<div class="no-orders" style="padding: 20px; text-align: center; color: #9ca3af;">${I18n.t('No orders match the current filters')}</div>`;
+            return;
+        }
+        
+        // Rows changed by a live update in the last few seconds get highlighted
+        const now = Date.now();
+        this.changedOrderIds.forEach((changedAt, id) => {
+            if (now - changedAt > 10000) this.changedOrderIds.delete(id);
+        });
+        
+        tableBody.innerHTML = pageOrders.map(order => `
+            <div class="table-row ${this.changedOrderIds.has(order.id) ? 'live-changed' : ''}">
+                <div class="table-cell" data-label="${I18n.t('Player')}">${Utils.escapeHtml(order.user.ingame_name)}</div>
+                <div class="table-cell type-${order.order_type}" data-label="${I18n.t('Type')}">${I18n.t(order.order_type === 'sell' ? 'Sell' : 'Buy').toUpperCase()}</div>
+                <div class="table-cell price" data-label="${I18n.t('Price')}">${order.platinum} ♦</div>
+                <div class="table-cell" data-label="${I18n.t('Quantity')}">${order.quantity}</div>
+                <div class="table-cell status status-${Utils.escapeHtml(order.user.status)}" data-label="${I18n.t('Status')}">${Utils.escapeHtml(I18n.t(order.user.status))}</div>
+                <div class="table-cell" data-label="${I18n.t('Reputation')}">${order.user.reputation || 0}</div>
+                <div class="table-cell updated" data-label="${I18n.t('Updated')}">${order.last_update ? Utils.timeAgo(new Date(order.last_update)) : '--'}</div>
+                <div class="table-cell actions" data-label="${I18n.t('Actions')}">
+                    <button class="row-action-btn whisper-btn" data-order-id="${Utils.escapeHtml(order.id)}" title="${I18n.t('Copy whisper message')}">💬</button>
+                    <button class="row-action-btn log-btn" data-order-id="${Utils.escapeHtml(order.id)}" title="${I18n.t('Log trade in ledger')}">📒</button>
+                </div>
+            </div>
+        `).join('');
+        
+        tableBody.querySelectorAll('.whisper-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handleWhisper(btn.dataset.orderId));
+        });
+        
+        tableBody.querySelectorAll('.log-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.logOrderInLedger(btn.dataset.orderId));
+        });
+    }
+
+    // Clicking a column sorts by it; clicking again flips the direction, a third
+    // click goes back to the default book order
+    handleOrderSort(key) {
+        if (this.orderSort.key !== key) {
+            this.orderSort = { key, direction: key === 'price' ? 'asc' : 'desc' };
+        } else if (this.orderSort.direction === (key === 'price' ? 'asc' : 'desc')) {
+            this.orderSort.direction = key === 'price' ? 'desc' : 'asc';
+        } else {
+            this.orderSort = { key: null, direction: 'asc' };
+        }
+        
+        this.refreshOrderBook(true);
+    }
+
+    handleOrderBookFilterChange() {
+        this.orderStatusFilter = {};
+        this.orderStatusToggles.forEach(toggle => {
+            this.orderStatusFilter[toggle.dataset.status] = toggle.checked;
+        });
+        
+        const minQuantity = parseInt(this.orderMinQuantityInput.value, 10);
+        this.orderMinQuantity = isNaN(minQuantity) || minQuantity < 1 ? 1 : minQuantity;
+        
+        this.refreshOrderBook(true);
+    }
+
+    refreshOrderBook(resetPage = false) {
+        if (resetPage) this.orderPage = 0;
+        if (this.currentOrders) {
+            this.displayOrders(this.getSelectedOrders(), null);
+        }
+    }
+
+    updateOrderSortHeaders() {
+        this.orderSortHeaders.forEach(header => {
+            const active = header.dataset.sort === this.orderSort.key;
+            header.classList.toggle('sorted', active);
+            header.dataset.direction = active ? this.orderSort.direction : '';
+        });
+    }
+
+    renderOrderPagination(total, pageCount) {
+        if (!this.orderPaginationEl) return;
+        
+        if (total <= this.ordersPerPage) {
+            this.orderPaginationEl.innerHTML = total > 0 ? `<span class="page-info">${I18n.t('{count} orders', { count: total })}</span>` : '';
+            return;
+        }
+        
+        const first = this.orderPage * this.ordersPerPage + 1;
+        const last = Math.min(total, first + this.ordersPerPage - 1);
+        
+        this.orderPaginationEl.innerHTML = `
+            <button class="page-btn" data-page="prev" ${this.orderPage === 0 ? 'disabled' : ''}>‹ ${I18n.t('Prev')}</button>
+            <span class="page-info">${I18n.t('{first}–{last} of {total} orders · Page {page}/{pages}', { first, last, total, page: this.orderPage + 1, pages: pageCount })}</span>
+            <button class="page-btn" data-page="next" ${this.orderPage >= pageCount - 1 ? 'disabled' : ''}>${I18n.t('Next')} ›</button>
+        `;
+        
+        this.orderPaginationEl.querySelectorAll('.page-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.orderPage += btn.dataset.page === 'next' ? 1 : -1;
+                this.refreshOrderBook();
+            });
+        });
+    }
+
+    // Live order updates
+    getLiveUrl() {
+        return (this.settings.liveUrl || this.defaultLiveUrl).replace('{platform}', this.api.platform);
+    }
+
+    async startLiveUpdates(item) {
+        await this.settingsReady;
+        if (!this.settings.liveUpdates) return;
+        
+        if (!this.liveSocket) {
+            this.liveSocket = new MarketSocket({
+                url: this.getLiveUrl(),
+                onOrderEvent: this.handleLiveOrderEvent.bind(this),
+                onStatusChange: this.updateLiveStatus.bind(this)
+            });
+            this.liveSocket.subscribe(item.url_name);
+            this.liveSocket.connect();
+        } else {
+            this.liveSocket.subscribe(item.url_name);
+        }
+    }
+
+    stopLiveUpdates() {
+        if (this.liveSocket) {
+            this.liveSocket.disconnect();
+            this.liveSocket = null;
+        }
+        this.updateLiveStatus('disconnected');
+    }
+
+    restartLiveUpdates() {
+        const wasRunning = !!this.liveSocket;
+        this.stopLiveUpdates();
+        if (wasRunning && this.currentItem) {
+            this.startLiveUpdates(this.currentItem);
+        }
+    }
+
+    updateLiveStatus(status) {
+        if (!this.liveStatusBtn) return;
+        
+        const labels = {
+            connected: I18n.t('Live'),
+            connecting: I18n.t('Connecting...'),
+            reconnecting: I18n.t('Reconnecting...'),
+            disconnected: I18n.t(this.settings.liveUpdates ? 'Offline' : 'Live off')
+        };
+        this.liveStatusBtn.className = `live-status ${status}`;
+        this.liveStatusBtn.textContent = `● ${labels[status] || status}`;
+    }
+
+    handleLiveOrderEvent(event) {
+        if (!this.currentItem || !this.currentOrders) return;
+        
+        const index = this.currentOrders.findIndex(order => order.id === event.orderId);
+        
+        // Orders from the most-recent stream for other items are ignored. Without an item
+        // name only orders already in the book can be matched.
+        if (event.urlName ? event.urlName !== this.currentItem.url_name : index === -1) return;
+        
+        if (event.action === 'remove') {
+            if (index === -1) return;
+            this.currentOrders.splice(index, 1);
+        } else {
+            const existing = index === -1 ? null : this.currentOrders[index];
+            // Partial updates keep whatever the message leaves out, e.g. the user
+            const order = { ...(existing || {}), ...event.order, user: event.order.user || (existing && existing.user) };
+            if (!order.user) return;
+            
+            if (existing) {
+                this.currentOrders[index] = order;
+            } else {
+                this.currentOrders.push(order);
+            }
+            this.changedOrderIds.set(order.id, Date.now());
+        }
+        
+        this.api.invalidateItemOrders(this.currentItem.url_name);
+        this.scheduleLiveRender();
+    }
+
+    // Bursts of messages are applied in one render
+    scheduleLiveRender() {
+        if (this.liveRenderTimer) return;
+        
+        this.liveRenderTimer = setTimeout(() => {
+            this.liveRenderTimer = null;
+            if (this.currentItem && this.currentOrders) {
+                this.displayItemData(this.currentItem, this.currentOrders);
+            }
+        }, 250);
+    }
+
+    async editLiveSettings() {
+        await this.settingsReady;
+        
+        const body = await this.showModal({
+            title: I18n.t('Live Order Updates'),
+            body: `
+                <label class="modal-checkbox">
+                    <input type="checkbox" id="liveUpdatesToggle"> ${I18n.t('Update orders live while an item is open')}
+                </label>
+                <input type="text" id="liveUrlInput" class="modal-input" spellcheck="false">
+                <p class="modal-hint">${I18n.t('WebSocket URL. {platform} is replaced with the selected platform. Use e.g. ws://localhost:8080 for a local test server. Leave empty to restore the default.')}</p>
+            `,
+            confirmText: I18n.t('Save'),
+            onOpen: (modalBody) => {
+                modalBody.querySelector('#liveUpdatesToggle').checked = this.settings.liveUpdates;
+                modalBody.querySelector('#liveUrlInput').value = this.settings.liveUrl;
+            }
+        });
+        if (!body) return;
+        
+        const url = body.querySelector('#liveUrlInput').value.trim() || this.defaultLiveUrl;
+        if (!/^wss?:\/\//i.test(url)) {
+            this.showInfo(I18n.t('The live updates URL must start with ws:// or wss://'));
+            return;
+        }
+        
+        this.settings.liveUpdates = body.querySelector('#liveUpdatesToggle').checked;
+        this.settings.liveUrl = url;
+        await this.saveSettings();
+        
+        this.stopLiveUpdates();
+        if (this.settings.liveUpdates && this.currentItem) {
+            this.startLiveUpdates(this.currentItem);
+        }
+    }
+
+    async editProxySettings() {
+        await this.settingsReady;
+        
+        const rows = this.api.proxyHealth.order(this.api.corsProxies).map(proxy => {
+            const stat = this.api.proxyHealth.get(proxy);
+            const health = stat
+                ? `${I18n.t('{percent}% ok', { percent: Math.round(stat.successRate * 100) })}${stat.latency !== null ? ` · ${Math.round(stat.latency)}ms` : ''}`
+                : I18n.t('untried');
+            return `<div class="proxy-health-row"><span class="proxy-health-url">${Utils.escapeHtml(proxy)}</span><span>${health}</span></div>`;
+        }).join('');
+        
+        const body = await this.showModal({
+            title: I18n.t('CORS Proxies'),
+            body: `
+                <textarea id="proxyListInput" class="modal-input modal-textarea" rows="5" spellcheck="false"></textarea>
+                <p class="modal-hint">${I18n.t('One proxy per line, tried fastest first. {url} is replaced with the API URL and {encodedUrl} with the encoded URL. Run <code>npm run relay</code> and add http://localhost:8787/?url={encodedUrl} to use your own relay. Leave empty to restore the defaults.')}</p>
+                <div class="proxy-health">${rows}</div>
+            `,
+            confirmText: I18n.t('Save'),
+            onOpen: (modalBody) => {
+                modalBody.querySelector('#proxyListInput').value = this.api.corsProxies.join('\n');
+            }
+        });
+        if (!body) return;
+        
+        const proxies = body.querySelector('#proxyListInput').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+        const invalid = proxies.find(proxy => !/^https?:\/\//i.test(proxy));
+        if (invalid) {
+            this.showInfo(I18n.t('Proxy URLs must start with http:// or https:// ({url})', { url: invalid }));
+            return;
+        }
+        
+        const isDefault = proxies.length === this.api.defaultProxies.length &&
+            proxies.every((proxy, index) => proxy === this.api.defaultProxies[index]);
+        this.settings.proxies = isDefault ? [] : proxies;
+        this.api.setProxies(this.settings.proxies);
+        await this.saveSettings();
+    }
+
+    async loadSettings() {
+        const stored = await this.dataStore.load('settings', {});
+        if (stored && typeof stored === 'object') {
+            Object.assign(this.settings, stored, WarframeMarketApp.normalizePreferences(stored));
+        }
+        this.api.setProxies(this.settings.proxies);
+        this.applySettings(true);
+    }
+
+    static get defaultPreferences() {
+        return {
+            cacheTimeout: 300000,
+            itemsCacheTimeout: 3600000,
+            alertsRefreshInterval: 60000,
+            recentSearchLimit: 5,
+            defaultOrderFilter: 'all',
+            timerWarningThreshold: 300
+        };
+    }
+
+    // Numeric preferences on the Settings screen. Stored in the units the code uses and
+    // shown in friendlier ones: shown value = stored value / scale.
+    static get preferenceFields() {
+        return [
+            { key: 'cacheTimeout', label: 'Order cache (minutes)', scale: 60000, min: 0, max: 60 },
+            { key: 'itemsCacheTimeout', label: 'Item list cache (hours)', scale: 3600000, min: 1, max: 168 },
+            { key: 'alertsRefreshInterval', label: 'Alerts refresh (seconds)', scale: 1000, min: 15, max: 3600 },
+            { key: 'timerWarningThreshold', label: 'Timer warning (minutes)', scale: 60, min: 0, max: 120 },
+            { key: 'recentSearchLimit', label: 'Recent searches kept', scale: 1, min: 1, max: 50 }
+        ];
+    }
+
+    // Settings files can be edited by hand, fall back to the default for anything out of range
+    static normalizePreferences(values) {
+        const defaults = WarframeMarketApp.defaultPreferences;
+        const preferences = {};
+        WarframeMarketApp.preferenceFields.forEach(field => {
+            const value = values[field.key];
+            const valid = typeof value === 'number' && Number.isFinite(value) &&
+                value >= field.min * field.scale && value <= field.max * field.scale;
+            preferences[field.key] = valid ? value : defaults[field.key];
+        });
+        preferences.defaultOrderFilter = ['all', 'sell', 'buy'].includes(values.defaultOrderFilter)
+            ? values.defaultOrderFilter
+            : defaults.defaultOrderFilter;
+        return preferences;
+    }
+
+    // Push preferences to the places that use them. The default order filter only replaces
+    // the current one at startup or when the default itself changes.
+    applySettings(resetOrderFilter = false) {
+        this.api.cacheTimeout = this.settings.cacheTimeout;
+        this.api.itemsCacheTimeout = this.settings.itemsCacheTimeout;
+        this.alertsAPI.itemsCacheTimeout = this.settings.itemsCacheTimeout;
+        // Cached world state should never outlive one refresh
+        this.alertsAPI.cacheTimeout = Math.min(60000, this.settings.alertsRefreshInterval);
+        if (this.alertsRefreshInterval) {
+            this.startAlertsRefresh();
+        }
+        
+        if (this.recentSearches.length > this.settings.recentSearchLimit) {
+            this.recentSearches = this.recentSearches.slice(0, this.settings.recentSearchLimit);
+            this.saveSidebarLists();
+            if (this.recentList) this.loadRecentSearches();
+        }
+        
+        if (resetOrderFilter && this.orderFilter !== this.settings.defaultOrderFilter) {
+            this.orderFilter = this.settings.defaultOrderFilter;
+            if (this.orderFilterBtn) this.updateFilterButton();
+            this.refreshOrderBook(true);
+        }
+    }
+
+    async editSettings() {
+        await this.settingsReady;
+        
+        const fields = WarframeMarketApp.preferenceFields;
+        const filterOptions = { all: 'All Orders', sell: 'Sell Orders', buy: 'Buy Orders' };
+        const body = await this.showModal({
+            title: I18n.t('Settings'),
+            body: `
+                <div class="settings-grid">
+                    ${fields.map(field => `
+                        <label class="settings-field">
+                            <span>${I18n.t(field.label)}</span>
+                            <input type="number" class="modal-input" data-setting="${field.key}" min="${field.min}" max="${field.max}" step="any">
+                        </label>
+                    `).join('')}
+                    <label class="settings-field">
+                        <span>${I18n.t('Default order filter')}</span>
+                        <select class="modal-input" data-setting="defaultOrderFilter">
+                            ${Object.entries(filterOptions).map(([value, label]) => `<option value="${value}">${I18n.t(label)}</option>`).join('')}
+                        </select>
+                    </label>
+                </div>
+                <p class="modal-hint">${I18n.t('Leave a field empty to restore its default. An order cache of 0 always fetches fresh orders.')}</p>
+            `,
+            confirmText: I18n.t('Save'),
+            onOpen: (modalBody) => {
+                fields.forEach(field => {
+                    modalBody.querySelector(`[data-setting="${field.key}"]`).value = this.settings[field.key] / field.scale;
+                });
+                modalBody.querySelector('[data-setting="defaultOrderFilter"]').value = this.settings.defaultOrderFilter;
+            }
+        });
+        if (!body) return;
+        
+        const defaults = WarframeMarketApp.defaultPreferences;
+        const values = {};
+        for (const field of fields) {
+            const raw = body.querySelector(`[data-setting="${field.key}"]`).value.trim();
+            const value = raw === '' ? defaults[field.key] / field.scale : Number(raw);
+            if (!Number.isFinite(value) || value < field.min || value > field.max) {
+                this.showInfo(I18n.t('{setting} must be between {min} and {max}', { setting: I18n.t(field.label), min: field.min, max: field.max }));
+                return;
+            }
+            values[field.key] = Math.round(value * field.scale);
+        }
+        values.defaultOrderFilter = body.querySelector('[data-setting="defaultOrderFilter"]').value;
+        
+        const filterChanged = values.defaultOrderFilter !== this.settings.defaultOrderFilter;
+        Object.assign(this.settings, WarframeMarketApp.normalizePreferences(values));
+        await this.saveSettings();
+        this.applySettings(filterChanged);
+        this.showInfo(I18n.t('Settings saved'));
+    }
+
+    async saveSettings() {
+        await this.dataStore.save('settings', this.settings);
+    }
+
+    // Fill in the whisper template for an order. When acting on several units the
+    // price becomes the total and the item name gets an "xN" suffix.
+    // Whispers are read in game, which only understands English item names
+    buildWhisperMessage(order, quantity = 1, itemName = this.currentItem ? this.currentItem.item_name : '') {
+        let itemText = itemName;
+        if (order.mod_rank !== undefined && order.mod_rank !== null) {
+            itemText += ` (rank ${order.mod_rank})`;
+        } else if (order.subtype) {
+            itemText += ` (${order.subtype})`;
+        }
+        if (quantity > 1) {
+            itemText += ` x${quantity}`;
+        }
+        
+        const values = {
+            player: order.user.ingame_name,
+            action: order.order_type === 'sell' ? 'buy' : 'sell', // We answer the opposite side
+            item: itemText,
+            price: order.platinum * quantity,
+            unit_price: order.platinum,
+            quantity: quantity
+        };
+        
+        const template = this.settings.whisperTemplate || this.defaultWhisperTemplate;
+        return template.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+    }
+
+    async handleWhisper(orderId) {
+        const order = this.displayedOrders.get(orderId);
+        if (!order) return;
+        
+        await this.settingsReady;
+        
+        let quantity = 1;
+        if (order.quantity > 1) {
+            const body = await this.showModal({
+                title: I18n.t('How many?'),
+                body: `
+                    <p class="modal-text">${I18n.t('{player} has {quantity} available at {price} ♦ each.', { player: Utils.escapeHtml(order.user.ingame_name), quantity: order.quantity, price: order.platinum })}</p>
+                    <input type="number" id="whisperQuantity" class="modal-input" min="1" max="${order.quantity}" value="1">
+                `,
+                confirmText: I18n.t('Copy Whisper')
+            });
+            if (!body) return;
+            
+            const requested = parseInt(body.querySelector('#whisperQuantity').value, 10);
+            quantity = Math.min(order.quantity, Math.max(1, Number.isFinite(requested) ? requested : 1));
+        }
+        
+        let itemName = this.currentItem ? this.currentItem.item_name : '';
+        if (this.currentItem) {
+            try {
+                itemName = (await this.api.getEnglishName(this.currentItem.url_name)) || itemName;
+            } catch (error) {
+                console.error('Failed to load English item name:', error);
+            }
+        }
+        
+        const message = this.buildWhisperMessage(order, quantity, itemName);
+        const copied = await Utils.copyToClipboard(message);
+        this.showInfo(copied ? I18n.t('Copied: {message}', { message }) : I18n.t('Could not copy whisper to the clipboard'), 4000);
+    }
+
+    async editWhisperTemplate() {
+        await this.settingsReady;
+        
+        const body = await this.showModal({
+            title: I18n.t('Whisper Template'),
+            body: `
+                <textarea id="whisperTemplateInput" class="modal-input modal-textarea" rows="3"></textarea>
+                <p class="modal-hint">${I18n.t('Placeholders: {player}, {action}, {item}, {price}, {unit_price}, {quantity}. Leave empty to restore the default.')}</p>
+            `,
+            confirmText: I18n.t('Save'),
+            onOpen: (modalBody) => {
+                modalBody.querySelector('#whisperTemplateInput').value = this.settings.whisperTemplate;
+            }
+        });
+        if (!body) return;
+        
+        const template = body.querySelector('#whisperTemplateInput').value.trim();
+        this.settings.whisperTemplate = template || this.defaultWhisperTemplate;
+        await this.saveSettings();
+        this.showInfo(I18n.t('Whisper template saved'));
+    }
+
+    // Minimal modal dialog. Resolves with the dialog body on confirm so callers can
+    // read their inputs, or null when cancelled.
+    showModal({ title, body, confirmText = I18n.t('OK'), onOpen = null }) {
+        return new Promise((resolve) => {
+            this.modalTitle.textContent = title;
+            this.modalBody.innerHTML = body;
+            this.modalConfirmBtn.textContent = confirmText;
+            this.modalOverlay.classList.add('show');
+            
+            const close = (result) => {
+                this.modalOverlay.classList.remove('show');
+                this.modalConfirmBtn.removeEventListener('click', onConfirm);
+                this.modalCancelBtn.removeEventListener('click', onCancel);
+                this.modalOverlay.removeEventListener('keydown', onKeydown);
+                resolve(result);
+            };
+            const onConfirm = () => close(this.modalBody);
+            const onCancel = () => close(null);
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') onCancel();
+                if (e.key === 'Enter' && e.target.tagName !== 'TEXTAREA') onConfirm();
+            };
+            
+            this.modalConfirmBtn.addEventListener('click', onConfirm);
+            this.modalCancelBtn.addEventListener('click', onCancel);
+            this.modalOverlay.addEventListener('keydown', onKeydown);
+            
+            if (onOpen) onOpen(this.modalBody);
+            
+            const firstInput = this.modalBody.querySelector('input, textarea, select');
+            (firstInput || this.modalConfirmBtn).focus();
+        });
+    }
+
+    updateStatistics(buyOrders, sellOrders, allOrders) {
+        const totalOrders = allOrders.length;
+        const onlineUsers = allOrders.filter(order => order.user.status === 'online');
+        const onlineSellers = sellOrders.filter(order => order.user.status === 'online').length;
+        const onlineBuyers = buyOrders.filter(order => order.user.status === 'online').length;
+        
+        // Price calculations
+        const allPrices = allOrders.map(order => order.platinum).filter(price => price > 0);
+        const minPrice = allPrices.length > 0 ? Math.min(...allPrices) : 0;
+        const maxPrice = allPrices.length > 0 ? Math.max(...allPrices) : 0;
+        const avgPrice = allPrices.length > 0 ? Math.round(allPrices.reduce((a, b) => a + b, 0) / allPrices.length) : 0;
+        
+        this.marketSummary = {
+            total_orders: totalOrders,
+            sell_orders: sellOrders.length,
+            buy_orders: buyOrders.length,
+            lowest_sell: sellOrders.length > 0 ? sellOrders[0].platinum : null,
+            highest_buy: buyOrders.length > 0 ? buyOrders[0].platinum : null,
+            min_price: minPrice,
+            max_price: maxPrice,
+            average_price: avgPrice,
+            online_sellers: onlineSellers,
+            online_buyers: onlineBuyers,
+            updated: new Date().toISOString()
+        };
+        
+        this.totalOrdersEl.textContent = totalOrders.toString();
+        this.priceRangeEl.textContent = `${minPrice} - ${maxPrice} ♦`;
+        this.averagePriceEl.textContent = `${avgPrice} ♦`;
+        this.onlineSellersEl.textContent = onlineSellers.toString();
+        this.onlineBuyersEl.textContent = onlineBuyers.toString();
+        this.lastUpdatedEl.textContent = new Date().toLocaleTimeString();
+    }
+
+    async recordPriceSnapshot(item, orders) {
+        try {
+            const info = this.api.getItemOrdersInfo(item.url_name);
+            const fetchedAt = info ? info.timestamp : Date.now();
+            for (const variant of this.getVariants(orders)) {
+                await this.priceHistory.record(item.url_name, variant.orders, variant.key, this.api.platform, fetchedAt);
+            }
+            
+            // Only redraw if the user is still looking at the same item
+            if (this.currentItem && this.currentItem.url_name === item.url_name) {
+                this.renderHistoryChart();
+            }
+        } catch (error) {
+            console.error('Failed to record price history:', error);
+        }
+    }
+
+    renderHistoryChart() {
+        if (!this.historyChartEl || !this.currentItem) return;
+        
+        const ranges = { '24h': 24 * 3600000, '7d': 7 * 24 * 3600000, '30d': 30 * 24 * 3600000 };
+        const rangeMs = ranges[this.historyRange] || ranges['24h'];
+        const snapshots = this.priceHistory.getSnapshots(this.currentItem.url_name, rangeMs, this.selectedVariant || 'default', this.api.platform);
+        
+        if (snapshots.length < 2) {
+            this.historyChartEl.innerHTML = `<div class="no-data">${I18n.t('Not enough history yet - {count} snapshot(s) recorded in this range. Snapshots are saved each time this item is loaded.', { count: snapshots.length })}</div>`;
+            if (this.historySummaryEl) this.historySummaryEl.innerHTML = '';
+            return;
+        }
+        
+        const series = [
+            { key: 'lowestSell', label: I18n.t('Lowest Sell'), color: '#fbbf24' },
+            { key: 'median', label: I18n.t('Median Sell'), color: '#00d4ff' },
+            { key: 'highestBuy', label: I18n.t('Highest Buy'), color: '#10b981' }
+        ];
+        
+        const width = 640;
+        const height = 220;
+        const padding = { top: 15, right: 15, bottom: 25, left: 45 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        
+        const end = Date.now();
+        const start = end - rangeMs;
+        const values = [];
+        snapshots.forEach(snapshot => {
+            series.forEach(s => {
+                if (snapshot[s.key] !== null && snapshot[s.key] !== undefined) values.push(snapshot[s.key]);
+            });
+        });
+        
+        let minValue = values.length > 0 ? Math.min(...values) : 0;
+        let maxValue = values.length > 0 ? Math.max(...values) : 1;
+        if (minValue === maxValue) {
+            minValue = Math.max(0, minValue - 1);
+            maxValue = maxValue + 1;
+        }
+        
+        const x = t => padding.left + ((t - start) / (end - start)) * plotWidth;
+        const y = v => padding.top + (1 - (v - minValue) / (maxValue - minValue)) * plotHeight;
+        
+        const lines = series.map(s => {
+            // Break the line wherever a snapshot has no value for this series
+            let path = '';
+            let penDown = false;
+            snapshots.forEach(snapshot => {
+                const value = snapshot[s.key];
+                if (value === null || value === undefined) {
+                    penDown = false;
+                    return;
+                }
+                path += `${penDown ? 'L' : 'M'}${x(snapshot.t).toFixed(1)},${y(value).toFixed(1)} `;
+                penDown = true;
+            });
+            
+            const points = snapshots
+                .filter(snapshot => snapshot[s.key] !== null && snapshot[s.key] !== undefined)
+                .map(snapshot => `<circle cx="${x(snapshot.t).toFixed(1)}" cy="${y(snapshot[s.key]).toFixed(1)}" r="2.5" fill="${s.color}"><title>${s.label}: ${snapshot[s.key]} ♦ (${new Date(snapshot.t).toLocaleString()})</title></circle>`)
+                .join('');
+            
+            return `<path d="${path.trim()}" fill="none" stroke="${s.color}" stroke-width="2"></path>${points}`;
+        }).join('');
+        
+        const formatTick = t => rangeMs > 24 * 3600000
+            ? new Date(t).toLocaleDateString()
+            : new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        
+        this.historyChartEl.innerHTML = `
+            <svg class="history-svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <line x1="${padding.left}" y1="${padding.top}" x2="${padding.left}" y2="${height - padding.bottom}" stroke="#3d4356"></line>
+                <line x1="${padding.left}" y1="${height - padding.bottom}" x2="${width - padding.right}" y2="${height - padding.bottom}" stroke="#3d4356"></line>
+                <text x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end" fill="#9ca3af" font-size="10">${Math.round(maxValue)}</text>
+                <text x="${padding.left - 6}" y="${height - padding.bottom}" text-anchor="end" fill="#9ca3af" font-size="10">${Math.round(minValue)}</text>
+                <text x="${padding.left}" y="${height - 6}" fill="#9ca3af" font-size="10">${formatTick(start)}</text>
+                <text x="${width - padding.right}" y="${height - 6}" text-anchor="end" fill="#9ca3af" font-size="10">${formatTick(end)}</text>
+                ${lines}
+            </svg>
+            <div class="history-legend">
+                ${series.map(s => `<span class="history-legend-item"><span class="history-legend-swatch" style="background: ${s.color};"></span>${s.label}</span>`).join('')}
+            </div>
+        `;
+        
+        if (this.historySummaryEl) {
+            const sells = snapshots.map(snapshot => snapshot.lowestSell).filter(value => value !== null && value !== undefined);
+            const first = sells[0];
+            const last = sells[sells.length - 1];
+            const change = sells.length > 1 ? last - first : 0;
+            const changePercent = sells.length > 1 && first > 0 ? Math.round((change / first) * 100) : 0;
+            
+            this.historySummaryEl.innerHTML = sells.length > 0 ? `
+                <div class="stat-item">
+                    <span class="stat-label">${I18n.t('Lowest Sell Range:')}</span>
+                    <span class="stat-value">${Math.min(...sells)} - ${Math.max(...sells)} ♦</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">${I18n.t('Average Lowest Sell:')}</span>
+                    <span class="stat-value">${Math.round(sells.reduce((a, b) => a + b, 0) / sells.length)} ♦</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">${I18n.t('Change:')}</span>
+                    <span class="stat-value">${change > 0 ? '+' : ''}${change} ♦ (${changePercent > 0 ? '+' : ''}${changePercent}%)</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">${I18n.t('Snapshots:')}</span>
+                    <span class="stat-value">${snapshots.length}</span>
+                </div>
+            ` : '';
+        }
+    }
+
+    async toggleWatch() {
+        if (!this.currentItem) return;
+        
+        await this.watchlist.ready;
+        if (this.watchlist.has(this.currentItem.url_name)) {
+            await this.watchlist.remove(this.currentItem.url_name);
+        } else {
+            const variant = this.currentVariants.length > 1 ? this.getSelectedVariant() : null;
+            await this.watchlist.add(this.currentItem, variant);
+            this.showInfo(I18n.t('{item} added to watchlist. Set a price rule in the sidebar.', { item: this.currentItem.item_name }));
+        }
+        
+        this.updateWatchButton();
+        this.renderWatchlist();
+    }
+
+    updateWatchButton() {
+        if (!this.watchBtn) return;
+        
+        const watched = this.currentItem && this.watchlist.has(this.currentItem.url_name);
+        this.watchBtn.textContent = watched ? '★' : '☆';
+        this.watchBtn.classList.toggle('active', !!watched);
+        this.watchBtn.title = I18n.t(watched ? 'Remove from watchlist' : 'Add to watchlist');
+    }
+
+    renderWatchlist() {
+        if (!this.watchListEl) return;
+        
+        const entries = this.watchlist.entries;
+        if (entries.length === 0) {
+            this.watchListEl.innerHTML = `<li class="watch-empty">${I18n.t('Star an item to watch its price')}</li>`;
+            return;
+        }
+        
+        this.watchListEl.innerHTML = entries.map(entry => {
+            const sellText = entry.lastSell !== null ? `${entry.lastSell} ♦` : '--';
+            const buyText = entry.lastBuy !== null ? `${entry.lastBuy} ♦` : '--';
+            const checkedText = entry.lastChecked ? Utils.timeAgo(new Date(entry.lastChecked)) : I18n.t('not checked yet');
+            const matched = entry.matched && (entry.matched.sell || entry.matched.buy);
+            
+            return `
+                <li class="watch-item ${matched ? 'matched' : ''}" data-url-name="${Utils.escapeHtml(entry.url_name)}">
+                    <div class="watch-item-header">
+                        <span class="watch-item-name" data-url-name="${Utils.escapeHtml(entry.url_name)}" data-item-name="${Utils.escapeHtml(entry.item_name)}">${Utils.escapeHtml(entry.item_name)}${entry.variantLabel ? ` <span class="watch-variant">${Utils.escapeHtml(entry.variantLabel)}</span>` : ''}</span>
+                        <button class="watch-remove-btn" data-url-name="${Utils.escapeHtml(entry.url_name)}" title="${I18n.t('Remove from watchlist')}">✕</button>
+                    </div>
+                    <div class="watch-rules">
+                        <label class="watch-rule">${I18n.t('Sell')} ≤
+                            <input type="number" min="0" class="watch-input" data-rule="maxSell" data-url-name="${Utils.escapeHtml(entry.url_name)}" value="${entry.maxSell !== null ? entry.maxSell : ''}" placeholder="--">
+                        </label>
+                        <label class="watch-rule">${I18n.t('Buy')} ≥
+                            <input type="number" min="0" class="watch-input" data-rule="minBuy" data-url-name="${Utils.escapeHtml(entry.url_name)}" value="${entry.minBuy !== null ? entry.minBuy : ''}" placeholder="--">
+                        </label>
+                    </div>
+                    <div class="watch-status">${I18n.t('Sell')} ${sellText} · ${I18n.t('Buy')} ${buyText} · ${checkedText}</div>
+                </li>
+            `;
+        }).join('');
+        
+        this.watchListEl.querySelectorAll('.watch-item-name').forEach(el => {
+            el.addEventListener('click', async (e) => {
+                const urlName = e.currentTarget.dataset.urlName;
+                const itemName = e.currentTarget.dataset.itemName;
+                const entry = this.watchlist.get(urlName);
+                
+                this.searchInput.value = itemName;
+                await this.loadItemData({ url_name: urlName, item_name: itemName }, entry ? entry.variant : undefined);
+            });
+        });
+        
+        this.watchListEl.querySelectorAll('.watch-remove-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                await this.watchlist.remove(e.currentTarget.dataset.urlName);
+                this.updateWatchButton();
+                this.renderWatchlist();
+            });
+        });
+        
+        this.watchListEl.querySelectorAll('.watch-input').forEach(input => {
+            input.addEventListener('change', async (e) => {
+                await this.watchlist.updateRule(e.target.dataset.urlName, e.target.dataset.rule, e.target.value.trim());
+                this.renderWatchlist();
+            });
+        });
+    }
+
+    startWatchlistPolling() {
+        this.stopWatchlistPolling();
+        this.watchlistTimer = setInterval(() => {
+            this.pollWatchlist();
+        }, this.watchlistPollInterval);
+    }
+
+    stopWatchlistPolling() {
+        if (this.watchlistTimer) {
+            clearInterval(this.watchlistTimer);
+            this.watchlistTimer = null;
+        }
+    }
+
+    async pollWatchlist() {
+        if (this.watchlistPolling) return;
+        this.watchlistPolling = true;
+        
+        try {
+            await this.watchlist.ready;
+            const entries = [...this.watchlist.entries];
+            
+            for (const entry of entries) {
+                try {
+                    // Always fetch fresh orders; alerting on an offline copy would repeat old prices
+                    const response = await this.api.getItemOrders(entry.url_name, 0);
+                    const info = this.api.getItemOrdersInfo(entry.url_name);
+                    if (info && info.offline) throw new Error('Only an offline copy of the orders is available');
+                    const orders = response.payload.orders;
+                    const watchedOrders = entry.variant
+                        ? orders.filter(order => this.getOrderVariant(order).key === entry.variant)
+                        : orders;
+                    const snapshot = PriceHistoryStore.summarize(watchedOrders);
+                    
+                    // Background checks feed the price history as well
+                    this.recordPriceSnapshot(entry, orders);
+                    
+                    const triggered = this.watchlist.evaluate(entry.url_name, snapshot);
+                    triggered.forEach(rule => {
+                        if (rule === 'sell') {
+                            this.notify(
+                                I18n.t('{item} price alert', { item: entry.item_name }),
+                                I18n.t('Lowest online sell is {price} ♦ (your limit: {limit} ♦)', { price: snapshot.lowestSell, limit: entry.maxSell }),
+                                entry.url_name
+                            );
+                        } else {
+                            this.notify(
+                                I18n.t('{item} price alert', { item: entry.item_name }),
+                                I18n.t('Highest online buy is {price} ♦ (your target: {limit} ♦)', { price: snapshot.highestBuy, limit: entry.minBuy }),
+                                entry.url_name
+                            );
+                        }
+                    });
+                } catch (error) {
+                    console.error(`Watchlist check failed for ${entry.item_name}:`, error);
+                }
+                
+                // Space requests out to stay well under the market rate limit
+                await new Promise(resolve => setTimeout(resolve, 400));
+            }
+            
+            await this.watchlist.save();
+            this.renderWatchlist();
+        } finally {
+            this.watchlistPolling = false;
+        }
+    }
+
+    async notify(title, body, tag = null) {
+        try {
+            if (window.electronAPI && window.electronAPI.showNotification) {
+                await window.electronAPI.showNotification({ title, body, tag });
+                return;
+            }
+            
+            // Web browser fallback
+            if ('Notification' in window) {
+                if (Notification.permission === 'default') {
+                    await Notification.requestPermission();
+                }
+                if (Notification.permission === 'granted') {
+                    const notification = new Notification(title, { body, tag: tag || undefined });
+                    notification.onclick = () => {
+                        window.focus();
+                        this.openWatchedItem(tag);
+                    };
+                    return;
+                }
+            }
+            
+            this.showInfo(`${title}: ${body}`, 6000);
+        } catch (error) {
+            console.error('Failed to show notification:', error);
+            this.showInfo(`${title}: ${body}`, 6000);
+        }
+    }
+
+    async openWatchedItem(urlName) {
+        const entry = urlName ? this.watchlist.get(urlName) : null;
+        if (!entry) return;
+        
+        if (this.currentMainTab !== 'market') {
+            this.switchMainTab('market');
+        }
+        this.searchInput.value = entry.item_name;
+        await this.loadItemData({ url_name: entry.url_name, item_name: entry.item_name }, entry.variant);
+    }
+
+    async loadItemDetails(item) {
+        // Keep the previous details if reloading the same item
+        if (!this.currentItemDetails || this.currentItemDetails.url_name !== item.url_name) {
+            this.currentItemDetails = null;
+            this.setBreakdownFor = null;
+            this.updateDucatBadge();
+            this.renderItemDetails();
+            if (this.setBreakdownEl) {
+                this.setBreakdownEl.innerHTML = `<div class="no-data">${I18n.t('Loading set...')}</div>`;
+            }
+        }
+        
+        try {
+            const response = await this.api.getItemDetails(item.url_name);
+            if (!this.currentItem || this.currentItem.url_name !== item.url_name) return;
+            
+            this.currentItemDetails = { url_name: item.url_name, ...response.payload.item };
+        } catch (error) {
+            console.error('Failed to load item details:', error);
+        }
+        
+        this.updateDucatBadge();
+        this.renderItemDetails();
+        this.updateSetTab();
+    }
+
+    // Image, attributes, other items of the set and links for the current item
+    renderItemDetails() {
+        if (!this.itemDetailsEl) return;
+        
+        const details = this.currentItemDetails;
+        const itemsInSet = details ? (details.items_in_set || []) : [];
+        const entry = itemsInSet.find(part => part.url_name === (details && details.url_name));
+        
+        if (!entry) {
+            this.itemDetailsEl.classList.add('hidden');
+            this.itemDetailsEl.innerHTML = '';
+            return;
+        }
+        
+        const names = entry[this.api.language] || entry.en || {};
+        const wikiLink = names.wiki_link || (entry.en && entry.en.wiki_link);
+        const image = entry.icon || entry.thumb;
+        const attributes = [
+            { label: I18n.t('Mastery'), value: entry.mastery_level },
+            { label: I18n.t('Max Rank'), value: entry.mod_max_rank },
+            { label: I18n.t('Trading Tax'), value: entry.trading_tax ? `${entry.trading_tax.toLocaleString()} ${I18n.t('credits')}` : null },
+            { label: I18n.t('Ducats'), value: entry.ducats || null },
+            { label: I18n.t('Vaulted'), value: entry.vaulted === undefined ? null : I18n.t(entry.vaulted ? 'Yes' : 'No') }
+        ].filter(attribute => attribute.value !== null && attribute.value !== undefined);
+        const related = itemsInSet.filter(part => part.url_name !== entry.url_name);
+        
+        this.itemDetailsEl.innerHTML = `
+            ${image ? `<img class="item-details-image" src="https://warframe.market/static/assets/${Utils.escapeHtml(image)}" alt="">` : ''}
+            <div class="item-details-body">
+                ${(entry.tags || []).length > 0 ? `
+                    <div class="item-details-tags">
+                        ${entry.tags.map(tag => `<span class="item-details-tag">${Utils.escapeHtml(tag.replace(/_/g, ' '))}</span>`).join('')}
+                    </div>
+                ` : ''}
+                <div class="item-details-attributes">
+                    ${attributes.map(attribute => `
+                        <div class="item-details-attribute">
+                            <span class="stat-label">${attribute.label}</span>
+                            <span class="stat-value">${Utils.escapeHtml(attribute.value)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                ${related.length > 0 ? `
+                    <div class="item-details-related">
+                        <span class="stat-label">${I18n.t('Same set')}</span>
+                        ${related.map(part => `<button class="item-details-link" data-url-name="${Utils.escapeHtml(part.url_name)}" data-item-name="${Utils.escapeHtml(this.api.getDetailsName(part))}">${Utils.escapeHtml(this.api.getDetailsName(part))}</button>`).join('')}
+                    </div>
+                ` : ''}
+            </div>
+            <div class="item-details-actions">
+                ${wikiLink ? `<button class="item-details-external" data-url="${Utils.escapeHtml(wikiLink)}">${I18n.t('Wiki')} ↗</button>` : ''}
+                <button class="item-details-external" data-url="https://warframe.market/items/${Utils.escapeHtml(entry.url_name)}">warframe.market ↗</button>
+            </div>
+        `;
+        this.itemDetailsEl.classList.remove('hidden');
+        
+        this.itemDetailsEl.querySelectorAll('.item-details-link').forEach(el => {
+            el.addEventListener('click', async () => {
+                this.searchInput.value = el.dataset.itemName;
+                await this.loadItemData({ url_name: el.dataset.urlName, item_name: el.dataset.itemName });
+            });
+        });
+        this.itemDetailsEl.querySelectorAll('.item-details-external').forEach(el => {
+            el.addEventListener('click', () => this.openExternal(el.dataset.url));
+        });
+    }
+
+    // The desktop app hands links to the default browser, the web build opens a new tab
+    openExternal(url) {
+        if (window.electronAPI && window.electronAPI.openExternal) {
+            window.electronAPI.openExternal(url);
+        } else {
+            window.open(url, '_blank', 'noopener');
+        }
+    }
+
+    // Show the ducat value of prime parts next to the item name, with ducats per
+    // platinum at the current lowest online sell price
+    updateDucatBadge() {
+        if (!this.itemDucatsEl) return;
+        
+        const details = this.currentItemDetails;
+        const entry = details ? (details.items_in_set || []).find(part => part.url_name === details.url_name) : null;
+        
+        if (!entry || !entry.ducats) {
+            this.itemDucatsEl.classList.add('hidden');
+            this.itemDucatsEl.textContent = '';
+            return;
+        }
+        
+        const { lowestSell } = PriceHistoryStore.summarize(this.currentOrders || []);
+        const ratio = lowestSell ? ` · ${(entry.ducats / lowestSell).toFixed(1)} ${I18n.t('ducats')}/♦` : '';
+        this.itemDucatsEl.textContent = `${entry.ducats} ${I18n.t('ducats')}${ratio}`;
+        this.itemDucatsEl.classList.remove('hidden');
+    }
+
+    getSetParts() {
+        const itemsInSet = this.currentItemDetails ? (this.currentItemDetails.items_in_set || []) : [];
+        return itemsInSet.length > 1 ? itemsInSet : [];
+    }
+
+    updateSetTab() {
+        if (!this.setTabBtn) return;
+        
+        const hasSet = this.getSetParts().length > 0;
+        this.setTabBtn.classList.toggle('hidden', !hasSet);
+        
+        if (!hasSet && this.currentTab === 'set') {
+            this.switchTab('pricing');
+        } else if (hasSet && this.currentTab === 'set') {
+            this.loadSetBreakdown();
+        }
+    }
+
+    async loadSetBreakdown() {
+        if (!this.setBreakdownEl || !this.currentItem) return;
+        
+        const itemsInSet = this.getSetParts();
+        const urlName = this.currentItem.url_name;
+        // Prices differ per platform, so the same item is rebuilt after a platform or language change
+        const viewKey = this.api.getCacheKey(urlName);
+        if (itemsInSet.length === 0 || this.setBreakdownFor === viewKey) return;
+        this.setBreakdownFor = viewKey;
+        
+        const getName = entry => this.api.getDetailsName(entry);
+        const rows = [];
+        
+        for (let i = 0; i < itemsInSet.length; i++) {
+            const entry = itemsInSet[i];
+            this.setBreakdownEl.innerHTML = `<div class="no-data">${I18n.t('Loading prices {done}/{total}: {item}...', { done: i + 1, total: itemsInSet.length, item: getName(entry) })}</div>`;
+            
+            let snapshot = { lowestSell: null, highestBuy: null };
+            try {
+                // Reuse the orders already on screen for the current item
+                const orders = entry.url_name === urlName && this.currentOrders
+                    ? this.currentOrders
+                    : (await this.api.getItemOrders(entry.url_name)).payload.orders;
+                snapshot = PriceHistoryStore.summarize(orders);
+            } catch (error) {
+                console.error(`Failed to load orders for ${entry.url_name}:`, error);
+            }
+            
+            // The user may have moved on to another item or platform while parts were loading
+            if (!this.currentItem || this.setBreakdownFor !== viewKey) return;
+            
+            rows.push({
+                urlName: entry.url_name,
+                name: getName(entry),
+                isSet: !!entry.set_root,
+                quantity: entry.quantity_for_set || 1,
+                lowestSell: snapshot.lowestSell,
+                highestBuy: snapshot.highestBuy
+            });
+            
+            // Space requests out to stay well under the market rate limit
+            if (i < itemsInSet.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, 350));
+            }
+        }
+        
+        this.displaySetBreakdown(rows);
+    }
+
+    displaySetBreakdown(rows) {
+        const setRow = rows.find(row => row.isSet);
+        const parts = rows.filter(row => !row.isSet);
+        
+        const sumParts = key => parts.some(part => part[key] === null)
+            ? null
+            : parts.reduce((total, part) => total + part[key] * part.quantity, 0);
+        const partsSell = sumParts('lowestSell');
+        const partsBuy = sumParts('highestBuy');
+        const setSell = setRow ? setRow.lowestSell : null;
+        const setBuy = setRow ? setRow.highestBuy : null;
+        
+        const formatPrice = value => value === null ? '--' : `${value} ♦`;
+        const formatProfit = value => value === null ? '--' : `${value > 0 ? '+' : ''}${value} ♦`;
+        const profitClass = value => value === null ? '' : (value > 0 ? 'profit' : (value < 0 ? 'loss' : ''));
+        const difference = (a, b) => a === null || b === null ? null : a - b;
+        
+        // Assembling: buy every part at the lowest sell, then sell the set.
+        // Splitting: buy the set at the lowest sell, then sell each part.
+        const assembleListed = difference(setSell, partsSell);
+        const assembleInstant = difference(setBuy, partsSell);
+        const splitListed = difference(partsSell, setSell);
+        const splitInstant = difference(partsBuy, setSell);
+        
+        let verdict = I18n.t('Not enough online orders to compare the set with its parts.');
+        if (partsSell !== null && setSell !== null) {
+            if (partsSell < setSell) {
+                verdict = I18n.t('Buying the parts is cheaper by {amount} ♦.', { amount: setSell - partsSell });
+            } else if (partsSell > setSell) {
+                verdict = I18n.t('Buying the set is cheaper by {amount} ♦.', { amount: partsSell - setSell });
+            } else {
+                verdict = I18n.t('The set and its parts cost the same.');
+            }
+        }
+        
+        const currentUrlName = this.currentItem ? this.currentItem.url_name : null;
+        
+        this.setBreakdownEl.innerHTML = `
+            <div class="set-table">
+                <div class="set-row set-head">
+                    <div>${I18n.t('Item')}</div>
+                    <div>${I18n.t('Qty')}</div>
+                    <div>${I18n.t('Lowest Sell')}</div>
+                    <div>${I18n.t('Highest Buy')}</div>
+                    <div>${I18n.t('Sell × Qty')}</div>
+                    <div>${I18n.t('Buy × Qty')}</div>
+                </div>
+                ${parts.map(part => `
+                    <div class="set-row ${part.urlName === currentUrlName ? 'current' : ''}">
+                        <div class="set-item-name" data-url-name="${Utils.escapeHtml(part.urlName)}" data-item-name="${Utils.escapeHtml(part.name)}">${Utils.escapeHtml(part.name)}</div>
+                        <div>${part.quantity}</div>
+                        <div>${formatPrice(part.lowestSell)}</div>
+                        <div>${formatPrice(part.highestBuy)}</div>
+                        <div>${formatPrice(part.lowestSell === null ? null : part.lowestSell * part.quantity)}</div>
+                        <div>${formatPrice(part.highestBuy === null ? null : part.highestBuy * part.quantity)}</div>
+                    </div>
+                `).join('')}
+                <div class="set-row set-total">
+                    <div>${I18n.t('Parts Total')}</div>
+                    <div></div>
+                    <div></div>
+                    <div></div>
+                    <div>${formatPrice(partsSell)}</div>
+                    <div>${formatPrice(partsBuy)}</div>
+                </div>
+                ${setRow ? `
+                    <div class="set-row set-total ${setRow.urlName === currentUrlName ? 'current' : ''}">
+                        <div class="set-item-name" data-url-name="${Utils.escapeHtml(setRow.urlName)}" data-item-name="${Utils.escapeHtml(setRow.name)}">${Utils.escapeHtml(setRow.name)}</div>
+                        <div>1</div>
+                        <div>${formatPrice(setSell)}</div>
+                        <div>${formatPrice(setBuy)}</div>
+                        <div>${formatPrice(setSell)}</div>
+                        <div>${formatPrice(setBuy)}</div>
+                    </div>
+                ` : ''}
+            </div>
+            <div class="set-verdict">${verdict}</div>
+            <div class="set-profits">
+                <div class="stat-item">
+                    <span class="stat-label">${I18n.t('Assemble &amp; list set at lowest sell:')}</span>
+                    <span class="stat-value ${profitClass(assembleListed)}">${formatProfit(assembleListed)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">${I18n.t('Assemble &amp; sell set to highest buyer:')}</span>
+                    <span class="stat-value ${profitClass(assembleInstant)}">${formatProfit(assembleInstant)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">${I18n.t('Split &amp; list parts at lowest sell:')}</span>
+                    <span class="stat-value ${profitClass(splitListed)}">${formatProfit(splitListed)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">${I18n.t('Split &amp; sell parts to highest buyers:')}</span>
+                    <span class="stat-value ${profitClass(splitInstant)}">${formatProfit(splitInstant)}</span>
+                </div>
+            </div>
+            <p class="set-note">${I18n.t('Prices use online and in-game players only.')}</p>
+            <button class="set-compare-btn">${I18n.t('Compare all set items')}</button>
+        `;
+        
+        this.setBreakdownEl.querySelector('.set-compare-btn').addEventListener('click', () => {
+            rows.forEach(row => this.addToCompare({ url_name: row.urlName, item_name: row.name }));
+            this.switchMainTab('compare');
+        });
+        
+        this.setBreakdownEl.querySelectorAll('.set-item-name').forEach(el => {
+            el.addEventListener('click', async () => {
+                if (el.dataset.urlName === currentUrlName) return;
+                this.searchInput.value = el.dataset.itemName;
+                await this.loadItemData({ url_name: el.dataset.urlName, item_name: el.dataset.itemName });
+            });
+        });
+    }
+
+    isRelic(item) {
+        return !!item && item.url_name.endsWith('_relic');
+    }
+
+    updateRelicTab() {
+        if (!this.relicTabBtn) return;
+        
+        const isRelic = this.isRelic(this.currentItem);
+        this.relicTabBtn.classList.toggle('hidden', !isRelic);
+        
+        if (this.relicValueFor && (!this.currentItem || this.relicValueFor !== this.api.getCacheKey(this.currentItem.url_name))) {
+            this.relicScanner.cancel();
+            this.relicValueFor = null;
+        }
+        
+        if (!isRelic && this.currentTab === 'relic') {
+            this.switchTab('pricing');
+        } else if (isRelic && this.currentTab === 'relic') {
+            this.loadRelicValue();
+        }
+    }
+
+    async loadRelicValue() {
+        const item = this.currentItem;
+        if (!this.relicValueEl || !this.isRelic(item)) return;
+        const viewKey = this.api.getCacheKey(item.url_name);
+        if (this.relicValueFor === viewKey) return;
+        this.relicValueFor = viewKey;
+        
+        this.relicValueEl.innerHTML = `<div class="no-data">${I18n.t('Loading relic rewards...')}</div>`;
+        
+        // Drop tables are English only
+        let relicName = item.item_name;
+        let relic = null;
+        try {
+            relicName = (await this.api.getEnglishName(item.url_name)) || item.item_name;
+            relic = await this.alertsAPI.getRelic(relicName);
+        } catch (error) {
+            console.error('Failed to load relic rewards:', error);
+        }
+        if (this.relicValueFor !== viewKey) return;
+        
+        if (!relic) {
+            this.relicValueEl.innerHTML = `<div class="no-data">${I18n.t('No drop table found for this relic')}</div>`;
+            return;
+        }
+        
+        // Reward names map onto warframe.market items through the cached items list
+        let marketItems = [];
+        try {
+            marketItems = (await this.api.getItems()).payload.items;
+        } catch (error) {
+            console.error('Failed to load items list for relic rewards:', error);
+        }
+        
+        const rewards = relic.rewards.map(reward => {
+            const rewardItem = reward.item || {};
+            const name = rewardItem.name || reward.itemName || 'Unknown';
+            const marketItem = marketItems.find(entry => (entry.en_name || entry.item_name).toLowerCase() === name.toLowerCase());
+            const urlName = (rewardItem.warframeMarket && rewardItem.warframeMarket.urlName) ||
+                (marketItem ? marketItem.url_name : null);
+            
+            // Shown in the selected language when the market knows the item
+            const displayName = marketItem ? marketItem.item_name : name;
+            return { name: displayName, urlName, rarity: RelicCalculator.rarityOf(reward), value: null };
+        });
+        
+        // Untradeable rewards such as Forma have no market entry and count as worthless
+        const tradeable = rewards.filter(reward => reward.urlName);
+        this.relicScanner = new MarketScanner();
+        const completed = await this.relicScanner.run(tradeable, async (reward, index) => {
+            if (this.relicValueFor !== viewKey) return;
+            this.relicValueEl.innerHTML = `<div class="no-data">${I18n.t('Loading prices {done}/{total}: {item}...', { done: index + 1, total: tradeable.length, item: reward.name })}</div>`;
+            
+            const orders = (await this.api.getItemOrders(reward.urlName)).payload.orders;
+            reward.value = PriceHistoryStore.summarize(orders).lowestSell;
+        });
+        
+        if (!completed || this.relicValueFor !== viewKey) return;
+        
+        const tier = relicName.split(' ')[0];
+        const entry = {
+            name: relicName.replace(/\s+Relic$/i, ''),
+            url_name: item.url_name,
+            tier,
+            solo: {},
+            radshare: {},
+            checkedAt: Date.now()
+        };
+        RelicCalculator.refinements.forEach(refinement => {
+            entry.solo[refinement] = RelicCalculator.expectedValue(rewards, refinement);
+            entry.radshare[refinement] = RelicCalculator.radshareValue(rewards, refinement);
+        });
+        
+        this.relicValues[entry.name] = entry;
+        localStorage.setItem('relicValues', JSON.stringify(this.relicValues));
+        
+        this.displayRelicValue(rewards, entry);
+    }
+
+    displayRelicValue(rewards, entry) {
+        const rarityOrder = { common: 0, uncommon: 1, rare: 2 };
+        const sortedRewards = [...rewards].sort((a, b) => rarityOrder[a.rarity] - rarityOrder[b.rarity]);
+        const formatChance = value => `${(value * 100).toFixed(value < 0.1 ? 0 : 2).replace(/\.?0+$/, '')}%`;
+        const formatPlat = value => `${value.toFixed(1)} ♦`;
+        
+        // Cost of each refinement from the relic's own orders (online sellers only)
+        const relicCost = refinement => {
+            const variant = this.currentVariants.find(v => v.subtype === refinement);
+            return variant ? PriceHistoryStore.summarize(variant.orders).lowestSell : null;
+        };
+        
+        this.relicValueEl.innerHTML = `
+            <div class="relic-table">
+                <div class="relic-row relic-head">
+                    <div>${I18n.t('Reward')}</div>
+                    <div>${I18n.t('Rarity')}</div>
+                    <div>${I18n.t('Lowest Sell')}</div>
+                    ${RelicCalculator.refinements.map(refinement => `<div>${I18n.t(refinement)}</div>`).join('')}
+                </div>
+                ${sortedRewards.map(reward => `
+                    <div class="relic-row">
+                        <div class="relic-reward ${reward.urlName ? 'clickable' : ''}" data-url-name="${Utils.escapeHtml(reward.urlName || '')}" data-item-name="${Utils.escapeHtml(reward.name)}">${Utils.escapeHtml(reward.name)}</div>
+                        <div><span class="rarity-badge ${Utils.escapeHtml(reward.rarity)}">${Utils.escapeHtml(I18n.t(reward.rarity))}</span></div>
+                        <div>${reward.value === null ? '--' : `${reward.value} ♦`}</div>
+                        ${RelicCalculator.refinements.map(refinement => `<div>${formatChance(RelicCalculator.chanceOf(reward.rarity, refinement))}</div>`).join('')}
+                    </div>
+                `).join('')}
+            </div>
+            <div class="relic-table relic-ev-table">
+                <div class="relic-ev-row relic-head">
+                    <div>${I18n.t('Refinement')}</div>
+                    <div>${I18n.t('Solo EV')}</div>
+                    <div>${I18n.t('Radshare EV')}</div>
+                    <div>${I18n.t('Relic Price')}</div>
+                    <div>${I18n.t('Radshare − Price')}</div>
+                </div>
+                ${RelicCalculator.refinements.map(refinement => {
+                    const cost = relicCost(refinement);
+                    const net = cost === null ? null : Math.round((entry.radshare[refinement] - cost) * 10) / 10;
+                    return `
+                        <div class="relic-ev-row">
+                            <div class="relic-refinement">${I18n.t(refinement)}</div>
+                            <div>${formatPlat(entry.solo[refinement])}</div>
+                            <div class="relic-radshare">${formatPlat(entry.radshare[refinement])}</div>
+                            <div>${cost === null ? '--' : `${cost} ♦`}</div>
+                            <div class="${net === null ? '' : (net >= 0 ? 'profit' : 'loss')}">${net === null ? '--' : `${net > 0 ? '+' : ''}${net.toFixed(1)} ♦`}</div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            <p class="relic-note">${I18n.t('Values use the lowest online sell price of each reward. Radshare assumes four players open the same relic at the same refinement and you pick the best drop.')}</p>
+        `;
+        
+        this.relicValueEl.querySelectorAll('.relic-reward.clickable').forEach(el => {
+            el.addEventListener('click', async () => {
+                this.searchInput.value = el.dataset.itemName;
+                await this.loadItemData({ url_name: el.dataset.urlName, item_name: el.dataset.itemName });
+            });
+        });
+    }
+
+    pruneRelicValues() {
+        const cutoff = Date.now() - this.relicValueTtl;
+        const expired = Object.keys(this.relicValues).filter(name => !(this.relicValues[name].checkedAt >= cutoff));
+        expired.forEach(name => delete this.relicValues[name]);
+        if (expired.length > 0) {
+            localStorage.setItem('relicValues', JSON.stringify(this.relicValues));
+        }
+    }
+
+    // Best evaluated relic per fissure tier, judged by radshare value at the best refinement.
+    // Omnia fissures accept relics of any tier.
+    getBestRelicForTier(tier) {
+        let best = null;
+        Object.values(this.relicValues).forEach(entry => {
+            if (tier !== 'Omnia' && entry.tier !== tier) return;
+            RelicCalculator.refinements.forEach(refinement => {
+                const value = entry.radshare[refinement];
+                if (!best || value > best.value) {
+                    best = { name: entry.name, refinement, value, checkedAt: entry.checkedAt };
+                }
+            });
+        });
+        return best;
+    }
+
+    async loadTradeStatistics(item) {
+        if (!this.tradeStatsBody) return;
+        
+        this.currentStatistics = null;
+        this.tradeStatsBody.innerHTML = `<div class="no-data">${I18n.t('Loading trade statistics...')}</div>`;
+        
+        try {
+            const response = await this.api.getItemStatistics(item.url_name);
+            
+            // Ignore late responses for an item the user has already moved away from
+            if (!this.currentItem || this.currentItem.url_name !== item.url_name) return;
+            
+            this.currentStatistics = response.payload;
+            this.displayTradeStatistics();
+        } catch (error) {
+            console.error('Failed to load trade statistics:', error);
+            if (this.currentItem && this.currentItem.url_name === item.url_name) {
+                this.tradeStatsBody.innerHTML = `<div class="no-data">${I18n.t('Trade statistics are unavailable for this item')}</div>`;
+            }
+        }
+    }
+
+    displayTradeStatistics() {
+        if (!this.tradeStatsBody || !this.currentStatistics) return;
+        
+        const buckets = this.getTradeStatisticsBuckets();
+        const formatPrice = value => value === null ? '--' : `${Math.round(value * 10) / 10} ♦`;
+        
+        this.tradeStatsBody.innerHTML = `
+            <div class="trade-stats-table">
+                <div class="trade-stats-row trade-stats-head">
+                    <div>${I18n.t('Bucket')}</div>
+                    <div>${I18n.t('Volume')}</div>
+                    <div>${I18n.t('Average')}</div>
+                    <div>${I18n.t('Median')}</div>
+                    <div>${I18n.t('Moving Avg')}</div>
+                    <div>${I18n.t('Min')}</div>
+                    <div>${I18n.t('Max')}</div>
+                </div>
+                ${buckets.map(bucket => {
+                    const summary = bucket.summary;
+                    return `
+                        <div class="trade-stats-row">
+                            <div class="trade-stats-label">${bucket.label}</div>
+                            <div>${summary.volume}</div>
+                            <div>${formatPrice(summary.average)}</div>
+                            <div>${formatPrice(summary.median)}</div>
+                            <div>${formatPrice(summary.movingAverage)}</div>
+                            <div>${formatPrice(summary.min)}</div>
+                            <div>${formatPrice(summary.max)}</div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    // Trade statistics of the selected variant, summarised per bucket
+    getTradeStatisticsBuckets() {
+        if (!this.currentStatistics) return [];
+        
+        const closed = this.currentStatistics.statistics_closed || {};
+        const live = this.currentStatistics.statistics_live || {};
+        
+        const variant = this.getSelectedVariant();
+        const forVariant = entries => this.statisticsForVariant(entries, variant);
+        
+        // Live statistics are split by order type; sell orders reflect what buyers actually pay
+        const liveSells = entries => forVariant(entries).filter(entry => entry.order_type === 'sell');
+        
+        return [
+            { key: 'closed_48h', label: I18n.t('Closed 48h'), entries: forVariant(closed['48hours']) },
+            { key: 'closed_90d', label: I18n.t('Closed 90d'), entries: forVariant(closed['90days']) },
+            { key: 'live_48h_sell', label: I18n.t('Live 48h (sell)'), entries: liveSells(live['48hours']) },
+            { key: 'live_90d_sell', label: I18n.t('Live 90d (sell)'), entries: liveSells(live['90days']) }
+        ].map(bucket => ({ ...bucket, summary: this.summarizeStatistics(bucket.entries || []) }));
+    }
+
+    // Statistics entries carry mod_rank/subtype just like orders, keep only one variant
+    statisticsForVariant(entries, variant) {
+        return (entries || []).filter(entry => {
+            if (!variant) return true;
+            const rankMatches = variant.rank === null || entry.mod_rank === undefined || entry.mod_rank === variant.rank;
+            const subtypeMatches = variant.subtype === null || !entry.subtype || entry.subtype === variant.subtype;
+            return rankMatches && subtypeMatches;
+        });
+    }
+
+    // Collapse a list of statistics entries (one per hour or day) into a single summary
+    summarizeStatistics(entries) {
+        const sorted = [...entries].sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
+        const volume = sorted.reduce((total, entry) => total + (entry.volume || 0), 0);
+        
+        if (sorted.length === 0) {
+            return { volume: 0, average: null, median: null, movingAverage: null, min: null, max: null };
+        }
+        
+        // Volume-weighted average so a single quiet hour does not skew the result
+        const average = volume > 0
+            ? sorted.reduce((total, entry) => total + (entry.avg_price || 0) * (entry.volume || 0), 0) / volume
+            : sorted.reduce((total, entry) => total + (entry.avg_price || 0), 0) / sorted.length;
+        
+        const medians = sorted.map(entry => entry.median).filter(value => typeof value === 'number').sort((a, b) => a - b);
+        const middle = Math.floor(medians.length / 2);
+        const median = medians.length === 0 ? null
+            : medians.length % 2 === 0 ? (medians[middle - 1] + medians[middle]) / 2 : medians[middle];
+        
+        // The API already smooths moving_avg, so the most recent value is the current one
+        const latestWithAverage = [...sorted].reverse().find(entry => typeof entry.moving_avg === 'number');
+        
+        // Buckets without trades can lack min_price/max_price
+        const prices = key => sorted.map(entry => entry[key]).filter(value => Number.isFinite(value));
+        const minPrices = prices('min_price');
+        const maxPrices = prices('max_price');
+        
+        return {
+            volume,
+            average,
+            median,
+            movingAverage: latestWithAverage ? latestWithAverage.moving_avg : null,
+            min: minPrices.length > 0 ? Math.min(...minPrices) : null,
+            max: maxPrices.length > 0 ? Math.max(...maxPrices) : null
+        };
+    }
+
+    addToRecentSearches(item) {
+        // Pinned items stay in the favourites instead of the history
+        if (this.favourites.some(entry => entry.url_name === item.url_name)) {
+            this.loadRecentSearches();
+            return;
+        }
+        
+        // Move to the top, keeping the last known price
+        const existing = this.recentSearches.find(search => search.url_name === item.url_name);
+        this.recentSearches = this.recentSearches.filter(search => search.url_name !== item.url_name);
+        this.recentSearches.unshift({ ...existing, url_name: item.url_name, item_name: item.item_name });
+        this.recentSearches = this.recentSearches.slice(0, this.settings.recentSearchLimit);
+        
+        this.saveSidebarLists();
+        this.loadRecentSearches();
+    }
+
+    saveSidebarLists() {
+        localStorage.setItem('recentSearches', JSON.stringify(this.recentSearches));
+        localStorage.setItem('favouriteItems', JSON.stringify(this.favourites));
+    }
+
+    // Remember the lowest online sell of the shown variant so the sidebar doubles as a
+    // price dashboard. Prices are per platform, other platforms show "--".
+    updateSidebarPrice(urlName, lowestSell) {
+        let changed = false;
+        [...this.favourites, ...this.recentSearches].forEach(entry => {
+            if (entry.url_name !== urlName) return;
+            if (entry.lowestSell === lowestSell && entry.platform === this.api.platform) return;
+            entry.lowestSell = lowestSell;
+            entry.platform = this.api.platform;
+            entry.priceUpdated = Date.now();
+            changed = true;
         });
         
-        // Market tab events
-        if (this.searchInput) {
-            this.searchInput.addEventListener('input', this.handleSearchInput.bind(this));
-            this.searchInput.addEventListener('keydown', this.handleSearchKeydown.bind(this));
-        }
-        if (this.searchBtn) {
-            this.searchBtn.addEventListener('click', this.handleSearch.bind(this));
+        if (changed) {
+            this.saveSidebarLists();
+            this.loadRecentSearches();
+        }
+    }
+
+    pinFavourite(urlName) {
+        const entry = this.recentSearches.find(search => search.url_name === urlName);
+        if (!entry || this.favourites.some(favourite => favourite.url_name === urlName)) return;
+        
+        this.recentSearches = this.recentSearches.filter(search => search.url_name !== urlName);
+        this.favourites.push(entry);
+        this.saveSidebarLists();
+        this.loadRecentSearches();
+    }
+
+    // Unpinned items go back to the top of the history
+    unpinFavourite(urlName) {
+        const entry = this.favourites.find(favourite => favourite.url_name === urlName);
+        if (!entry) return;
+        
+        this.favourites = this.favourites.filter(favourite => favourite.url_name !== urlName);
+        this.recentSearches = [entry, ...this.recentSearches].slice(0, this.settings.recentSearchLimit);
+        this.saveSidebarLists();
+        this.loadRecentSearches();
+    }
+
+    removeRecentSearch(urlName) {
+        this.recentSearches = this.recentSearches.filter(search => search.url_name !== urlName);
+        this.saveSidebarLists();
+        this.loadRecentSearches();
+    }
+
+    clearRecentSearches() {
+        this.recentSearches = [];
+        this.saveSidebarLists();
+        this.loadRecentSearches();
+    }
+
+    moveFavourite(urlName, targetUrlName) {
+        const from = this.favourites.findIndex(favourite => favourite.url_name === urlName);
+        const to = this.favourites.findIndex(favourite => favourite.url_name === targetUrlName);
+        if (from === -1 || to === -1 || from === to) return;
+        
+        const [entry] = this.favourites.splice(from, 1);
+        this.favourites.splice(to, 0, entry);
+        this.saveSidebarLists();
+        this.loadRecentSearches();
+    }
+
+    renderSidebarEntry(entry, pinned) {
+        const price = entry.platform === this.api.platform && entry.lowestSell !== null && entry.lowestSell !== undefined
+            ? `${entry.lowestSell} ♦`
+            : '--';
+        const priceTitle = entry.priceUpdated ? I18n.t('Lowest sell {time}', { time: Utils.timeAgo(new Date(entry.priceUpdated)) }) : '';
+        
+        return `
+            <li class="recent-item ${pinned ? 'favourite-item' : ''}" data-url-name="${Utils.escapeHtml(entry.url_name)}" data-item-name="${Utils.escapeHtml(entry.item_name)}" ${pinned ? 'draggable="true"' : ''}>
+                <span class="recent-item-name">${Utils.escapeHtml(entry.item_name)}</span>
+                <span class="recent-item-price" title="${priceTitle}">${price}</span>
+                ${pinned
+                    ? `<button class="recent-action-btn recent-unpin-btn" title="${I18n.t('Unpin')}">★</button>`
+                    : `<button class="recent-action-btn recent-pin-btn" title="${I18n.t('Pin to favourites')}">☆</button>
+                       <button class="recent-action-btn recent-remove-btn" title="${I18n.t('Remove from history')}">✕</button>`}
+            </li>
+        `;
+    }
+
+    loadRecentSearches() {
+        if (this.favouriteList) {
+            this.favouriteList.innerHTML = this.favourites.length > 0
+                ? this.favourites.map(entry => this.renderSidebarEntry(entry, true)).join('')
+                : `<li class="watch-empty">${I18n.t('Pin items with ☆ to keep them here')}</li>`;
         }
         
-        this.tabBtns.forEach(btn => {
-            btn.addEventListener('click', this.handleTabClick.bind(this));
-        });
+        this.recentList.innerHTML = this.recentSearches.length > 0
+            ? this.recentSearches.map(entry => this.renderSidebarEntry(entry, false)).join('')
+            : `<li class="watch-empty">${I18n.t('No recent searches')}</li>`;
+        if (this.clearRecentBtn) this.clearRecentBtn.disabled = this.recentSearches.length === 0;
         
-        this.retryBtn.addEventListener('click', this.handleRetry.bind(this));
-        this.orderFilterBtn.addEventListener('click', this.handleFilterToggle.bind(this));
+        [this.favouriteList, this.recentList].filter(Boolean).forEach(list => {
+            list.querySelectorAll('.recent-item').forEach(item => {
+                item.addEventListener('click', async () => {
+                    this.searchInput.value = item.dataset.itemName;
+                    await this.loadItemData({ url_name: item.dataset.urlName, item_name: item.dataset.itemName });
+                });
+            });
+        });
         
-        // Alerts tab events
-        if (this.refreshAlertsBtn) {
-            this.refreshAlertsBtn.addEventListener('click', () => {
-                console.log('Manual refresh clicked');
-                this.loadAlertsData();
+        // Row actions must not also open the item
+        const bindAction = (selector, action) => {
+            document.querySelectorAll(selector).forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    action(btn.closest('.recent-item').dataset.urlName);
+                });
+            });
+        };
+        bindAction('.recent-pin-btn', urlName => this.pinFavourite(urlName));
+        bindAction('.recent-unpin-btn', urlName => this.unpinFavourite(urlName));
+        bindAction('.recent-remove-btn', urlName => this.removeRecentSearch(urlName));
+        
+        // Drag favourites onto each other to reorder them
+        if (this.favouriteList) {
+            this.favouriteList.querySelectorAll('.favourite-item').forEach(item => {
+                item.addEventListener('dragstart', (e) => {
+                    this.draggedFavourite = item.dataset.urlName;
+                    item.classList.add('dragging');
+                    if (e.dataTransfer) {
+                        e.dataTransfer.effectAllowed = 'move';
+                        e.dataTransfer.setData('text/plain', item.dataset.urlName);
+                    }
+                });
+                item.addEventListener('dragend', () => {
+                    this.draggedFavourite = null;
+                    item.classList.remove('dragging');
+                });
+                item.addEventListener('dragover', (e) => {
+                    if (!this.draggedFavourite) return;
+                    e.preventDefault();
+                    item.classList.add('drag-over');
+                });
+                item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+                item.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    item.classList.remove('drag-over');
+                    if (this.draggedFavourite) this.moveFavourite(this.draggedFavourite, item.dataset.urlName);
+                    this.draggedFavourite = null;
+                });
             });
         }
-        
-        // Hide suggestions when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!this.searchInput.contains(e.target) && !this.suggestionsContainer.contains(e.target)) {
-                this.hideSuggestions();
-            }
-        });
     }
 
-    async handleSearchInput(e) {
-        const query = e.target.value.trim();
-        
-        // Clear any pending search
-        if (this.searchTimeout) {
-            clearTimeout(this.searchTimeout);
-        }
+    showLoading() {
+        this.welcomeMessage.classList.add('hide');
+        this.loadingContainer.classList.add('show');
+        this.resultsContainer.classList.remove('show');
+        this.errorContainer.classList.remove('show');
+    }
+
+    showResults() {
+        this.welcomeMessage.classList.add('hide');
+        this.loadingContainer.classList.remove('show');
+        this.resultsContainer.classList.add('show');
+        this.errorContainer.classList.remove('show');
+    }
+
+    showError(message) {
+        this.welcomeMessage.classList.add('hide');
+        this.loadingContainer.classList.remove('show');
+        this.resultsContainer.classList.remove('show');
+        this.errorContainer.classList.add('show');
         
-        // Cancel any pending request
-        if (this.currentSearchController) {
-            this.currentSearchController.abort();
+        const errorMessageEl = document.getElementById('errorMessage');
+        errorMessageEl.textContent = message;
+    }
+
+    showInfo(message, duration = 3000) {
+        // Create or update info notification
+        let infoEl = document.getElementById('infoNotification');
+        if (!infoEl) {
+            infoEl = document.createElement('div');
+            infoEl.id = 'infoNotification';
+            infoEl.style.cssText = `
+                position: fixed;
+                top: 20px;
+                right: 20px;
+                background: rgba(0, 212, 255, 0.1);
+                border: 1px solid #00d4ff;
+                color: #00d4ff;
+                padding: 12px 16px;
+                border-radius: 6px;
+                font-size: 14px;
+                z-index: 10000;
+                max-width: 300px;
+                opacity: 0;
+                transform: translateX(20px);
+                transition: all 0.3s ease;
+            `;
+            document.body.appendChild(infoEl);
         }
         
-        if (query.length < 2) {
-            this.hideSuggestions();
-            return;
-        }
-
-        // Debounce the search to avoid too many API calls - longer delay for mobile
-        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-        const debounceDelay = isMobile ? 500 : 300; // 500ms for mobile, 300ms for desktop
+        infoEl.textContent = message;
+        infoEl.style.opacity = '1';
+        infoEl.style.transform = 'translateX(0)';
         
-        this.searchTimeout = setTimeout(async () => {
-            try {
-                // Create new AbortController for this request
-                this.currentSearchController = new AbortController();
-                this.currentSearchQuery = query;
-                
-                const items = await this.api.searchItems(query, this.currentSearchController.signal);
-                
-                // Only show suggestions if this is still the current query
-                if (this.currentSearchQuery === query && !this.currentSearchController.signal.aborted) {
-                    this.showSuggestions(items);
-                }
-            } catch (error) {
-                if (error.name === 'AbortError') {
-                    console.log('Search request was cancelled');
-                    return;
-                }
-                console.error('Search input error:', error);
-                console.warn('Auto-suggestions temporarily unavailable');
-                
-                // Only hide suggestions if this is still the current query
-                if (this.currentSearchQuery === query) {
-                    this.hideSuggestions();
-                    
-                    // Show a subtle warning to user if this is the first failure
-                    if (!this.searchWarningShown) {
-                        this.searchWarningShown = true;
-                        setTimeout(() => {
-                            if (this.searchInput.value.trim() === query) {
-                                const warningText = isMobile 
-                                    ? 'Auto-suggestions may be limited on mobile. Try typing the full item name.'
-                                    : 'Auto-suggestions may be limited. Try typing the full item name.';
-                                this.showInfo(warningText);
-                            }
-                        }, 1000);
+        // Auto hide after duration
+        clearTimeout(this.infoTimeout);
+        this.infoTimeout = setTimeout(() => {
+            if (infoEl) {
+                infoEl.style.opacity = '0';
+                infoEl.style.transform = 'translateX(20px)';
+                setTimeout(() => {
+                    if (infoEl && infoEl.parentNode) {
+                        infoEl.parentNode.removeChild(infoEl);
                     }
-                }
-            } finally {
-                if (this.currentSearchController && !this.currentSearchController.signal.aborted) {
-                    this.currentSearchController = null;
-                }
+                }, 300);
             }
-        }, debounceDelay);
+        }, duration);
     }
 
-    handleSearchKeydown(e) {
-        if (e.key === 'Enter') {
-            e.preventDefault();
-            this.handleSearch();
-        }
+    hideResults() {
+        this.welcomeMessage.classList.remove('hide');
+        this.loadingContainer.classList.remove('show');
+        this.resultsContainer.classList.remove('show');
+        this.errorContainer.classList.remove('show');
     }
 
-    async handleSearch() {
-        const query = this.searchInput.value.trim();
+    // Comparison functionality
+    saveCompareList() {
+        localStorage.setItem('compareList', JSON.stringify(this.compareList));
+        this.updateCompareButton();
+    }
+
+    isCompared(urlName) {
+        return this.compareList.some(entry => entry.url_name === urlName);
+    }
+
+    addToCompare(item, variant = null) {
+        if (this.isCompared(item.url_name)) return false;
         
-        if (!query) {
-            this.showError('Please enter an item name');
-            return;
+        this.compareList.push({ url_name: item.url_name, item_name: item.item_name, variant });
+        this.saveCompareList();
+        return true;
+    }
+
+    removeFromCompare(urlName) {
+        this.compareList = this.compareList.filter(entry => entry.url_name !== urlName);
+        this.saveCompareList();
+        this.renderCompareTable();
+    }
+
+    toggleCompare() {
+        if (!this.currentItem) return;
+        
+        if (this.isCompared(this.currentItem.url_name)) {
+            this.removeFromCompare(this.currentItem.url_name);
+            this.showInfo(I18n.t('Removed {item} from comparison', { item: this.currentItem.item_name }));
+        } else {
+            this.addToCompare(this.currentItem, this.selectedVariant);
+            this.compareData.delete(this.currentItem.url_name);
+            this.showInfo(I18n.t('Added {item} to comparison', { item: this.currentItem.item_name }));
         }
+    }
+
+    updateCompareButton() {
+        if (!this.compareBtn) return;
+        
+        const compared = this.currentItem && this.isCompared(this.currentItem.url_name);
+        this.compareBtn.classList.toggle('active', !!compared);
+        this.compareBtn.title = I18n.t(compared ? 'Remove from comparison' : 'Add to comparison');
+    }
 
+    async addCompareFromInput() {
+        const itemName = this.compareItemInput.value.trim();
+        if (!itemName) return;
+        
         try {
-            console.log('Starting search for:', query);
-            this.showLoading();
-            
-            // Add timeout to prevent hanging - longer for mobile devices
-            const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-            const timeoutDuration = isMobile ? 15000 : 8000; // 15s for mobile, 8s for desktop
-            
-            const searchPromise = this.api.searchItems(query);
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Search timeout - please try again')), timeoutDuration)
-            );
-            
-            const items = await Promise.race([searchPromise, timeoutPromise]);
-            console.log('Search results:', items);
-            
-            if (items.length === 0) {
-                this.showError('No items found matching your search');
+            const response = await this.api.getItems();
+            const item = ItemMatcher.rank(response.payload.items, itemName)[0];
+            if (!item) {
+                this.showInfo(I18n.t('No item found for "{name}"', { name: itemName }));
                 return;
             }
-
-            // Use exact match if found, otherwise use first result
-            const exactMatch = items.find(item => 
-                item.item_name.toLowerCase() === query.toLowerCase() ||
-                item.url_name.toLowerCase() === query.toLowerCase()
-            );
-            
-            const selectedItem = exactMatch || items[0];
-            console.log('Selected item:', selectedItem);
-            await this.loadItemData(selectedItem);
-            this.hideSuggestions();
             
+            this.compareItemInput.value = '';
+            if (!this.addToCompare(item)) {
+                this.showInfo(I18n.t('{item} is already in the comparison', { item: item.item_name }));
+                return;
+            }
+            this.renderCompareTable();
+            this.loadCompareData();
         } catch (error) {
-            console.error('Search error:', error);
-            console.error('Error details:', error.message);
-            
-            // Provide mobile-specific error messages and debugging info
-            const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-            let errorMessage = `Connection failed: ${error.message}`;
+            console.error('Failed to add comparison item:', error);
+        }
+    }
+
+    // Orders and 48h closed statistics for every compared item not loaded yet
+    async loadCompareData(force = false) {
+        if (this.compareScanner.running) return;
+        
+        if (force) this.compareData.clear();
+        const pending = this.compareList.filter(entry => !this.compareData.has(entry.url_name));
+        if (pending.length === 0) return;
+        
+        this.compareRefreshBtn.disabled = true;
+        await this.compareScanner.run(pending, async (entry) => {
+            const orders = (await this.api.getItemOrders(entry.url_name)).payload.orders;
             
-            console.log('Search failed with error:', error);
-            console.log('Mobile device:', isMobile);
-            console.log('Network connection:', navigator.onLine ? 'Online' : 'Offline');
+            // Compare one variant per item: the stored one, otherwise the busiest
+            const variants = this.getVariants(orders);
+            const variant = variants.find(v => v.key === entry.variant) ||
+                [...variants].sort((a, b) => b.orders.length - a.orders.length)[0] || null;
+            const snapshot = PriceHistoryStore.summarize(variant ? variant.orders : orders);
             
-            if (isMobile) {
-                if (error.message.includes('timeout')) {
-                    errorMessage = 'Search timed out. Mobile networks can be slower - please try again or check your connection.';
-                } else if (error.message.includes('proxy') || error.message.includes('failed')) {
-                    errorMessage = 'Connection issue on mobile. Try switching to WiFi or mobile data, then search again.';
-                } else if (error.message.includes('Failed to fetch')) {
-                    errorMessage = 'Network error on mobile. Please check your internet connection and try again.';
-                } else {
-                    errorMessage = `Mobile search error: ${error.message}. Check console for details.`;
-                }
-                
-                // Add a suggestion to try desktop version
-                errorMessage += ' If issues persist, try using the desktop version.';
+            let volume = null;
+            try {
+                const statistics = (await this.api.getItemStatistics(entry.url_name)).payload;
+                const closed = (statistics.statistics_closed || {})['48hours'];
+                volume = this.summarizeStatistics(this.statisticsForVariant(closed, variant)).volume;
+            } catch (error) {
+                console.error(`Failed to load statistics for ${entry.url_name}:`, error);
             }
             
-            this.showError(errorMessage);
+            this.compareData.set(entry.url_name, {
+                variantLabel: variant && variant.key !== 'default' ? variant.label : null,
+                lowestSell: snapshot.lowestSell,
+                highestBuy: snapshot.highestBuy,
+                spread: snapshot.lowestSell !== null && snapshot.highestBuy !== null ? snapshot.lowestSell - snapshot.highestBuy : null,
+                sellers: snapshot.onlineSellCount,
+                volume
+            });
+            this.renderCompareTable();
+        });
+        this.compareRefreshBtn.disabled = false;
+    }
+
+    handleCompareSort(key) {
+        if (this.compareSort.key !== key) {
+            this.compareSort = { key, direction: key === 'item' ? 'asc' : 'desc' };
+        } else {
+            this.compareSort.direction = this.compareSort.direction === 'asc' ? 'desc' : 'asc';
+        }
+        this.renderCompareTable();
+    }
+
+    renderCompareTable() {
+        if (!this.compareTableEl) return;
+        
+        if (this.compareList.length === 0) {
+            this.compareTableEl.innerHTML = `<div class="no-data">${I18n.t('Add items here, with ⚖ next to an item name, or from a set breakdown')}</div>`;
+            return;
+        }
+        
+        const columns = [
+            { key: 'item', label: I18n.t('Item') },
+            { key: 'lowestSell', label: I18n.t('Lowest Sell') },
+            { key: 'highestBuy', label: I18n.t('Highest Buy') },
+            { key: 'spread', label: I18n.t('Spread') },
+            { key: 'sellers', label: I18n.t('Online Sellers') },
+            { key: 'volume', label: I18n.t('48h Volume') }
+        ];
+        
+        const rows = this.compareList.map(entry => ({ entry, data: this.compareData.get(entry.url_name) || null }));
+        if (this.compareSort.key) {
+            const direction = this.compareSort.direction === 'asc' ? 1 : -1;
+            const value = row => this.compareSort.key === 'item'
+                ? row.entry.item_name
+                : (row.data ? row.data[this.compareSort.key] : null);
+            
+            rows.sort((a, b) => {
+                const aValue = value(a);
+                const bValue = value(b);
+                const aMissing = aValue === null || aValue === undefined;
+                const bMissing = bValue === null || bValue === undefined;
+                // Items without data always sink to the bottom, keeping their list order
+                if (aMissing && bMissing) return 0;
+                if (aMissing) return 1;
+                if (bMissing) return -1;
+                return (typeof aValue === 'string' ? aValue.localeCompare(bValue) : aValue - bValue) * direction;
+            });
         }
+        
+        const formatPlat = value => value === null || value === undefined ? '--' : `${value} ♦`;
+        const formatCount = value => value === null || value === undefined ? '--' : value;
+        
+        this.compareTableEl.innerHTML = `
+            <div class="compare-row compare-head">
+                ${columns.map(column => `
+                    <div class="header-cell sortable ${this.compareSort.key === column.key ? 'sorted' : ''}" data-sort="${column.key}" data-direction="${this.compareSort.key === column.key ? this.compareSort.direction : ''}">${column.label}</div>
+                `).join('')}
+                <div></div>
+            </div>
+            ${rows.map(({ entry, data }) => `
+                <div class="compare-row">
+                    <div class="compare-item" data-url-name="${Utils.escapeHtml(entry.url_name)}" data-item-name="${Utils.escapeHtml(entry.item_name)}">
+                        ${Utils.escapeHtml(entry.item_name)}
+                        ${data && data.variantLabel ? `<span class="compare-variant">${Utils.escapeHtml(data.variantLabel)}</span>` : ''}
+                    </div>
+                    ${data ? `
+                        <div class="price">${formatPlat(data.lowestSell)}</div>
+                        <div class="price">${formatPlat(data.highestBuy)}</div>
+                        <div>${formatPlat(data.spread)}</div>
+                        <div>${formatCount(data.sellers)}</div>
+                        <div>${formatCount(data.volume)}</div>
+                    ` : `<div class="compare-loading">${I18n.t('Loading...')}</div><div></div><div></div><div></div><div></div>`}
+                    <div><button class="row-action-btn compare-remove-btn" data-url-name="${Utils.escapeHtml(entry.url_name)}" title="${I18n.t('Remove from comparison')}">✕</button></div>
+                </div>
+            `).join('')}
+        `;
+        
+        this.compareTableEl.querySelectorAll('.compare-head .header-cell[data-sort]').forEach(header => {
+            header.addEventListener('click', () => this.handleCompareSort(header.dataset.sort));
+        });
+        this.compareTableEl.querySelectorAll('.compare-remove-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.removeFromCompare(btn.dataset.urlName));
+        });
+        this.compareTableEl.querySelectorAll('.compare-item').forEach(el => {
+            el.addEventListener('click', async () => {
+                this.switchMainTab('market');
+                this.searchInput.value = el.dataset.itemName;
+                await this.loadItemData({ url_name: el.dataset.urlName, item_name: el.dataset.itemName });
+            });
+        });
     }
 
-    handleFilterToggle() {
-        // Cycle through: all -> sell -> buy -> all
-        const filters = ['all', 'sell', 'buy'];
-        const currentIndex = filters.indexOf(this.orderFilter);
-        const nextIndex = (currentIndex + 1) % filters.length;
-        this.orderFilter = filters[nextIndex];
+    // Shown whenever data on screen came from the offline cache instead of the network
+    updateOfflineBadge(badge, info) {
+        if (!badge) return;
         
-        this.updateFilterButton();
+        const offline = !!(info && info.offline);
+        badge.classList.toggle('hidden', !offline);
+        badge.textContent = offline ? I18n.t('Offline – data from {time}', { time: Utils.timeAgo(new Date(info.timestamp)) }) : '';
+    }
+
+    // Ledger functionality
+    async openLedger() {
+        await this.ledger.ready;
         
-        // Refresh display if we have current orders
-        if (this.currentOrders) {
-            this.displayOrders(this.currentOrders, null);
+        if (!this.ledgerDateInput.value) {
+            this.ledgerDateInput.value = this.toDateInputValue(Date.now());
         }
+        
+        this.renderLedger();
+        this.populateItemOptions(this.ledgerItemOptions);
+        this.refreshLedgerValues();
     }
 
-    updateFilterButton() {
-        const btn = this.orderFilterBtn;
-        
-        // Remove all filter classes
-        btn.classList.remove('sell-only', 'buy-only');
+    toDateInputValue(timestamp) {
+        const date = new Date(timestamp);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Fill a <datalist> with every item name for native autocomplete
+    async populateItemOptions(datalist) {
+        if (!datalist || datalist.children.length > 0) return;
         
-        switch (this.orderFilter) {
-            case 'all':
-                btn.textContent = 'All Orders';
-                btn.dataset.filter = 'all';
-                break;
-            case 'sell':
-                btn.textContent = 'Sell Orders';
-                btn.classList.add('sell-only');
-                btn.dataset.filter = 'sell';
-                break;
-            case 'buy':
-                btn.textContent = 'Buy Orders';
-                btn.classList.add('buy-only');
-                btn.dataset.filter = 'buy';
-                break;
+        try {
+            const response = await this.api.getItems();
+            datalist.innerHTML = response.payload.items
+                .map(item => `<option value="${Utils.escapeHtml(item.item_name)}"></option>`)
+                .join('');
+        } catch (error) {
+            console.error('Failed to load item names:', error);
         }
     }
 
-    async handleRetry() {
-        if (this.currentItem) {
-            await this.loadItemData(this.currentItem);
-        } else {
-            this.handleSearch();
+    // Buying from a seller is logged as a buy, selling to a buyer as a sell
+    logOrderInLedger(orderId) {
+        const order = this.displayedOrders.get(orderId);
+        if (!order || !this.currentItem) return;
+        
+        this.ledgerPrefill = { url_name: this.currentItem.url_name, item_name: this.currentItem.item_name };
+        this.switchMainTab('ledger');
+        
+        this.ledgerTypeSelect.value = order.order_type === 'sell' ? 'buy' : 'sell';
+        this.ledgerItemInput.value = this.currentItem.item_name;
+        this.ledgerRankInput.value = order.mod_rank !== undefined && order.mod_rank !== null ? order.mod_rank : '';
+        this.ledgerQuantityInput.value = 1;
+        this.ledgerPlatinumInput.value = order.platinum;
+        this.ledgerPartnerInput.value = order.user.ingame_name;
+        this.ledgerDateInput.value = this.toDateInputValue(Date.now());
+        this.ledgerQuantityInput.focus();
+    }
+
+    async addLedgerEntry() {
+        const itemName = this.ledgerItemInput.value.trim();
+        const quantity = parseInt(this.ledgerQuantityInput.value, 10);
+        const platinum = parseInt(this.ledgerPlatinumInput.value, 10);
+        const rank = this.ledgerRankInput.value === '' ? null : parseInt(this.ledgerRankInput.value, 10);
+        
+        if (!itemName) {
+            this.showInfo(I18n.t('Enter the item you traded'));
+            return;
+        }
+        if (isNaN(quantity) || quantity < 1) {
+            this.showInfo(I18n.t('Quantity must be at least 1'));
+            return;
+        }
+        if (isNaN(platinum) || platinum < 0) {
+            this.showInfo(I18n.t('Enter the platinum paid or received per unit'));
+            return;
+        }
+        
+        let item = this.ledgerPrefill && this.ledgerPrefill.item_name === itemName ? this.ledgerPrefill : null;
+        if (!item) {
+            try {
+                const response = await this.api.getItems();
+                item = response.payload.items.find(entry => [entry.item_name, entry.en_name]
+                    .some(name => name && name.toLowerCase() === itemName.toLowerCase())) || null;
+            } catch (error) {
+                console.error('Failed to resolve ledger item:', error);
+            }
         }
+        if (!item) {
+            this.showInfo(I18n.t('Unknown item "{name}"', { name: itemName }));
+            return;
+        }
+        
+        // Trades logged for today keep their time so same-day entries stay in order
+        const dateValue = this.ledgerDateInput.value;
+        const date = !dateValue || dateValue === this.toDateInputValue(Date.now())
+            ? Date.now()
+            : new Date(`${dateValue}T12:00:00`).getTime();
+        
+        await this.ledger.add({
+            type: this.ledgerTypeSelect.value,
+            url_name: item.url_name,
+            item_name: item.item_name,
+            rank,
+            quantity,
+            platinum,
+            partner: this.ledgerPartnerInput.value.trim(),
+            date
+        });
+        
+        this.ledgerPrefill = null;
+        this.ledgerItemInput.value = '';
+        this.ledgerRankInput.value = '';
+        this.ledgerQuantityInput.value = 1;
+        this.ledgerPlatinumInput.value = '';
+        this.ledgerPartnerInput.value = '';
+        
+        this.renderLedger();
+        this.refreshLedgerValues();
+        this.showInfo(I18n.t('Logged {quantity}x {item}', { quantity, item: item.item_name }));
     }
 
-    handleTabClick(e) {
-        const tabName = e.target.dataset.tab;
-        this.switchTab(tabName);
+    async removeLedgerEntry(id) {
+        await this.ledger.remove(id);
+        this.renderLedger();
     }
 
-    switchTab(tabName) {
-        this.tabBtns.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.tab === tabName);
+    // Value the inventory still held at the current lowest online sell price
+    async refreshLedgerValues(force = false) {
+        if (this.ledgerScanner.running) return;
+        
+        const held = this.ledger.summarize().items
+            .filter(item => item.held > 0 && (force || !this.ledgerPrices.has(item.key)));
+        if (held.length === 0) return;
+        
+        this.ledgerRefreshBtn.disabled = true;
+        await this.ledgerScanner.run(held, async (item) => {
+            const orders = (await this.api.getItemOrders(item.url_name)).payload.orders;
+            const rankOrders = item.rank === null ? orders : orders.filter(order => order.mod_rank === item.rank);
+            this.ledgerPrices.set(item.key, PriceHistoryStore.summarize(rankOrders).lowestSell);
+            this.renderLedger();
+        });
+        this.ledgerRefreshBtn.disabled = false;
+    }
+
+    renderLedger() {
+        if (!this.ledgerSummaryEl) return;
+        
+        const summary = this.ledger.summarize();
+        const formatPlat = value => value === null ? '--' : `${Math.round(value).toLocaleString()} ♦`;
+        const signedPlat = value => `${value > 0 ? '+' : ''}${formatPlat(value)}`;
+        const profitClass = value => value > 0 ? 'profit' : (value < 0 ? 'loss' : '');
+        const rankLabel = rank => rank === null ? '' : ` <span class="ledger-rank">R${rank}</span>`;
+        
+        let inventoryValue = 0;
+        let unpriced = 0;
+        summary.items.filter(item => item.held > 0).forEach(item => {
+            const price = this.ledgerPrices.get(item.key);
+            if (price === undefined || price === null) {
+                unpriced++;
+            } else {
+                inventoryValue += price * item.held;
+            }
         });
         
-        this.tabPanels.forEach(panel => {
-            panel.classList.toggle('active', panel.id === `${tabName}Tab`);
+        this.ledgerSummaryEl.innerHTML = `
+            <div class="stat-item">
+                <span class="stat-label">${I18n.t('Realised Profit:')}</span>
+                <span class="stat-value ${profitClass(summary.realised)}">${signedPlat(summary.realised)}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">${I18n.t('Inventory Value')}${unpriced > 0 ? ` (${I18n.t('{count} unpriced', { count: unpriced })})` : ''}:</span>
+                <span class="stat-value">${formatPlat(inventoryValue)}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">${I18n.t('Total Spent:')}</span>
+                <span class="stat-value">${formatPlat(summary.spent)}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">${I18n.t('Total Earned:')}</span>
+                <span class="stat-value">${formatPlat(summary.earned)}</span>
+            </div>
+        `;
+        
+        if (summary.items.length === 0) {
+            this.ledgerItemsEl.innerHTML = `<div class="no-data">${I18n.t('No trades logged yet')}</div>`;
+            this.ledgerEntriesEl.innerHTML = '';
+            return;
+        }
+        
+        this.ledgerItemsEl.innerHTML = `
+            <div class="ledger-row ledger-items-row ledger-head">
+                <div>${I18n.t('Item')}</div>
+                <div>${I18n.t('Bought')}</div>
+                <div>${I18n.t('Sold')}</div>
+                <div>${I18n.t('On Hand')}</div>
+                <div>${I18n.t('Avg Cost')}</div>
+                <div>${I18n.t('Market')}</div>
+                <div>${I18n.t('Realised')}</div>
+                <div>${I18n.t('Margin')}</div>
+            </div>
+            ${summary.items.map(item => {
+                const price = this.ledgerPrices.get(item.key);
+                return `
+                    <div class="ledger-row ledger-items-row">
+                        <div class="ledger-item" data-url-name="${Utils.escapeHtml(item.url_name)}" data-item-name="${Utils.escapeHtml(item.item_name)}">${Utils.escapeHtml(item.item_name)}${rankLabel(item.rank)}</div>
+                        <div>${item.bought}</div>
+                        <div>${item.sold}</div>
+                        <div>${item.held}</div>
+                        <div>${item.averageCost === null ? '--' : `${item.averageCost.toFixed(1)} ♦`}</div>
+                        <div>${item.held > 0 && price !== undefined && price !== null ? `${price} ♦` : '--'}</div>
+                        <div class="${profitClass(item.realised)}">${item.sold > 0 ? signedPlat(item.realised) : '--'}</div>
+                        <div class="${profitClass(item.realised)}">${item.margin === null ? '--' : `${item.margin.toFixed(1)}%`}</div>
+                    </div>
+                `;
+            }).join('')}
+        `;
+        
+        const entries = [...this.ledger.entries].sort((a, b) => b.date - a.date);
+        this.ledgerEntriesEl.innerHTML = `
+            <div class="ledger-row ledger-entries-row ledger-head">
+                <div>${I18n.t('Date')}</div>
+                <div>${I18n.t('Type')}</div>
+                <div>${I18n.t('Item')}</div>
+                <div>${I18n.t('Qty')}</div>
+                <div>${I18n.t('Price')}</div>
+                <div>${I18n.t('Total')}</div>
+                <div>${I18n.t('Partner')}</div>
+                <div>${I18n.t('Running')}</div>
+                <div></div>
+            </div>
+            ${entries.map(entry => `
+                <div class="ledger-row ledger-entries-row">
+                    <div>${new Date(entry.date).toLocaleDateString()}</div>
+                    <div class="type-${Utils.escapeHtml(entry.type)}">${I18n.t(entry.type === 'sell' ? 'Sell' : 'Buy').toUpperCase()}</div>
+                    <div class="ledger-item" data-url-name="${Utils.escapeHtml(entry.url_name)}" data-item-name="${Utils.escapeHtml(entry.item_name)}">${Utils.escapeHtml(entry.item_name)}${rankLabel(entry.rank)}</div>
+                    <div>${entry.quantity}</div>
+                    <div>${entry.platinum} ♦</div>
+                    <div>${formatPlat(entry.platinum * entry.quantity)}</div>
+                    <div>${Utils.escapeHtml(entry.partner || '--')}</div>
+                    <div class="${profitClass(summary.running.get(entry.id))}">${signedPlat(summary.running.get(entry.id))}</div>
+                    <div><button class="row-action-btn ledger-remove-btn" data-id="${entry.id}" title="${I18n.t('Delete entry')}">✕</button></div>
+                </div>
+            `).join('')}
+        `;
+        
+        this.ledgerEntriesEl.querySelectorAll('.ledger-remove-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.removeLedgerEntry(btn.dataset.id));
+        });
+        
+        [this.ledgerItemsEl, this.ledgerEntriesEl].forEach(container => {
+            container.querySelectorAll('.ledger-item').forEach(el => {
+                el.addEventListener('click', async () => {
+                    this.switchMainTab('market');
+                    this.searchInput.value = el.dataset.itemName;
+                    await this.loadItemData({ url_name: el.dataset.urlName, item_name: el.dataset.itemName });
+                });
+            });
         });
     }
 
-    handleMainTabClick(e) {
-        const tabName = e.target.dataset.mainTab;
-        this.switchMainTab(tabName);
+    exportLedger(format) {
+        const entries = [...this.ledger.entries].sort((a, b) => a.date - b.date);
+        if (entries.length === 0) {
+            this.showInfo(I18n.t('The ledger is empty'));
+            return;
+        }
         
-        // Preload items list when market tab is accessed for faster searches
-        if (tabName === 'market' && !this.itemsPreloaded) {
-            this.preloadItemsList();
+        const stamp = this.toDateInputValue(Date.now());
+        if (format === 'json') {
+            this.saveFile(`ledger-${stamp}.json`, JSON.stringify(entries, null, 2), 'application/json');
+            return;
         }
+        
+        const header = ['date', 'type', 'item', 'url_name', 'rank', 'quantity', 'platinum', 'total', 'partner'];
+        const rows = entries.map(entry => [
+            new Date(entry.date).toISOString(),
+            entry.type,
+            entry.item_name,
+            entry.url_name,
+            entry.rank === null ? '' : entry.rank,
+            entry.quantity,
+            entry.platinum,
+            entry.platinum * entry.quantity,
+            entry.partner
+        ]);
+        this.saveFile(`ledger-${stamp}.csv`, Utils.toCSV([header, ...rows]), 'text/csv');
     }
 
-    async preloadItemsList() {
-        if (this.itemsPreloading) return;
-        this.itemsPreloading = true;
+    // Native save dialog in Electron, a browser download otherwise
+    async saveFile(filename, content, mimeType) {
+        if (!window.electronAPI || !window.electronAPI.saveFile) {
+            Utils.downloadFile(filename, content, mimeType);
+            return;
+        }
         
+        const extension = filename.split('.').pop();
         try {
-            console.log('Preloading items list for faster searches...');
-            await this.api.getItems();
-            this.itemsPreloaded = true;
-            console.log('Items list preloaded successfully');
+            const savedPath = await window.electronAPI.saveFile({
+                defaultPath: filename,
+                content,
+                filters: [{ name: extension.toUpperCase(), extensions: [extension] }]
+            });
+            if (savedPath) this.showInfo(I18n.t('Saved to {path}', { path: savedPath }));
         } catch (error) {
-            console.error('Failed to preload items list:', error);
-        } finally {
-            this.itemsPreloading = false;
+            console.error('Failed to save file:', error);
+            this.showError(I18n.t('Could not save {file}', { file: filename }));
         }
     }
 
-    switchMainTab(tabName) {
-        this.currentMainTab = tabName;
+    // Market data of the current item as a table: the order book as filtered and sorted on
+    // screen, the order summary plus trade statistics, or every stored price snapshot
+    getExportTable(dataset) {
+        const item = this.currentItem;
+        const variant = this.selectedVariant || 'default';
+        
+        if (dataset === 'orders') {
+            const orders = this.getBookOrders(this.getSelectedOrders());
+            return {
+                header: ['type', 'player', 'platinum', 'quantity', 'status', 'reputation', 'rank', 'subtype', 'last_update'],
+                rows: orders.map(order => [
+                    order.order_type,
+                    order.user.ingame_name,
+                    order.platinum,
+                    order.quantity,
+                    order.user.status,
+                    order.user.reputation,
+                    order.mod_rank === undefined ? '' : order.mod_rank,
+                    order.subtype || '',
+                    order.last_update
+                ]),
+                json: { item: item.url_name, variant, platform: this.api.platform, orders }
+            };
+        }
         
-        this.mainTabBtns.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.mainTab === tabName);
-        });
+        if (dataset === 'statistics') {
+            const summary = this.marketSummary || {};
+            const buckets = this.getTradeStatisticsBuckets();
+            const round = value => value === null ? '' : Math.round(value * 10) / 10;
+            return {
+                header: ['statistic', 'volume', 'average', 'median', 'moving_avg', 'min', 'max'],
+                rows: [
+                    ['orders', summary.total_orders, summary.average_price, '', '', summary.min_price, summary.max_price],
+                    ...buckets.map(bucket => [
+                        bucket.key,
+                        bucket.summary.volume,
+                        round(bucket.summary.average),
+                        round(bucket.summary.median),
+                        round(bucket.summary.movingAverage),
+                        round(bucket.summary.min),
+                        round(bucket.summary.max)
+                    ])
+                ],
+                json: {
+                    item: item.url_name,
+                    variant,
+                    platform: this.api.platform,
+                    orders: summary,
+                    trade_statistics: Object.fromEntries(buckets.map(bucket => [bucket.key, bucket.summary]))
+                }
+            };
+        }
         
-        this.mainTabPanels.forEach(panel => {
-            panel.classList.toggle('active', panel.id === `${tabName}Tab`);
-        });
+        const snapshots = this.priceHistory.getSnapshots(item.url_name, this.priceHistory.retention, variant, this.api.platform);
+        return {
+            header: ['time', 'lowest_sell', 'median_sell', 'highest_buy', 'sell_orders', 'buy_orders'],
+            rows: snapshots.map(snapshot => [
+                new Date(snapshot.t).toISOString(),
+                snapshot.lowestSell,
+                snapshot.median,
+                snapshot.highestBuy,
+                snapshot.sellCount,
+                snapshot.buyCount
+            ]),
+            json: { item: item.url_name, variant, platform: this.api.platform, snapshots }
+        };
+    }
+
+    async exportMarketData(dataset, format) {
+        if (!this.currentItem) return;
         
-        // Update header text based on active tab
-        this.updateHeaderText(tabName);
+        const table = this.getExportTable(dataset);
+        if (table.rows.length === 0) {
+            this.showInfo(I18n.t('Nothing to export yet'));
+            return;
+        }
         
-        // Load alerts data when switching to alerts tab
-        if (tabName === 'alerts') {
-            this.loadAlertsData();
-            this.startAlertsRefresh();
-            this.startTimerUpdates(); // Start real-time timer updates
+        if (format === 'markdown') {
+            const copied = await Utils.copyToClipboard(Utils.toMarkdownTable([table.header, ...table.rows]));
+            this.showInfo(copied ? I18n.t('Copied as a Markdown table') : I18n.t('Could not copy to clipboard'));
+            return;
+        }
+        
+        const variant = this.selectedVariant && this.selectedVariant !== 'default' ? `-${this.selectedVariant.replace(/[^a-z0-9]+/gi, '-')}` : '';
+        const filename = `${this.currentItem.url_name}${variant}-${dataset}-${this.toDateInputValue(Date.now())}`;
+        if (format === 'json') {
+            await this.saveFile(`${filename}.json`, JSON.stringify(table.json, null, 2), 'application/json');
         } else {
-            this.stopAlertsRefresh();
-            this.stopTimerUpdates(); // Stop timer updates when not on alerts tab
+            await this.saveFile(`${filename}.csv`, Utils.toCSV([table.header, ...table.rows]), 'text/csv');
         }
     }
 
-    updateHeaderText(tabName) {
-        const titleAccent = document.querySelector('.title-accent');
-        const titleMain = document.querySelector('.title-main');
+    // Ducat Finder functionality
+    handleDucatOptionsChange() {
+        const minRatio = parseFloat(this.ducatMinRatioInput.value);
+        this.ducatOptions = {
+            minRatio: isNaN(minRatio) || minRatio < 0 ? 0 : minRatio,
+            excludeVaulted: this.ducatExcludeVaultedToggle.checked
+        };
+        localStorage.setItem('ducatFinderOptions', JSON.stringify(this.ducatOptions));
+        this.renderDucatResults();
+    }
+
+    toggleDucatScan() {
+        if (this.ducatScanner.running) {
+            this.ducatScanner.cancel();
+        } else {
+            this.scanDucatParts();
+        }
+    }
+
+    // Two passes: item details for every prime set (ducats and vaulted status of each
+    // part), then the orders of each part for its lowest online sell price
+    async scanDucatParts() {
+        this.ducatScanBtn.textContent = I18n.t('Stop');
+        this.ducatScanBtn.classList.add('scanning');
+        this.ducatParts.clear();
+        this.renderDucatResults();
         
-        if (titleAccent && titleMain) {
-            if (tabName === 'alerts') {
-                titleAccent.textContent = 'WARFRAME';
-                titleMain.textContent = 'ALERTS';
-                document.title = 'Warframe Alerts';
-            } else {
-                titleAccent.textContent = 'WARFRAME';
-                titleMain.textContent = 'MARKET TRACKER';
-                document.title = 'Warframe Market Tracker';
-            }
+        try {
+            const response = await this.api.getItems();
+            const sets = response.payload.items.filter(item => item.url_name.endsWith('_prime_set'));
+            
+            const completed = await this.ducatScanner.run(sets, async (set) => {
+                const details = await this.api.getItemDetails(set.url_name);
+                const itemsInSet = details.payload.item.items_in_set || [];
+                const setRoot = itemsInSet.find(part => part.set_root);
+                
+                itemsInSet.filter(part => !part.set_root && part.ducats > 0).forEach(part => {
+                    this.ducatParts.set(part.url_name, {
+                        url_name: part.url_name,
+                        item_name: this.api.getDetailsName(part),
+                        set_name: set.item_name,
+                        ducats: part.ducats,
+                        vaulted: !!(part.vaulted || (setRoot && setRoot.vaulted)),
+                        lowestSell: null,
+                        sellers: 0
+                    });
+                });
+            }, (done, total) => {
+                this.ducatProgressEl.textContent = I18n.t('Reading sets {done}/{total}...', { done, total });
+            });
+            
+            if (!completed) return;
+            
+            // Vaulted parts are skipped entirely when excluded to save requests
+            const parts = [...this.ducatParts.values()].filter(part => !(this.ducatOptions.excludeVaulted && part.vaulted));
+            
+            await this.ducatScanner.run(parts, async (part) => {
+                const orders = (await this.api.getItemOrders(part.url_name)).payload.orders;
+                const snapshot = PriceHistoryStore.summarize(orders);
+                part.lowestSell = snapshot.lowestSell;
+                part.sellers = snapshot.onlineSellCount;
+                this.renderDucatResults();
+            }, (done, total) => {
+                this.ducatProgressEl.textContent = I18n.t('Checking prices {done}/{total}...', { done, total });
+            });
+        } catch (error) {
+            console.error('Ducat scan failed:', error);
+            this.showError(I18n.t('Failed to scan prime parts for ducat values'));
+        } finally {
+            const priced = [...this.ducatParts.values()].filter(part => part.lowestSell !== null).length;
+            this.ducatProgressEl.textContent = `${I18n.t(this.ducatScanner.cancelled ? 'Scan stopped' : 'Scan complete')} · ${I18n.t('{count} parts priced', { count: priced })}`;
+            this.ducatScanBtn.textContent = I18n.t('Scan Prime Parts');
+            this.ducatScanBtn.classList.remove('scanning');
+            this.renderDucatResults();
         }
     }
 
-    showSuggestions(items) {
-        if (items.length === 0) {
-            this.hideSuggestions();
+    renderDucatResults() {
+        if (!this.ducatResultsEl) return;
+        
+        const { minRatio, excludeVaulted } = this.ducatOptions;
+        const parts = [...this.ducatParts.values()]
+            .filter(part => part.lowestSell !== null && part.lowestSell > 0)
+            .filter(part => !(excludeVaulted && part.vaulted))
+            .map(part => ({ ...part, ratio: part.ducats / part.lowestSell }))
+            .filter(part => part.ratio >= minRatio)
+            .sort((a, b) => b.ratio - a.ratio || a.lowestSell - b.lowestSell);
+        
+        if (parts.length === 0) {
+            this.ducatResultsEl.innerHTML = `<div class="no-data">${I18n.t(this.ducatParts.size === 0 ? 'Scan prime parts to find the best ducat deals' : 'No parts match the current filters')}</div>`;
             return;
         }
-
-        this.suggestionsContainer.innerHTML = items.map(item => `
-            <div class="suggestion-item" data-url-name="${item.url_name}" data-item-name="${item.item_name}">
-                ${item.item_name}
+        
+        this.ducatResultsEl.innerHTML = `
+            <div class="ducat-row ducat-head">
+                <div>${I18n.t('Part')}</div>
+                <div>${I18n.t('Ducats')}</div>
+                <div>${I18n.t('Lowest Sell')}</div>
+                <div>${I18n.t('Ducats/♦')}</div>
+                <div>${I18n.t('Sellers')}</div>
             </div>
-        `).join('');
-
-        // Bind click events to suggestions
-        this.suggestionsContainer.querySelectorAll('.suggestion-item').forEach(item => {
-            item.addEventListener('click', async (e) => {
-                const urlName = e.target.dataset.urlName;
-                const itemName = e.target.dataset.itemName;
-                
-                this.searchInput.value = itemName;
-                this.hideSuggestions();
-                
-                await this.loadItemData({ url_name: urlName, item_name: itemName });
+            ${parts.map(part => `
+                <div class="ducat-row" data-url-name="${Utils.escapeHtml(part.url_name)}" data-item-name="${Utils.escapeHtml(part.item_name)}">
+                    <div class="ducat-part">
+                        ${Utils.escapeHtml(part.item_name)}
+                        ${part.vaulted ? `<span class="vaulted-badge">${I18n.t('Vaulted')}</span>` : ''}
+                    </div>
+                    <div>${part.ducats}</div>
+                    <div>${part.lowestSell} ♦</div>
+                    <div class="ducat-ratio">${part.ratio.toFixed(1)}</div>
+                    <div>${part.sellers}</div>
+                </div>
+            `).join('')}
+        `;
+        
+        this.ducatResultsEl.querySelectorAll('.ducat-row[data-url-name]').forEach(row => {
+            row.addEventListener('click', async () => {
+                const item = { url_name: row.dataset.urlName, item_name: row.dataset.itemName };
+                this.switchMainTab('market');
+                this.searchInput.value = item.item_name;
+                await this.loadItemData(item);
             });
         });
+    }
 
-        this.suggestionsContainer.classList.add('show');
+    // Flip Finder functionality
+    renderFlipCategories() {
+        this.flipCategorySelect.innerHTML = Object.entries(FlipFinder.categories)
+            .map(([key, category]) => `<option value="${key}">${I18n.t(category.label)}</option>`)
+            .join('');
+        this.flipCategorySelect.value = this.flipOptions.category;
     }
 
-    hideSuggestions() {
-        this.suggestionsContainer.classList.remove('show');
-        this.suggestionsContainer.innerHTML = '';
+    handleFlipOptionsChange() {
+        const minMargin = parseInt(this.flipMinMarginInput.value, 10);
+        const minVolume = parseInt(this.flipMinVolumeInput.value, 10);
+        const category = this.flipCategorySelect.value;
+        
+        // Results of another category are no longer what the user asked for
+        if (category !== this.flipOptions.category && !this.flipScanner.running) {
+            this.flips.clear();
+            this.flipProgressEl.textContent = '';
+        }
+        
+        this.flipOptions = {
+            category,
+            minMargin: isNaN(minMargin) || minMargin < 0 ? 0 : minMargin,
+            minVolume: isNaN(minVolume) || minVolume < 0 ? 0 : minVolume
+        };
+        localStorage.setItem('flipFinderOptions', JSON.stringify(this.flipOptions));
+        this.renderFlipResults();
     }
 
-    async loadItemData(item) {
-        this.currentItem = item;
-        this.showLoading();
+    toggleFlipScan() {
+        if (this.flipScanner.running) {
+            this.flipScanner.cancel();
+        } else {
+            this.scanFlips();
+        }
+    }
+
+    // One pass over the category: orders of every item, plus 48h statistics for items whose
+    // spread is wide enough to be worth trading, so volume is only fetched when it matters
+    async scanFlips() {
+        const category = FlipFinder.categories[this.flipOptions.category];
+        this.flipScanBtn.textContent = I18n.t('Stop');
+        this.flipScanBtn.classList.add('scanning');
+        this.flipCategorySelect.disabled = true;
+        this.flips.clear();
+        this.renderFlipResults();
         
         try {
-            const response = await this.api.getItemOrders(item.url_name);
-            const orders = response.payload.orders;
-            
-            this.displayItemData(item, orders);
-            this.addToRecentSearches(item);
-            this.showResults();
+            const [response, tags] = await Promise.all([this.api.getItems(), this.api.getItemTags()]);
+            const items = response.payload.items.filter(item => category.matches(item.url_name, tags.get(item.url_name) || []));
             
+            await this.flipScanner.run(items, async (item) => {
+                const orders = (await this.api.getItemOrders(item.url_name)).payload.orders;
+                if (category.ranked && !orders.some(order => order.mod_rank !== undefined && order.mod_rank !== null)) return;
+                
+                const flip = FlipFinder.evaluate(this.getVariants(orders));
+                if (!flip) return;
+                
+                flip.url_name = item.url_name;
+                flip.item_name = item.item_name;
+                flip.volume = null;
+                
+                if (!flip.instant && flip.margin >= this.flipOptions.minMargin) {
+                    const statistics = (await this.api.getItemStatistics(item.url_name)).payload;
+                    const closed = (statistics.statistics_closed || {})['48hours'];
+                    flip.volume = this.summarizeStatistics(this.statisticsForVariant(closed, flip.variant)).volume;
+                }
+                
+                this.flips.set(item.url_name, flip);
+                this.renderFlipResults();
+            }, (done, total) => {
+                this.flipProgressEl.textContent = I18n.t('Checking prices {done}/{total}...', { done, total });
+            });
         } catch (error) {
-            console.error('Load item error:', error);
-            this.showError(`Failed to load data for ${item.item_name}`);
+            console.error('Flip scan failed:', error);
+            this.showError(I18n.t('Failed to scan items for flips'));
+        } finally {
+            this.flipProgressEl.textContent = `${I18n.t(this.flipScanner.cancelled ? 'Scan stopped' : 'Scan complete')} · ${I18n.t('{count} items priced', { count: this.flips.size })}`;
+            this.flipScanBtn.textContent = I18n.t('Scan');
+            this.flipScanBtn.classList.remove('scanning');
+            this.flipCategorySelect.disabled = false;
+            this.renderFlipResults();
+        }
+    }
+
+    renderFlipResults() {
+        if (!this.flipResultsEl) return;
+        
+        // Instant flips trade against orders already listed, so volume does not matter for them
+        const { minMargin, minVolume } = this.flipOptions;
+        const flips = [...this.flips.values()]
+            .filter(flip => flip.margin >= minMargin && flip.margin > 0)
+            .filter(flip => flip.instant || (flip.volume !== null && flip.volume >= minVolume))
+            .sort(FlipFinder.compare);
+        
+        if (flips.length === 0) {
+            this.flipResultsEl.innerHTML = `<div class="no-data">${I18n.t(this.flips.size === 0 ? 'Scan a category to find items worth flipping' : 'No flips match the current filters')}</div>`;
+            return;
+        }
+        
+        this.flipResultsEl.innerHTML = `
+            <div class="flip-row ducat-head">
+                <div>${I18n.t('Item')}</div>
+                <div>${I18n.t('Lowest Sell')}</div>
+                <div>${I18n.t('Highest Buy')}</div>
+                <div>${I18n.t('Margin')}</div>
+                <div>${I18n.t('48h Volume')}</div>
+                <div>${I18n.t('Potential')}</div>
+            </div>
+            ${flips.map(flip => `
+                <div class="flip-row" data-url-name="${Utils.escapeHtml(flip.url_name)}" data-item-name="${Utils.escapeHtml(flip.item_name)}" data-variant="${Utils.escapeHtml(flip.variant.key)}">
+                    <div class="flip-item">
+                        ${Utils.escapeHtml(flip.item_name)}
+                        ${flip.variant.key !== 'default' ? `<span class="flip-variant">${Utils.escapeHtml(flip.variant.label)}</span>` : ''}
+                        ${flip.instant ? `<span class="flip-badge">${I18n.t('Instant flip')}</span>` : ''}
+                    </div>
+                    <div>${flip.lowestSell} ♦</div>
+                    <div>${flip.highestBuy} ♦</div>
+                    <div class="${flip.instant ? 'flip-instant' : 'flip-margin'}">${flip.instant ? '+' : ''}${flip.margin} ♦</div>
+                    <div>${flip.volume === null ? '--' : flip.volume}</div>
+                    <div>${FlipFinder.potential(flip) === null ? '--' : `${FlipFinder.potential(flip).toLocaleString()} ♦`}</div>
+                </div>
+            `).join('')}
+        `;
+        
+        this.flipResultsEl.querySelectorAll('.flip-row[data-url-name]').forEach(row => {
+            row.addEventListener('click', async () => {
+                const item = { url_name: row.dataset.urlName, item_name: row.dataset.itemName };
+                this.switchMainTab('market');
+                this.searchInput.value = item.item_name;
+                await this.loadItemData(item, row.dataset.variant);
+            });
+        });
+    }
+
+    // Riven auctions functionality
+    async loadRivenFilters() {
+        if (this.rivenWeapons.length > 0 && this.rivenAttributes.length > 0) return;
+        
+        try {
+            const [items, attributes] = await Promise.all([this.api.getRivenItems(), this.api.getRivenAttributes()]);
+            this.rivenWeapons = items.payload.items;
+            this.rivenAttributes = attributes.payload.attributes;
+        } catch (error) {
+            console.error('Failed to load riven weapons and stats:', error);
+            this.showError(I18n.t('Failed to load riven weapons and stats'));
+            return;
+        }
+        
+        const weaponUrl = this.rivenWeapon ? this.rivenWeapon.url_name : this.rivenFilters.weapon_url_name;
+        this.rivenWeapon = this.rivenWeapons.find(weapon => weapon.url_name === weaponUrl) || null;
+        if (this.rivenWeapon) this.rivenWeaponInput.value = this.rivenWeapon.item_name;
+        this.renderRivenStatOptions();
+        this.renderRivenResults();
+    }
+
+    handleRivenWeaponInput() {
+        const query = this.rivenWeaponInput.value.trim();
+        this.rivenWeapon = null;
+        
+        if (query.length < 2 || this.rivenWeapons.length === 0) {
+            this.hideSuggestions(this.rivenSuggestions);
+            return;
+        }
+        this.showSuggestions(ItemMatcher.rank(this.rivenWeapons, query).slice(0, 10), this.rivenSuggestions);
+    }
+
+    selectRivenWeapon(suggestion) {
+        this.rivenWeapon = this.rivenWeapons.find(weapon => weapon.url_name === suggestion.dataset.urlName) || null;
+        this.rivenWeaponInput.value = suggestion.dataset.itemName;
+        this.hideSuggestions(this.rivenSuggestions);
+        
+        // Some stats only roll on certain weapon types
+        this.renderRivenStatOptions();
+        this.searchRivens();
+    }
+
+    handleRivenSearch() {
+        const query = this.rivenWeaponInput.value.trim();
+        this.hideSuggestions(this.rivenSuggestions);
+        
+        // Typed without picking a suggestion: use the best match
+        if (!this.rivenWeapon && query) {
+            this.rivenWeapon = ItemMatcher.rank(this.rivenWeapons, query)[0] || null;
+            if (!this.rivenWeapon) {
+                this.showInfo(I18n.t('No weapon found for "{name}"', { name: query }));
+                return;
+            }
+            this.rivenWeaponInput.value = this.rivenWeapon.item_name;
+            this.renderRivenStatOptions();
         }
+        this.searchRivens();
     }
 
-    displayItemData(item, orders) {
-        this.itemNameEl.textContent = item.item_name;
-        this.currentOrders = orders; // Store for filtering
-        
-        const buyOrders = orders.filter(order => order.order_type === 'buy').sort((a, b) => b.platinum - a.platinum);
-        const sellOrders = orders.filter(order => order.order_type === 'sell').sort((a, b) => a.platinum - b.platinum);
-        
-        // Update pricing summary
-        this.highestBuyEl.textContent = buyOrders.length > 0 ? `${buyOrders[0].platinum} ♦` : '-- ♦';
-        this.lowestSellEl.textContent = sellOrders.length > 0 ? `${sellOrders[0].platinum} ♦` : '-- ♦';
-        
-        // Display orders in new table format
-        this.displayOrders(orders, null);
+    renderRivenStatOptions() {
+        const rivenType = this.rivenWeapon ? this.rivenWeapon.riven_type : null;
+        const attributes = this.rivenAttributes
+            .filter(attribute => !rivenType || !attribute.exclusive_to || attribute.exclusive_to.includes(rivenType))
+            .sort((a, b) => a.effect.localeCompare(b.effect));
+        const options = attributes.map(attribute => `<option value="${Utils.escapeHtml(attribute.url_name)}">${Utils.escapeHtml(attribute.effect)}</option>`).join('');
+        const available = value => attributes.some(attribute => attribute.url_name === value);
+        
+        // Keep the current picks, or the saved ones on first load, when the weapon allows them
+        const positive = this.rivenPositiveSelects.some(select => select.value)
+            ? this.rivenPositiveSelects.map(select => select.value)
+            : (this.rivenFilters.positive_stats || '').split(',');
+        this.rivenPositiveSelects.forEach((select, index) => {
+            select.innerHTML = `<option value="">${I18n.t('Any')}</option>${options}`;
+            select.value = available(positive[index]) ? positive[index] : '';
+        });
         
-        // Update statistics
-        this.updateStatistics(buyOrders, sellOrders, orders);
+        const negative = this.rivenNegativeSelect.value || this.rivenFilters.negative_stats || '';
+        this.rivenNegativeSelect.innerHTML = `<option value="">${I18n.t('Any')}</option><option value="none">${I18n.t('None')}</option>${options}`;
+        this.rivenNegativeSelect.value = negative === 'none' || available(negative) ? negative : '';
     }
 
-    displayOrders(orders, container) {
-        // Update for new table structure
-        const tableBody = document.getElementById('ordersTableBody');
-        const totalOrdersQuick = document.getElementById('totalOrdersQuick');
+    async searchRivens() {
+        const positive = [...new Set(this.rivenPositiveSelects.map(select => select.value).filter(Boolean))];
+        const filters = {
+            weapon_url_name: this.rivenWeapon ? this.rivenWeapon.url_name : '',
+            positive_stats: positive.join(','),
+            negative_stats: this.rivenNegativeSelect.value,
+            mastery_rank_min: this.rivenMinMasteryInput.value,
+            re_rolls_max: this.rivenMaxRerollsInput.value,
+            polarity: this.rivenPolaritySelect.value
+        };
+        this.rivenFilters = { ...filters, weaponName: this.rivenWeapon ? this.rivenWeapon.item_name : '' };
+        localStorage.setItem('rivenSearch', JSON.stringify(this.rivenFilters));
         
-        if (!tableBody) {
-            console.error('Table body not found');
-            return;
+        const searchId = ++this.rivenSearchId;
+        this.rivenSearchBtn.disabled = true;
+        this.rivenDistributionEl.innerHTML = '';
+        this.rivenResultsEl.innerHTML = `<div class="no-data">${I18n.t('Searching auctions...')}</div>`;
+        
+        try {
+            const response = await this.api.searchAuctions('riven', filters);
+            if (searchId !== this.rivenSearchId) return;
+            this.rivenAuctions = (response.payload.auctions || []).filter(auction => auction.visible !== false && !auction.closed);
+            this.renderRivenResults();
+        } catch (error) {
+            if (searchId !== this.rivenSearchId) return;
+            console.error('Riven search failed:', error);
+            this.rivenAuctions = null;
+            this.rivenResultsEl.innerHTML = `<div class="no-data">${I18n.t('Failed to load riven auctions')}</div>`;
+        } finally {
+            if (searchId === this.rivenSearchId) this.rivenSearchBtn.disabled = false;
         }
+    }
 
-        if (orders.length === 0) {
-            tableBody.innerHTML = '<div class="no-orders" style="padding: 20px; text-align: center; color: #9ca3af;">No orders available</div>';
-            if (totalOrdersQuick) totalOrdersQuick.textContent = '0';
-            return;
-        }
+    formatRivenAttribute(attribute) {
+        const info = this.rivenAttributes.find(entry => entry.url_name === attribute.url_name);
+        const units = info ? info.units : null;
+        const value = units === 'multiply' ? `x${attribute.value}`
+            : `${attribute.value > 0 ? '+' : ''}${attribute.value}${units === 'percent' ? '%' : (units === 'seconds' ? 's' : '')}`;
+        return `<span class="riven-attribute ${attribute.positive ? 'positive' : 'negative'}">${value} ${Utils.escapeHtml(info ? info.effect : attribute.url_name.replace(/_/g, ' '))}</span>`;
+    }
 
-        // Filter for online users only and apply current filter
-        let filteredOrders = orders.filter(order => 
-            order.user.status === 'ingame' || order.user.status === 'online'
-        );
+    renderRivenResults() {
+        if (!this.rivenResultsEl) return;
         
-        // Apply order type filter
-        if (this.orderFilter === 'buy') {
-            filteredOrders = filteredOrders.filter(order => order.order_type === 'buy');
-        } else if (this.orderFilter === 'sell') {
-            filteredOrders = filteredOrders.filter(order => order.order_type === 'sell');
+        if (this.rivenAuctions === null) {
+            this.rivenDistributionEl.innerHTML = '';
+            this.rivenResultsEl.innerHTML = `<div class="no-data">${I18n.t('Pick a weapon and stats to search riven auctions')}</div>`;
+            return;
         }
         
-        const onlineOrders = filteredOrders;
-        
-        // Sort function that prioritizes: 1. In-game users, 2. Online users, 3. Best prices
-        const sortWithPriority = (a, b, isAscending = true) => {
-            // Priority: ingame > online
-            const statusPriority = { ingame: 3, online: 2, offline: 1 };
-            const aPriority = statusPriority[a.user.status] || 0;
-            const bPriority = statusPriority[b.user.status] || 0;
-            
-            if (aPriority !== bPriority) {
-                return bPriority - aPriority; // Higher priority first
-            }
-            
-            // If same status, sort by price
-            return isAscending ? a.platinum - b.platinum : b.platinum - a.platinum;
-        };
+        this.renderRivenDistribution();
         
-        const buyOrders = onlineOrders
-            .filter(order => order.order_type === 'buy')
-            .sort((a, b) => sortWithPriority(a, b, false)); // Descending price for buy orders
-            
-        const sellOrders = onlineOrders
-            .filter(order => order.order_type === 'sell')
-            .sort((a, b) => sortWithPriority(a, b, true)); // Ascending price for sell orders
+        if (this.rivenAuctions.length === 0) {
+            this.rivenResultsEl.innerHTML = `<div class="no-data">${I18n.t('No auctions match these filters')}</div>`;
+            return;
+        }
         
-        const allOrdersSorted = [...sellOrders.slice(0, 10), ...buyOrders.slice(0, 10)];
-
-        if (totalOrdersQuick) totalOrdersQuick.textContent = onlineOrders.length.toString();
-
-        tableBody.innerHTML = allOrdersSorted.map(order => `
-            <div class="table-row">
-                <div class="table-cell" data-label="Player">${order.user.ingame_name}</div>
-                <div class="table-cell type-${order.order_type}" data-label="Type">${order.order_type.toUpperCase()}</div>
-                <div class="table-cell price" data-label="Price">${order.platinum} ♦</div>
-                <div class="table-cell" data-label="Quantity">${order.quantity}</div>
-                <div class="table-cell status status-${order.user.status}" data-label="Status">${order.user.status}</div>
+        const weaponName = urlName => {
+            const weapon = this.rivenWeapons.find(entry => entry.url_name === urlName);
+            return weapon ? weapon.item_name : urlName.replace(/_/g, ' ');
+        };
+        const plat = value => value === null || value === undefined ? '--' : `${value} ♦`;
+        
+        this.rivenResultsEl.innerHTML = `
+            <div class="riven-row ducat-head">
+                <div>${I18n.t('Riven')}</div>
+                <div>${I18n.t('MR')}</div>
+                <div>${I18n.t('Re-rolls')}</div>
+                <div>${I18n.t('Polarity')}</div>
+                <div>${I18n.t('Buyout')}</div>
+                <div>${I18n.t('Starting / Top Bid')}</div>
+                <div>${I18n.t('Seller')}</div>
             </div>
-        `).join('');
+            ${this.rivenAuctions.map(auction => `
+                <div class="riven-row">
+                    <div class="riven-name">
+                        ${Utils.escapeHtml(weaponName(auction.item.weapon_url_name))} ${Utils.escapeHtml(auction.item.name || '')}
+                        <div class="riven-attributes">${(auction.item.attributes || []).map(attribute => this.formatRivenAttribute(attribute)).join('')}</div>
+                    </div>
+                    <div>${Utils.escapeHtml(auction.item.mastery_level)}</div>
+                    <div>${Utils.escapeHtml(auction.item.re_rolls)}</div>
+                    <div class="riven-polarity">${Utils.escapeHtml(auction.item.polarity || '--')}</div>
+                    <div class="riven-buyout">${auction.is_direct_sell || auction.buyout_price !== null ? plat(auction.buyout_price) : '--'}</div>
+                    <div>${auction.is_direct_sell ? '--' : `${plat(auction.starting_price)} / ${plat(auction.top_bid)}`}</div>
+                    <div class="status-${Utils.escapeHtml(auction.owner.status)}">${Utils.escapeHtml(auction.owner.ingame_name)}<br><small>${Utils.escapeHtml(I18n.t(auction.owner.status))}</small></div>
+                </div>
+            `).join('')}
+        `;
     }
 
-    updateStatistics(buyOrders, sellOrders, allOrders) {
-        const totalOrders = allOrders.length;
-        const onlineUsers = allOrders.filter(order => order.user.status === 'online');
-        const onlineSellers = sellOrders.filter(order => order.user.status === 'online').length;
-        const onlineBuyers = buyOrders.filter(order => order.user.status === 'online').length;
+    // Buyout prices of the matching auctions. Bids-only auctions have no fixed price to compare.
+    renderRivenDistribution() {
+        const prices = this.rivenAuctions.map(auction => auction.buyout_price).filter(price => price !== null && price !== undefined);
+        const distribution = PriceDistribution.summarize(prices);
         
-        // Price calculations
-        const allPrices = allOrders.map(order => order.platinum).filter(price => price > 0);
-        const minPrice = allPrices.length > 0 ? Math.min(...allPrices) : 0;
-        const maxPrice = allPrices.length > 0 ? Math.max(...allPrices) : 0;
-        const avgPrice = allPrices.length > 0 ? Math.round(allPrices.reduce((a, b) => a + b, 0) / allPrices.length) : 0;
+        if (!distribution) {
+            this.rivenDistributionEl.innerHTML = '';
+            return;
+        }
         
-        this.totalOrdersEl.textContent = totalOrders.toString();
-        this.priceRangeEl.textContent = `${minPrice} - ${maxPrice} ♦`;
-        this.averagePriceEl.textContent = `${avgPrice} ♦`;
-        this.onlineSellersEl.textContent = onlineSellers.toString();
-        this.onlineBuyersEl.textContent = onlineBuyers.toString();
-        this.lastUpdatedEl.textContent = new Date().toLocaleTimeString();
+        const tallest = Math.max(...distribution.buckets.map(bucket => bucket.count));
+        const round = value => Math.round(value).toLocaleString();
+        
+        this.rivenDistributionEl.innerHTML = `
+            <div class="riven-distribution-title">${I18n.t('{count} comparable rolls with a buyout price', { count: distribution.count })}</div>
+            <div class="riven-distribution-stats">
+                <div><span class="stat-label">${I18n.t('Min')}</span><span class="stat-value">${round(distribution.min)} ♦</span></div>
+                <div><span class="stat-label">${I18n.t('25%')}</span><span class="stat-value">${round(distribution.q1)} ♦</span></div>
+                <div><span class="stat-label">${I18n.t('Median')}</span><span class="stat-value">${round(distribution.median)} ♦</span></div>
+                <div><span class="stat-label">${I18n.t('75%')}</span><span class="stat-value">${round(distribution.q3)} ♦</span></div>
+                <div><span class="stat-label">${I18n.t('Max')}</span><span class="stat-value">${round(distribution.max)} ♦</span></div>
+            </div>
+            <div class="riven-histogram">
+                ${distribution.buckets.map(bucket => `
+                    <div class="riven-histogram-row">
+                        <span class="riven-histogram-range">${bucket.from === bucket.to ? round(bucket.from) : `${round(bucket.from)}–${round(bucket.to)}`} ♦</span>
+                        <div class="riven-histogram-bar"><div style="width: ${tallest > 0 ? (bucket.count / tallest) * 100 : 0}%"></div></div>
+                        <span class="riven-histogram-count">${bucket.count}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
     }
 
-    addToRecentSearches(item) {
-        // Remove if already exists
-        this.recentSearches = this.recentSearches.filter(search => search.url_name !== item.url_name);
-        
-        // Add to beginning
-        this.recentSearches.unshift(item);
-        
-        // Keep only last 5
-        this.recentSearches = this.recentSearches.slice(0, 5);
-        
-        // Save to localStorage
-        localStorage.setItem('recentSearches', JSON.stringify(this.recentSearches));
-        
-        this.loadRecentSearches();
+    // Kuva Lich and Sister weapon auctions functionality
+    renderLichFilterOptions() {
+        const kind = this.lichKindSelect.value || this.lichFilters.kind;
+        this.lichKindSelect.innerHTML = Object.entries(LichAuction.kinds)
+            .map(([value, label]) => `<option value="${value}">${I18n.t(label)}</option>`).join('');
+        this.lichKindSelect.value = kind;
+        
+        const element = this.lichElementSelect.value || this.lichFilters.element || '';
+        this.lichElementSelect.innerHTML = `<option value="">${I18n.t('Any')}</option>` + Object.entries(LichAuction.elements)
+            .map(([value, label]) => `<option value="${value}">${I18n.t(label)}</option>`).join('');
+        this.lichElementSelect.value = element;
+        
+        const ephemera = this.lichEphemeraSelect.value || this.lichFilters.ephemera || '';
+        this.lichEphemeraSelect.innerHTML = `
+            <option value="">${I18n.t('Any')}</option>
+            <option value="true">${I18n.t('With ephemera')}</option>
+            <option value="false">${I18n.t('Without ephemera')}</option>
+        `;
+        this.lichEphemeraSelect.value = ephemera;
     }
 
-    loadRecentSearches() {
-        if (this.recentSearches.length === 0) {
-            this.recentList.innerHTML = '<li class="recent-item">No recent searches</li>';
+    async loadLichWeapons() {
+        if (this.lichWeapons.length > 0) return;
+        
+        const kind = this.lichKindSelect.value;
+        try {
+            const response = await this.api.getLichWeapons(kind);
+            if (kind !== this.lichKindSelect.value) return;
+            this.lichWeapons = response.payload.weapons;
+        } catch (error) {
+            console.error('Failed to load lich weapons:', error);
+            this.showError(I18n.t('Failed to load {kind} weapons', { kind: I18n.t(LichAuction.kinds[kind]) }));
             return;
         }
+        
+        const weaponUrl = this.lichWeapon ? this.lichWeapon.url_name : (this.lichFilters.kind === kind ? this.lichFilters.weapon_url_name : null);
+        this.lichWeapon = this.lichWeapons.find(weapon => weapon.url_name === weaponUrl) || null;
+        if (this.lichWeapon) this.lichWeaponInput.value = this.lichWeapon.item_name;
+        this.renderLichResults();
+    }
 
-        this.recentList.innerHTML = this.recentSearches.map(item => `
-            <li class="recent-item" data-url-name="${item.url_name}" data-item-name="${item.item_name}">
-                ${item.item_name}
-            </li>
-        `).join('');
+    // Kuva and Tenet weapons are separate lists, so the weapon and results no longer apply
+    handleLichKindChange() {
+        this.lichWeapons = [];
+        this.lichWeapon = null;
+        this.lichAuctions = null;
+        this.lichWeaponInput.value = '';
+        this.hideSuggestions(this.lichSuggestions);
+        this.renderLichResults();
+        this.loadLichWeapons();
+    }
 
-        // Bind click events
-        this.recentList.querySelectorAll('.recent-item').forEach(item => {
-            if (item.dataset.urlName) {
-                item.addEventListener('click', async (e) => {
-                    const urlName = e.target.dataset.urlName;
-                    const itemName = e.target.dataset.itemName;
-                    
-                    this.searchInput.value = itemName;
-                    await this.loadItemData({ url_name: urlName, item_name: itemName });
-                });
-            }
-        });
+    handleLichWeaponInput() {
+        const query = this.lichWeaponInput.value.trim();
+        this.lichWeapon = null;
+        
+        if (query.length < 2 || this.lichWeapons.length === 0) {
+            this.hideSuggestions(this.lichSuggestions);
+            return;
+        }
+        this.showSuggestions(ItemMatcher.rank(this.lichWeapons, query).slice(0, 10), this.lichSuggestions);
     }
 
-    showLoading() {
-        this.welcomeMessage.classList.add('hide');
-        this.loadingContainer.classList.add('show');
-        this.resultsContainer.classList.remove('show');
-        this.errorContainer.classList.remove('show');
+    selectLichWeapon(suggestion) {
+        this.lichWeapon = this.lichWeapons.find(weapon => weapon.url_name === suggestion.dataset.urlName) || null;
+        this.lichWeaponInput.value = suggestion.dataset.itemName;
+        this.hideSuggestions(this.lichSuggestions);
+        this.searchLiches();
     }
 
-    showResults() {
-        this.welcomeMessage.classList.add('hide');
-        this.loadingContainer.classList.remove('show');
-        this.resultsContainer.classList.add('show');
-        this.errorContainer.classList.remove('show');
+    handleLichSearch() {
+        const query = this.lichWeaponInput.value.trim();
+        this.hideSuggestions(this.lichSuggestions);
+        
+        if (!this.lichWeapon && query) {
+            this.lichWeapon = ItemMatcher.rank(this.lichWeapons, query)[0] || null;
+            if (!this.lichWeapon) {
+                this.showInfo(I18n.t('No weapon found for "{name}"', { name: query }));
+                return;
+            }
+            this.lichWeaponInput.value = this.lichWeapon.item_name;
+        }
+        this.searchLiches();
     }
 
-    showError(message) {
-        this.welcomeMessage.classList.add('hide');
-        this.loadingContainer.classList.remove('show');
-        this.resultsContainer.classList.remove('show');
-        this.errorContainer.classList.add('show');
+    async searchLiches() {
+        const kind = this.lichKindSelect.value;
+        const filters = {
+            weapon_url_name: this.lichWeapon ? this.lichWeapon.url_name : '',
+            element: this.lichElementSelect.value,
+            damage_min: this.lichMinDamageInput.value,
+            damage_max: this.lichMaxDamageInput.value,
+            ephemera: this.lichEphemeraSelect.value
+        };
+        this.lichFilters = { kind, ...filters, weaponName: this.lichWeapon ? this.lichWeapon.item_name : '' };
+        localStorage.setItem('lichSearch', JSON.stringify(this.lichFilters));
         
-        const errorMessageEl = document.getElementById('errorMessage');
-        errorMessageEl.textContent = message;
+        const searchId = ++this.lichSearchId;
+        this.lichSearchBtn.disabled = true;
+        this.lichStatsEl.innerHTML = '';
+        this.lichResultsEl.innerHTML = `<div class="no-data">${I18n.t('Searching auctions...')}</div>`;
+        
+        try {
+            const response = await this.api.searchAuctions(kind, filters);
+            if (searchId !== this.lichSearchId) return;
+            this.lichAuctions = (response.payload.auctions || [])
+                .filter(auction => auction.visible !== false && !auction.closed)
+                .map(auction => LichAuction.from(auction));
+            this.renderLichResults();
+        } catch (error) {
+            if (searchId !== this.lichSearchId) return;
+            console.error('Lich search failed:', error);
+            this.lichAuctions = null;
+            this.lichResultsEl.innerHTML = `<div class="no-data">${I18n.t('Failed to load weapon auctions')}</div>`;
+        } finally {
+            if (searchId === this.lichSearchId) this.lichSearchBtn.disabled = false;
+        }
     }
 
-    showInfo(message, duration = 3000) {
-        // Create or update info notification
-        let infoEl = document.getElementById('infoNotification');
-        if (!infoEl) {
-            infoEl = document.createElement('div');
-            infoEl.id = 'infoNotification';
-            infoEl.style.cssText = `
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                background: rgba(0, 212, 255, 0.1);
-                border: 1px solid #00d4ff;
-                color: #00d4ff;
-                padding: 12px 16px;
-                border-radius: 6px;
-                font-size: 14px;
-                z-index: 10000;
-                max-width: 300px;
-                opacity: 0;
-                transform: translateX(20px);
-                transition: all 0.3s ease;
-            `;
-            document.body.appendChild(infoEl);
+    renderLichResults() {
+        if (!this.lichResultsEl) return;
+        
+        if (this.lichAuctions === null) {
+            this.lichStatsEl.innerHTML = '';
+            this.lichResultsEl.innerHTML = `<div class="no-data">${I18n.t('Pick a weapon to search Kuva Lich and Sister auctions')}</div>`;
+            return;
         }
         
-        infoEl.textContent = message;
-        infoEl.style.opacity = '1';
-        infoEl.style.transform = 'translateX(0)';
+        this.renderLichDamageStats();
         
-        // Auto hide after duration
-        clearTimeout(this.infoTimeout);
-        this.infoTimeout = setTimeout(() => {
-            if (infoEl) {
-                infoEl.style.opacity = '0';
-                infoEl.style.transform = 'translateX(20px)';
-                setTimeout(() => {
-                    if (infoEl && infoEl.parentNode) {
-                        infoEl.parentNode.removeChild(infoEl);
-                    }
-                }, 300);
-            }
-        }, duration);
+        if (this.lichAuctions.length === 0) {
+            this.lichResultsEl.innerHTML = `<div class="no-data">${I18n.t('No auctions match these filters')}</div>`;
+            return;
+        }
+        
+        const weaponName = urlName => {
+            const weapon = this.lichWeapons.find(entry => entry.url_name === urlName);
+            return weapon ? weapon.item_name : urlName.replace(/_/g, ' ');
+        };
+        const plat = value => value === null || value === undefined ? '--' : `${value} ♦`;
+        
+        this.lichResultsEl.innerHTML = `
+            <div class="lich-row ducat-head">
+                <div>${I18n.t('Weapon')}</div>
+                <div>${I18n.t('Element')}</div>
+                <div>${I18n.t('Damage')}</div>
+                <div>${I18n.t('Ephemera')}</div>
+                <div>${I18n.t('Buyout')}</div>
+                <div>${I18n.t('Starting / Top Bid')}</div>
+                <div>${I18n.t('Seller')}</div>
+            </div>
+            ${this.lichAuctions.map(auction => `
+                <div class="lich-row">
+                    <div>${Utils.escapeHtml(weaponName(auction.weapon))}</div>
+                    <div class="lich-element element-${Utils.escapeHtml(auction.element)}">${Utils.escapeHtml(I18n.t(LichAuction.elements[auction.element] || auction.element))}</div>
+                    <div class="lich-damage">${Utils.escapeHtml(auction.damage)}%</div>
+                    <div>${auction.ephemera ? '✓' : '--'}</div>
+                    <div class="riven-buyout">${plat(auction.buyout)}</div>
+                    <div>${auction.directSell ? '--' : `${plat(auction.startingPrice)} / ${plat(auction.topBid)}`}</div>
+                    <div class="status-${Utils.escapeHtml(auction.status)}">${Utils.escapeHtml(auction.seller)}<br><small>${Utils.escapeHtml(I18n.t(auction.status))}</small></div>
+                </div>
+            `).join('')}
+        `;
     }
 
-    hideResults() {
-        this.welcomeMessage.classList.remove('hide');
-        this.loadingContainer.classList.remove('show');
-        this.resultsContainer.classList.remove('show');
-        this.errorContainer.classList.remove('show');
+    // Scatter of buyout price against damage bonus with the fitted trend line
+    renderLichDamageStats() {
+        const stats = LichAuction.priceByDamage(this.lichAuctions);
+        
+        if (!stats) {
+            this.lichStatsEl.innerHTML = '';
+            return;
+        }
+        
+        const width = 640;
+        const height = 200;
+        const padding = { top: 15, right: 15, bottom: 25, left: 45 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        
+        // Lich and Sister weapons roll 25-60% bonus damage
+        const minDamage = Math.min(25, ...stats.points.map(point => point.damage));
+        const maxDamage = Math.max(60, ...stats.points.map(point => point.damage));
+        const maxPrice = Math.max(1, ...stats.points.map(point => point.price));
+        
+        const x = damage => padding.left + ((damage - minDamage) / (maxDamage - minDamage)) * plotWidth;
+        const y = price => padding.top + (1 - Math.min(Math.max(price, 0), maxPrice) / maxPrice) * plotHeight;
+        
+        const points = stats.points.map(point => `
+            <circle cx="${x(point.damage).toFixed(1)}" cy="${y(point.price).toFixed(1)}" r="3.5" fill="${point.ephemera ? '#a78bfa' : '#00d4ff'}"><title>${point.damage}%: ${point.price} ♦</title></circle>
+        `).join('');
+        const trend = stats.points.length > 1
+            ? `<line x1="${x(minDamage)}" y1="${y(stats.intercept + stats.slope * minDamage).toFixed(1)}" x2="${x(maxDamage)}" y2="${y(stats.intercept + stats.slope * maxDamage).toFixed(1)}" stroke="#fbbf24" stroke-dasharray="4 3"></line>`
+            : '';
+        const slope = Math.round(stats.slope * 10) / 10;
+        
+        this.lichStatsEl.innerHTML = `
+            <div class="riven-distribution-title">${I18n.t('{count} auctions with a buyout price', { count: stats.points.length })}</div>
+            <div class="riven-distribution-stats">
+                <div><span class="stat-label">${I18n.t('Per 1% damage')}</span><span class="stat-value">${slope > 0 ? '+' : ''}${slope} ♦</span></div>
+                <div><span class="stat-label">${I18n.t('Correlation')}</span><span class="stat-value">${stats.correlation.toFixed(2)}</span></div>
+            </div>
+            <svg class="history-svg lich-scatter" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <line x1="${padding.left}" y1="${padding.top}" x2="${padding.left}" y2="${height - padding.bottom}" stroke="#3d4356"></line>
+                <line x1="${padding.left}" y1="${height - padding.bottom}" x2="${width - padding.right}" y2="${height - padding.bottom}" stroke="#3d4356"></line>
+                <text x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end" fill="#9ca3af" font-size="10">${maxPrice}</text>
+                <text x="${padding.left - 6}" y="${height - padding.bottom}" text-anchor="end" fill="#9ca3af" font-size="10">0</text>
+                <text x="${padding.left}" y="${height - 6}" fill="#9ca3af" font-size="10">${minDamage}%</text>
+                <text x="${width - padding.right}" y="${height - 6}" text-anchor="end" fill="#9ca3af" font-size="10">${maxDamage}%</text>
+                ${trend}
+                ${points}
+            </svg>
+            <div class="history-legend">
+                <span class="history-legend-item"><span class="history-legend-swatch" style="background: #00d4ff;"></span>${I18n.t('Without ephemera')}</span>
+                <span class="history-legend-item"><span class="history-legend-swatch" style="background: #a78bfa;"></span>${I18n.t('With ephemera')}</span>
+                <span class="history-legend-item"><span class="history-legend-swatch" style="background: #fbbf24;"></span>${I18n.t('Trend')}</span>
+            </div>
+            <div class="lich-bands">
+                <div class="lich-band ducat-head">
+                    <div>${I18n.t('Damage')}</div>
+                    <div>${I18n.t('Auctions')}</div>
+                    <div>${I18n.t('Min')}</div>
+                    <div>${I18n.t('Median')}</div>
+                    <div>${I18n.t('Max')}</div>
+                </div>
+                ${stats.bands.map(band => `
+                    <div class="lich-band">
+                        <div>${band.from}–${band.to}%</div>
+                        <div>${band.count}</div>
+                        <div>${band.min} ♦</div>
+                        <div>${Math.round(band.median)} ♦</div>
+                        <div>${band.max} ♦</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
     }
 
     // Alerts functionality
@@ -995,6 +5821,7 @@ class WarframeMarketApp {
             console.log('Fetching world state from API...');
             const worldState = await this.alertsAPI.getWorldState();
             console.log('World state received:', worldState);
+            this.updateOfflineBadge(this.alertsOfflineBadge, this.alertsAPI.getFetchInfo(this.alertsAPI.getWorldStateUrl()));
             
             this.displayCycles(worldState);
             this.displayAlerts(worldState);
@@ -1009,7 +5836,7 @@ class WarframeMarketApp {
             this.lastRefresh = Date.now(); // Track when we last refreshed
         } catch (error) {
             console.error('Failed to load alerts data:', error);
-            this.showAlertsError(`Failed to load Warframe world state: ${error.message}`);
+            this.showAlertsError(I18n.t('Failed to load Warframe world state: {error}', { error: error.message }));
         } finally {
             if (this.alertsLoading) {
                 console.log('Hiding loading state');
@@ -1110,9 +5937,9 @@ class WarframeMarketApp {
                 <div class="cycle-card ${stateClass}">
                     <div class="cycle-header">
                         <span class="cycle-icon">${cycle.icon}</span>
-                        <span class="cycle-name">${cycle.name}</span>
+                        <span class="cycle-name">${I18n.t(cycle.name)}</span>
                     </div>
-                    <div class="cycle-state">${this.formatCycleState(cycle.name, state).toUpperCase()}</div>
+                    <div class="cycle-state">${I18n.t(this.formatCycleState(cycle.name, state)).toUpperCase()}</div>
                     <div class="cycle-timer" id="timer-${timerId}">${displayTime}</div>
                 </div>
             `;
@@ -1130,7 +5957,7 @@ class WarframeMarketApp {
         const alerts = worldState.alerts || [];
         
         if (alerts.length === 0) {
-            this.alertsContainer.innerHTML = '<div class="no-data">No active alerts</div>';
+            this.alertsContainer.innerHTML = `<div class="no-data">${I18n.t('No active alerts')}</div>`;
             return;
         }
 
@@ -1193,7 +6020,7 @@ class WarframeMarketApp {
             const countedItems = rewards.countedItems || [];
             
             // Format display time
-            const displayTime = timeLeft > 0 ? this.formatTimeFromSeconds(timeLeft) : 'Expired';
+            const displayTime = timeLeft > 0 ? this.formatTimeFromSeconds(timeLeft) : I18n.t('Expired');
             
             // Store alert timer data
             if (timeLeft > 0) {
@@ -1207,7 +6034,7 @@ class WarframeMarketApp {
             }
             
             return `
-                <div class="alert-card ${timeLeft <= 300 ? 'expiring-soon' : ''}">
+                <div class="alert-card ${timeLeft <= this.settings.timerWarningThreshold ? 'expiring-soon' : ''}">
                     <div class="alert-header">
                         <div class="alert-mission-info">
                             <div class="alert-type">
@@ -1219,7 +6046,7 @@ class WarframeMarketApp {
                             ${description ? `<div class="alert-description">${description}</div>` : ''}
                             <div class="alert-details">
                                 <span class="alert-faction">${faction}</span>
-                                <span class="alert-level">Level ${level}</span>
+                                <span class="alert-level">${I18n.t('Level {level}', { level })}</span>
                                 ${enemySpec ? `<span class="alert-enemy-spec">${enemySpec}</span>` : ''}
                             </div>
                         </div>
@@ -1229,13 +6056,13 @@ class WarframeMarketApp {
                     </div>
                     
                     <div class="alert-rewards">
-                        <div class="rewards-header">Rewards:</div>
+                        <div class="rewards-header">${I18n.t('Rewards:')}</div>
                         <div class="rewards-content">
                             ${credits ? `<span class="reward-credits">${credits}</span>` : ''}
                             ${items.map(item => `<span class="reward-item">${item}</span>`).join('')}
                             ${countedItems.map(item => `<span class="reward-item">${item.count}x ${item.type}</span>`).join('')}
                             ${missionReward ? `<span class="reward-item mission-reward">${missionReward}</span>` : ''}
-                            ${(!credits && items.length === 0 && countedItems.length === 0 && !missionReward) ? '<span class="reward-item">Unknown Rewards</span>' : ''}
+                            ${(!credits && items.length === 0 && countedItems.length === 0 && !missionReward) ? `<span class="reward-item">${I18n.t('Unknown Rewards')}</span>` : ''}
                         </div>
                     </div>
                 </div>
@@ -1294,7 +6121,7 @@ class WarframeMarketApp {
         }
 
         if (activities.length === 0) {
-            this.activitiesContainer.innerHTML = '<div class="no-data">No active activities</div>';
+            this.activitiesContainer.innerHTML = `<div class="no-data">${I18n.t('No active activities')}</div>`;
             return;
         }
 
@@ -1305,8 +6132,8 @@ class WarframeMarketApp {
                     <div class="activity-card-header">
                         <span class="activity-icon">${activity.icon}</span>
                         <div class="activity-info">
-                            <div class="activity-type">${activity.type}</div>
-                            <div class="activity-count">${activity.count} active</div>
+                            <div class="activity-type">${I18n.t(activity.type)}</div>
+                            <div class="activity-count">${I18n.t('{count} active', { count: activity.count })}</div>
                         </div>
                         <div class="expand-indicator">${isExpanded ? '▲' : '▼'}</div>
                     </div>
@@ -1371,13 +6198,16 @@ class WarframeMarketApp {
         const allFissures = this.currentWorldState.fissures || [];
         
         if (allFissures.length === 0) {
-            container.innerHTML = '<div class="no-details">No void fissures available</div>';
+            container.innerHTML = `<div class="no-details">${I18n.t('No void fissures available')}</div>`;
             return;
         }
 
         // Clear existing fissure timers
         this.fissureTimers.clear();
         
+        // Old relic values would show outdated prices as the best relic
+        this.pruneRelicValues();
+        
         // Filter for active fissures only
         const now = Date.now();
         const activeFissures = allFissures.filter(fissure => {
@@ -1429,8 +6259,11 @@ class WarframeMarketApp {
         
         container.innerHTML = `
             <div class="activity-detail-header">
-                Void Fissures (${activeFissures.length}) 
-                <br><small>Available tiers: ${availableTiers.join(', ')} | Steel Path: ${steelPathCount} | Void Storms: ${voidStormCount}</small>
+                ${I18n.t('Void Fissures ({count})', { count: activeFissures.length })}
+                <br><small>${I18n.t('Available tiers: {tiers} | Steel Path: {steelPath} | Void Storms: {voidStorms}', { tiers: availableTiers.join(', '), steelPath: steelPathCount, voidStorms: voidStormCount })}</small>
+                <br><small>${Object.keys(this.relicValues).length === 0
+                    ? I18n.t('Search a relic and open its Relic tab to see relic values here')
+                    : I18n.t('Best relics only include relics you opened in the Relic tab during the last 24 hours')}</small>
             </div>
             <div class="fissures-list">
                 ${sortedFissures.map((fissure, index) => {
@@ -1450,7 +6283,7 @@ class WarframeMarketApp {
                     if (expiryTime) {
                         const expiryTimestamp = new Date(expiryTime).getTime();
                         timeLeft = Math.max(0, Math.floor((expiryTimestamp - now) / 1000));
-                        displayTime = timeLeft > 0 ? this.formatTimeFromSeconds(timeLeft) : 'Expired';
+                        displayTime = timeLeft > 0 ? this.formatTimeFromSeconds(timeLeft) : I18n.t('Expired');
                         
                         // Store fissure timer data for real-time updates
                         if (timeLeft > 0) {
@@ -1461,6 +6294,8 @@ class WarframeMarketApp {
                         }
                     }
                     
+                    const bestRelic = this.getBestRelicForTier(fissure.tier || fissure.TIER || fissure.Tier);
+                    
                     return `
                         <div class="fissure-item">
                             <div class="fissure-header">
@@ -1473,6 +6308,11 @@ class WarframeMarketApp {
                                 <span class="fissure-enemy">${fissure.enemy || fissure.ENEMY || 'Unknown'}</span>
                                 <span class="fissure-timer" id="${fissureId}-timer">${displayTime}</span>
                             </div>
+                            ${bestRelic ? `
+                                <div class="fissure-relic-value" title="${I18n.t('Best relic you have checked for this tier')}">
+                                    ${I18n.t('Best checked: {relic} {refinement} · {value} ♦ radshare · checked {time}', { relic: Utils.escapeHtml(bestRelic.name), refinement: bestRelic.refinement, value: bestRelic.value.toFixed(1), time: Utils.timeAgo(new Date(bestRelic.checkedAt)) })}
+                                </div>
+                            ` : ''}
                         </div>
                     `;
                 }).join('')}
@@ -1491,7 +6331,7 @@ class WarframeMarketApp {
         });
         
         if (invasions.length === 0) {
-            container.innerHTML = '<div class="no-details">No active invasions available</div>';
+            container.innerHTML = `<div class="no-details">${I18n.t('No active invasions available')}</div>`;
             return;
         }
 
@@ -1505,7 +6345,7 @@ class WarframeMarketApp {
         }
 
         container.innerHTML = `
-            <div class="activity-detail-header">Invasions (${invasions.length})</div>
+            <div class="activity-detail-header">${I18n.t('Invasions ({count})', { count: invasions.length })}</div>
             <div class="invasions-list">
                 ${invasions.slice(0, 8).map(invasion => `
                     <div class="invasion-item">
@@ -1528,25 +6368,25 @@ class WarframeMarketApp {
         const sortie = this.currentWorldState.sortie;
         
         if (!sortie) {
-            container.innerHTML = '<div class="no-details">No daily sortie available</div>';
+            container.innerHTML = `<div class="no-details">${I18n.t('No daily sortie available')}</div>`;
             return;
         }
 
         container.innerHTML = `
-            <div class="activity-detail-header">Daily Sortie</div>
+            <div class="activity-detail-header">${I18n.t('Daily Sortie')}</div>
             <div class="sortie-details">
                 <div class="sortie-header">
                     <span class="sortie-boss">${sortie.boss || 'Unknown Boss'}</span>
                     <span class="sortie-faction">${sortie.faction || 'Unknown Faction'}</span>
                 </div>
                 <div class="sortie-reward">
-                    <strong>Reward Pool:</strong> ${sortie.rewardPool || 'Unknown rewards'}
+                    <strong>${I18n.t('Reward Pool:')}</strong> ${sortie.rewardPool || 'Unknown rewards'}
                 </div>
                 <div class="sortie-missions">
                     ${(sortie.variants || []).map((mission, index) => `
                         <div class="sortie-mission">
                             <div class="mission-header">
-                                <span class="mission-number">Mission ${index + 1}</span>
+                                <span class="mission-number">${I18n.t('Mission {number}', { number: index + 1 })}</span>
                                 <span class="mission-type">${mission.missionType || 'Unknown'}</span>
                             </div>
                             <div class="mission-location">${this.nodeMap.get(mission.node) || mission.node || 'Unknown Location'}</div>
@@ -1768,7 +6608,7 @@ class WarframeMarketApp {
             } else {
                 console.log('Skipping refresh - timers are active');
             }
-        }, 60000); // Check every minute
+        }, this.settings.alertsRefreshInterval);
     }
 
     stopAlertsRefresh() {
@@ -1807,17 +6647,17 @@ class WarframeMarketApp {
 
         // Enhanced error handling with Electron dialog
         this.originalShowError = this.showError;
-        this.showError = (message) => {
+        this.showError = (message, loadFailed = false) => {
             this.originalShowError(message);
             
             // Show native error dialog for critical errors
-            if (window.electronAPI && message.includes('Failed to load')) {
+            if (window.electronAPI && loadFailed) {
                 window.electronAPI.showMessageBox({
                     type: 'error',
-                    title: 'Connection Error',
-                    message: 'Unable to connect to Warframe Market',
+                    title: I18n.t('Connection Error'),
+                    message: I18n.t('Unable to connect to Warframe Market'),
                     detail: message,
-                    buttons: ['Retry', 'Cancel']
+                    buttons: [I18n.t('Retry'), I18n.t('Cancel')]
                 }).then((result) => {
                     if (result.response === 0) { // Retry button
                         this.handleRetry();
@@ -1826,6 +6666,13 @@ class WarframeMarketApp {
             }
         };
 
+        // Open the watched item when a price alert notification is clicked
+        if (window.electronAPI.onNotificationClick) {
+            window.electronAPI.onNotificationClick((urlName) => {
+                this.openWatchedItem(urlName);
+            });
+        }
+
         // Add window title updates
         this.originalDisplayItemData = this.displayItemData;
         this.displayItemData = (item, orders) => {
@@ -1910,7 +6757,7 @@ class WarframeMarketApp {
     
     // Format seconds back into readable time string
     formatTimeFromSeconds(seconds) {
-        if (seconds <= 0) return 'Expired';
+        if (seconds <= 0) return I18n.t('Expired');
         
         const hours = Math.floor(seconds / 3600);
         const minutes = Math.floor((seconds % 3600) / 60);
@@ -1950,8 +6797,8 @@ class WarframeMarketApp {
                 if (timerElement) {
                     timerElement.textContent = this.formatTimeFromSeconds(timerData.seconds);
                     
-                    // Add warning class if less than 5 minutes remaining
-                    if (timerData.seconds <= 300) { // 5 minutes
+                    // Add warning class when the time left drops below the threshold
+                    if (timerData.seconds <= this.settings.timerWarningThreshold) {
                         timerElement.classList.add('warning');
                     } else {
                         timerElement.classList.remove('warning');
@@ -1961,7 +6808,7 @@ class WarframeMarketApp {
                 // Timer expired - could refresh data or show notification
                 const timerElement = document.getElementById(`timer-${cycleName.toLowerCase().replace(/\s+/g, '-')}`);
                 if (timerElement) {
-                    timerElement.textContent = 'Cycle changing...';
+                    timerElement.textContent = I18n.t('Cycle changing...');
                     timerElement.classList.add('warning');
                 }
             }
@@ -1979,8 +6826,8 @@ class WarframeMarketApp {
                         console.log(`Alert ${alertId} timer: ${timerData.seconds}s remaining`);
                     }
                     
-                    // Add warning class if less than 5 minutes remaining
-                    if (timerData.seconds <= 300) { // 5 minutes
+                    // Add warning class when the time left drops below the threshold
+                    if (timerData.seconds <= this.settings.timerWarningThreshold) {
                         timerElement.classList.add('warning');
                         // Also add warning to the alert card
                         const alertCard = timerElement.closest('.alert-card');
@@ -2001,7 +6848,7 @@ class WarframeMarketApp {
                 // Alert expired
                 const timerElement = document.getElementById(`${alertId}-timer`);
                 if (timerElement) {
-                    timerElement.textContent = 'Expired';
+                    timerElement.textContent = I18n.t('Expired');
                     timerElement.classList.add('warning');
                     const alertCard = timerElement.closest('.alert-card');
                     if (alertCard) {
@@ -2019,8 +6866,8 @@ class WarframeMarketApp {
                 if (timerElement) {
                     timerElement.textContent = this.formatTimeFromSeconds(timerData.seconds);
                     
-                    // Add warning class if less than 5 minutes remaining
-                    if (timerData.seconds <= 300) { // 5 minutes
+                    // Add warning class when the time left drops below the threshold
+                    if (timerData.seconds <= this.settings.timerWarningThreshold) {
                         timerElement.classList.add('warning');
                         // Also add warning to the fissure item
                         const fissureItem = timerElement.closest('.fissure-item');
@@ -2039,7 +6886,7 @@ class WarframeMarketApp {
                 // Fissure expired
                 const timerElement = document.getElementById(`${fissureId}-timer`);
                 if (timerElement) {
-                    timerElement.textContent = 'Expired';
+                    timerElement.textContent = I18n.t('Expired');
                     timerElement.classList.add('warning');
                     const fissureItem = timerElement.closest('.fissure-item');
                     if (fissureItem) {
@@ -2082,21 +6929,23 @@ class WarframeMarketApp {
     }
 }
 
-// Initialize the application when the DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    const app = new WarframeMarketApp();
-    
-    // Make app instance available globally for Electron menu interactions
-    window.app = app;
-    
-    // Set up Electron-specific functionality if available
-    if (window.electronAPI) {
-        console.log('Running in Electron environment');
+// Initialize the application when the DOM is loaded (tests load this file without a DOM)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        const app = new WarframeMarketApp();
         
-        // Add Electron-specific enhancements
-        app.setupElectronFeatures();
-    }
-});
+        // Make app instance available globally for Electron menu interactions
+        window.app = app;
+        
+        // Set up Electron-specific functionality if available
+        if (window.electronAPI) {
+            console.log('Running in Electron environment');
+            
+            // Add Electron-specific enhancements
+            app.setupElectronFeatures();
+        }
+    });
+}
 
 // Add some utility functions for enhanced functionality
 class Utils {
@@ -2108,10 +6957,78 @@ class Utils {
         const now = new Date();
         const diffInSeconds = Math.floor((now - date) / 1000);
         
-        if (diffInSeconds < 60) return 'just now';
-        if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)}m ago`;
-        if (diffInSeconds < 86400) return `${Math.floor(diffInSeconds / 3600)}h ago`;
-        return `${Math.floor(diffInSeconds / 86400)}d ago`;
+        if (diffInSeconds < 60) return I18n.t('just now');
+        if (diffInSeconds < 3600) return I18n.t('{count}m ago', { count: Math.floor(diffInSeconds / 60) });
+        if (diffInSeconds < 86400) return I18n.t('{count}h ago', { count: Math.floor(diffInSeconds / 3600) });
+        return I18n.t('{count}d ago', { count: Math.floor(diffInSeconds / 86400) });
+    }
+
+    // For API strings (player names, item names, links) placed into innerHTML templates
+    static escapeHtml(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
+    static async copyToClipboard(text) {
+        try {
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                await navigator.clipboard.writeText(text);
+                return true;
+            }
+        } catch (error) {
+            console.warn('Clipboard API failed, falling back to execCommand:', error);
+        }
+        
+        // Fallback for contexts without the async clipboard API
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (error) {
+            console.error('Copy to clipboard failed:', error);
+        }
+        document.body.removeChild(textarea);
+        return copied;
+    }
+
+    // Quote every field that needs it so item names with commas survive spreadsheets.
+    // Text that a spreadsheet would run as a formula is prefixed with ' (numbers are left alone).
+    static toCSV(rows) {
+        const escape = value => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(escape).join(',')).join('\n');
+    }
+
+    // Columns padded to equal width so the table also lines up as plain text in Discord
+    static toMarkdownTable(rows) {
+        const cells = rows.map(row => row.map(value =>
+            (value === null || value === undefined ? '' : String(value)).replace(/\|/g, '\\|').replace(/\n/g, ' ')
+        ));
+        const widths = cells[0].map((_, column) => Math.max(3, ...cells.map(row => (row[column] || '').length)));
+        const line = row => `| ${row.map((cell, column) => (cell || '').padEnd(widths[column])).join(' | ')} |`;
+        return [line(cells[0]), `| ${widths.map(width => '-'.repeat(width)).join(' | ')} |`, ...cells.slice(1).map(line)].join('\n');
+    }
+
+    static downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     static debounce(func, wait) {
@@ -2127,7 +7044,73 @@ class Utils {
     }
 }
 
+// UI translations. English text is the key, so anything missing from a catalogue simply
+// shows in English. {name} placeholders are filled from the values passed to t().
+class I18n {
+    static language = 'en';
+
+    static get languages() {
+        return { en: 'English', de: 'Deutsch', fr: 'Français', pt: 'Português' };
+    }
+
+    static t(text, values = {}) {
+        const catalogue = I18n.catalogues[I18n.language];
+        const translated = (catalogue && catalogue[text]) || text;
+        return translated.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+    }
+
+    static setLanguage(language) {
+        I18n.language = I18n.languages[language] ? language : 'en';
+    }
+
+    // Saved choice first, then the system language, then English
+    static resolveLanguage(stored) {
+        if (stored && I18n.languages[stored]) return stored;
+        const system = (navigator.language || 'en').slice(0, 2).toLowerCase();
+        return I18n.languages[system] ? system : 'en';
+    }
+
+    // Translate static markup. The English source is kept on the element so switching
+    // language again starts from the key rather than from the previous translation.
+    static apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            if (!el.dataset.i18n) el.dataset.i18n = el.textContent.trim();
+            el.textContent = I18n.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            if (!el.dataset.i18nPlaceholder) el.dataset.i18nPlaceholder = el.getAttribute('placeholder');
+            el.setAttribute('placeholder', I18n.t(el.dataset.i18nPlaceholder));
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(el => {
+            if (!el.dataset.i18nTitle) el.dataset.i18nTitle = el.getAttribute('title');
+            el.setAttribute('title', I18n.t(el.dataset.i18nTitle));
+        });
+    }
+
+    // Catalogues live in locales/<code>.json and are loaded when a language is picked.
+    // English needs none.
+    static catalogues = {};
+
+    static async load(language) {
+        if (language === 'en' || I18n.catalogues[language]) return;
+
+        try {
+            let catalogue;
+            if (window.electronAPI && window.electronAPI.readLocale) {
+                catalogue = await window.electronAPI.readLocale(language);
+            } else {
+                const response = await fetch(`locales/${language}.json`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                catalogue = await response.json();
+            }
+            if (catalogue) I18n.catalogues[language] = catalogue;
+        } catch (error) {
+            console.error(`Failed to load the ${language} translations:`, error);
+        }
+    }
+}
+
 // Export for potential module usage
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { WarframeMarketApp, WarframeMarketAPI, Utils };
+    module.exports = { WarframeMarketApp, WarframeMarketAPI, ItemMatcher, ProxyHealth, MarketSocket, Ledger, Watchlist, RelicCalculator, PriceDistribution, LichAuction, FlipFinder, Utils, I18n };
 }
\ No newline at end of file
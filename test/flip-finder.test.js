@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FlipFinder } = require('../script.js');
+
+const order = (order_type, platinum, status = 'ingame') => ({ order_type, platinum, user: { status } });
+const variant = (key, orders) => ({ key, label: key, rank: null, subtype: null, orders });
+
+test('an online buyer paying more than the cheapest online seller is an instant flip', () => {
+    const flip = FlipFinder.evaluate([variant('default', [
+        order('sell', 20),
+        order('sell', 25),
+        order('buy', 28),
+        order('buy', 22)
+    ])]);
+
+    assert.strictEqual(flip.instant, true);
+    assert.strictEqual(flip.lowestSell, 20);
+    assert.strictEqual(flip.highestBuy, 28);
+    assert.strictEqual(flip.margin, 8);
+});
+
+test('offline orders cannot be traded against and are ignored', () => {
+    const flip = FlipFinder.evaluate([variant('default', [
+        order('sell', 5, 'offline'),
+        order('sell', 20),
+        order('buy', 40, 'offline'),
+        order('buy', 15)
+    ])]);
+
+    assert.strictEqual(flip.instant, false);
+    assert.strictEqual(flip.lowestSell, 20);
+    assert.strictEqual(flip.highestBuy, 15);
+    assert.strictEqual(flip.margin, 5);
+});
+
+test('the largest instant flip wins over the other variants', () => {
+    const flip = FlipFinder.evaluate([
+        variant('r0', [order('sell', 10), order('buy', 12)]),
+        variant('r10', [order('sell', 50), order('buy', 70)]),
+        variant('r5', [order('sell', 30), order('buy', 20), order('buy', 20), order('buy', 20)])
+    ]);
+
+    assert.strictEqual(flip.variant.key, 'r10');
+    assert.strictEqual(flip.margin, 20);
+});
+
+test('without an instant flip the variant with the most online orders is picked', () => {
+    const flip = FlipFinder.evaluate([
+        variant('r0', [order('sell', 10), order('buy', 2)]),
+        variant('r10', [order('sell', 80), order('sell', 90), order('buy', 50), order('buy', 40, 'offline')]),
+        variant('r5', [order('sell', 30), order('sell', 35, 'offline'), order('buy', 20, 'offline')])
+    ]);
+
+    assert.strictEqual(flip.variant.key, 'r10');
+    assert.strictEqual(flip.onlineOrderCount, 3);
+});
+
+test('variants missing a buyer or a seller are skipped', () => {
+    assert.strictEqual(FlipFinder.evaluate([variant('default', [order('sell', 10)])]), null);
+    assert.strictEqual(FlipFinder.evaluate([]), null);
+});
+
+test('instant flips rank first, then spreads by 48h potential', () => {
+    const flips = [
+        { name: 'wide but dead', instant: false, margin: 50, volume: 1 },
+        { name: 'instant small', instant: true, margin: 3, volume: null },
+        { name: 'narrow but busy', instant: false, margin: 5, volume: 40 },
+        { name: 'instant large', instant: true, margin: 9, volume: null },
+        { name: 'no volume', instant: false, margin: 80, volume: null }
+    ];
+
+    assert.deepStrictEqual(flips.sort(FlipFinder.compare).map(flip => flip.name),
+        ['instant large', 'instant small', 'narrow but busy', 'wide but dead', 'no volume']);
+    assert.strictEqual(FlipFinder.potential({ instant: false, margin: 5, volume: 40 }), 200);
+    assert.strictEqual(FlipFinder.potential({ instant: true, margin: 5, volume: 40 }), null);
+});
+
+test('mods and arcanes are picked by tag, prime parts by url name', () => {
+    const { prime_parts, mods, arcanes } = FlipFinder.categories;
+
+    assert.ok(mods.matches('primary_merciless', ['mod', 'rare', 'rifle']));
+    assert.ok(!arcanes.matches('primary_merciless', ['mod', 'rare', 'rifle']));
+    assert.ok(arcanes.matches('arcane_energize', ['arcane_enhancement', 'legendary']));
+    assert.ok(!mods.matches('soma_prime_barrel', ['prime', 'component', 'primary']));
+    assert.ok(!mods.matches('mortus_lungfish', ['fish', 'uncommon']));
+
+    assert.ok(prime_parts.matches('soma_prime_barrel', ['prime', 'component', 'primary']));
+    assert.ok(!prime_parts.matches('soma_prime_set', ['prime', 'set', 'primary']));
+    assert.ok(!prime_parts.matches('primed_continuity', ['mod', 'legendary', 'warframe']));
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HttpClient } = require('../http-client.js');
+
+const url = 'https://api.warframe.market/v1/items/serration/orders';
+
+const respond = (status, data = {}, headers = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: `Status ${status}`,
+    headers: { get: name => headers[name.toLowerCase()] || null },
+    json: async () => data
+});
+
+// Answers with the given responses in turn (the last one repeats) and records every call
+function fakeFetch(...responses) {
+    const calls = [];
+    const fetch = async (requestUrl, options) => {
+        calls.push({ url: requestUrl, options, at: Date.now() });
+        const response = responses[Math.min(calls.length - 1, responses.length - 1)];
+        if (response instanceof Error) throw response;
+        return typeof response === 'function' ? response(options) : response;
+    };
+    return { fetch, calls };
+}
+
+// Short delays and a roomy bucket so tests only wait where they mean to
+function quickClient(fetch) {
+    const client = new HttpClient(fetch);
+    client.baseDelay = 1;
+    client.maxDelay = 20;
+    client.hostLimits['api.warframe.market'] = { rate: 1000, burst: 1000 };
+    return client;
+}
+
+test('requests beyond the burst wait for tokens at the host rate', async () => {
+    const { fetch, calls } = fakeFetch(respond(200));
+    const client = quickClient(fetch);
+    client.hostLimits['api.warframe.market'] = { rate: 20, burst: 2 };
+
+    const start = Date.now();
+    await Promise.all([1, 2, 3, 4].map(n => client.request(`caller-${n}`, `${url}?n=${n}`)));
+    const elapsed = calls.map(call => call.at - start);
+
+    assert.strictEqual(calls.length, 4);
+    assert.ok(elapsed[1] < 25, `second request waited ${elapsed[1]}ms`);
+    assert.ok(elapsed[2] >= 40, `third request went after ${elapsed[2]}ms`);
+    assert.ok(elapsed[3] >= 90, `fourth request went after ${elapsed[3]}ms`);
+    // First come, first served
+    assert.deepStrictEqual(calls.map(call => call.url), [1, 2, 3, 4].map(n => `${url}?n=${n}`));
+});
+
+test('server errors and rate limiting are retried until the request succeeds', async () => {
+    const { fetch, calls } = fakeFetch(respond(503), respond(429), respond(200, { payload: 'orders' }));
+    const result = await quickClient(fetch).request('caller', url);
+
+    assert.strictEqual(calls.length, 3);
+    assert.deepStrictEqual(result, { ok: true, status: 200, data: { payload: 'orders' } });
+});
+
+test('client errors are returned without retrying', async () => {
+    const { fetch, calls } = fakeFetch(respond(404));
+    const result = await quickClient(fetch).request('caller', url);
+
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.status, 404);
+});
+
+test('network errors give up after the last retry', async () => {
+    const { fetch, calls } = fakeFetch(new Error('socket hang up'));
+    const client = quickClient(fetch);
+    client.maxRetries = 2;
+    const result = await client.request('caller', url);
+
+    assert.strictEqual(calls.length, 3);
+    assert.deepStrictEqual(result, { ok: false, status: 0, error: 'socket hang up' });
+});
+
+test('Retry-After is read as seconds or as a date and capped', () => {
+    const client = new HttpClient(null);
+
+    assert.strictEqual(client.parseRetryAfter('2'), 2000);
+    assert.strictEqual(client.parseRetryAfter('600'), client.maxDelay);
+    assert.strictEqual(client.parseRetryAfter(new Date(Date.now() - 5000).toUTCString()), 0);
+    assert.strictEqual(client.parseRetryAfter(null), null);
+    assert.strictEqual(client.parseRetryAfter('soon'), null);
+});
+
+test('identical requests in flight share one response', async () => {
+    const { fetch, calls } = fakeFetch(respond(200, { shared: true }));
+    const client = quickClient(fetch);
+    const headers = { Platform: 'pc' };
+
+    const [first, second, other] = await Promise.all([
+        client.request('first', url, headers),
+        client.request('second', url, headers),
+        client.request('other', url, { Platform: 'xbox' })
+    ]);
+
+    assert.strictEqual(calls.length, 2);
+    assert.deepStrictEqual(first, second);
+    assert.strictEqual(other.ok, true);
+    assert.strictEqual(client.inFlight.size, 0);
+});
+
+test('a shared request is only aborted once every caller has cancelled', async () => {
+    let release;
+    const { fetch, calls } = fakeFetch(options => new Promise((resolve, reject) => {
+        release = () => resolve(respond(200, { late: true }));
+        options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    const client = quickClient(fetch);
+
+    const first = client.request('first', url);
+    const second = client.request('second', url);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    client.cancel('first');
+    assert.deepStrictEqual(await first, { ok: false, aborted: true, error: 'Request cancelled' });
+    assert.strictEqual(calls[0].options.signal.aborted, false);
+
+    client.cancel('second');
+    assert.deepStrictEqual(await second, { ok: false, aborted: true, error: 'Request cancelled' });
+    assert.strictEqual(calls[0].options.signal.aborted, true);
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(client.cancel('second'), false);
+    release();
+});
+
+test('hosts other than the game APIs are refused', async () => {
+    const { fetch, calls } = fakeFetch(respond(200));
+    const result = await quickClient(fetch).request('caller', 'https://example.com/');
+
+    assert.strictEqual(calls.length, 0);
+    assert.strictEqual(result.ok, false);
+    assert.match(result.error, /not allowed/);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { I18n } = require('../script.js');
+
+const root = path.join(__dirname, '..');
+const script = fs.readFileSync(path.join(root, 'script.js'), 'utf8');
+const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+
+// The first argument of every I18n.t() call, with the string literals inside it. Calls
+// such as I18n.t(running ? 'Stop' : 'Scan') give every branch; values compared against
+// (type === 'sell') are not text.
+function scriptKeys() {
+    const keys = new Set();
+    let index = script.indexOf('I18n.t(');
+    while (index !== -1) {
+        let depth = 0;
+        let position = index + 'I18n.t('.length;
+        const start = position;
+        for (; position < script.length; position++) {
+            const char = script[position];
+            if (char === "'") {
+                position = script.indexOf("'", position + 1);
+                while (script[position - 1] === '\\') position = script.indexOf("'", position + 1);
+            } else if (char === '(' || char === '{' || char === '[') {
+                depth++;
+            } else if (char === ')' || char === '}' || char === ']') {
+                if (depth === 0) break;
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                break;
+            }
+        }
+        const argument = script.slice(start, position);
+        for (const match of argument.matchAll(/([=!]==\s*)?'((?:[^'\\]|\\.)*)'/g)) {
+            if (!match[1]) keys.add(match[2].replace(/\\'/g, "'"));
+        }
+        index = script.indexOf('I18n.t(', position);
+    }
+    return keys;
+}
+
+// Text of data-i18n elements and the attributes marked with data-i18n-placeholder/-title
+function markupKeys() {
+    const keys = new Set();
+    for (const match of html.matchAll(/<[^>]*\sdata-i18n(?:\s[^>]*)?>([^<]*)/g)) {
+        keys.add(match[1].trim().replace(/&amp;/g, '&'));
+    }
+    for (const [marker, attribute] of [['data-i18n-placeholder', 'placeholder'], ['data-i18n-title', 'title']]) {
+        for (const match of html.matchAll(new RegExp(`<[^>]*\\s${marker}[\\s>][^>]*>`, 'g'))) {
+            const value = match[0].match(new RegExp(`\\s${attribute}="([^"]*)"`));
+            if (value) keys.add(value[1]);
+        }
+    }
+    return keys;
+}
+
+const languages = Object.keys(I18n.languages).filter(language => language !== 'en');
+const catalogues = Object.fromEntries(languages.map(language => [
+    language,
+    JSON.parse(fs.readFileSync(path.join(root, 'locales', `${language}.json`), 'utf8'))
+]));
+
+test('every UI text in script.js has a translation in each catalogue', () => {
+    const keys = [...scriptKeys()].filter(Boolean);
+    assert.ok(keys.length > 100, `only found ${keys.length} keys`);
+
+    languages.forEach(language => {
+        const missing = keys.filter(key => !(key in catalogues[language]));
+        assert.deepStrictEqual(missing, [], `missing from locales/${language}.json`);
+    });
+});
+
+test('every translated element in index.html has a translation in each catalogue', () => {
+    const keys = [...markupKeys()].filter(Boolean);
+    assert.ok(keys.length > 50, `only found ${keys.length} keys`);
+
+    languages.forEach(language => {
+        const missing = keys.filter(key => !(key in catalogues[language]));
+        assert.deepStrictEqual(missing, [], `missing from locales/${language}.json`);
+    });
+});
+
+// Keys only reached through variables (cycle states, activity types) are caught here
+// as long as one catalogue has them
+test('every catalogue translates the same texts', () => {
+    const [first, ...others] = languages;
+    others.forEach(language => {
+        assert.deepStrictEqual(
+            Object.keys(catalogues[language]).sort(),
+            Object.keys(catalogues[first]).sort(),
+            `locales/${language}.json and locales/${first}.json differ`
+        );
+    });
+});
+
+test('catalogues keep the placeholders of their English text', () => {
+    const placeholders = text => (text.match(/\{\w+\}/g) || []).sort();
+
+    languages.forEach(language => {
+        Object.entries(catalogues[language]).forEach(([key, translation]) => {
+            assert.deepStrictEqual(placeholders(translation), placeholders(key), `${language}: "${key}"`);
+        });
+    });
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ItemMatcher } = require('../script.js');
+
+const item = (item_name, extra = {}) => ({ item_name, url_name: item_name.toLowerCase().replace(/ /g, '_'), ...extra });
+
+const items = [
+    item('Rhino Prime Set'),
+    item('Rhino Prime Neuroptics Blueprint'),
+    item('Rhino Prime Chassis Blueprint'),
+    item('Rhino Prime Blueprint'),
+    item('Serration'),
+    item('Amalgam Serration'),
+    item('Primed Continuity'),
+    item('Soma Prime Set')
+];
+
+const names = query => ItemMatcher.rank(items, query).map(result => result.item_name);
+
+test('an exact name beats a prefix, which beats a match inside the name', () => {
+    assert.deepStrictEqual(names('serration'), ['Serration', 'Amalgam Serration']);
+    assert.strictEqual(names('rhino prime')[0], 'Rhino Prime Set');
+});
+
+test('each query word can start a different word of the name', () => {
+    assert.deepStrictEqual(names('rhi neu'), ['Rhino Prime Neuroptics Blueprint']);
+});
+
+test('abbreviations expand when they are a whole word', () => {
+    assert.strictEqual(names('rhino p nc bp')[0], 'Rhino Prime Neuroptics Blueprint');
+    assert.strictEqual(names('rhino p chas')[0], 'Rhino Prime Chassis Blueprint');
+});
+
+test('small typos still match, longer words allow more of them', () => {
+    assert.deepStrictEqual(names('seration'), ['Serration', 'Amalgam Serration']);
+    assert.deepStrictEqual(names('sreation'), ['Serration', 'Amalgam Serration']);
+    assert.deepStrictEqual(names('zz'), []);
+});
+
+test('punctuation, case and accents are ignored', () => {
+    assert.strictEqual(ItemMatcher.normalize("Lâmina  d'Ígnis_Prime"), 'lamina d ignis prime');
+    assert.strictEqual(names('PRIMED-continuity')[0], 'Primed Continuity');
+});
+
+test('localised names also match their English name', () => {
+    const localised = [item('Serração', { url_name: 'serration', en_name: 'Serration' })];
+    assert.strictEqual(ItemMatcher.rank(localised, 'serration').length, 1);
+    assert.strictEqual(ItemMatcher.rank(localised, 'serracao').length, 1);
+});
+
+test('edit distance gives up once it exceeds the limit', () => {
+    assert.strictEqual(ItemMatcher.distance('kitten', 'sitting', 3), 3);
+    assert.strictEqual(ItemMatcher.distance('kitten', 'sitting', 1), 2);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Ledger } = require('../script.js');
+
+// Keeps entries in memory instead of the userData directory
+const memoryStore = () => ({
+    load: async (key, fallback) => fallback,
+    save: async () => {}
+});
+
+async function ledgerWith(entries) {
+    const ledger = new Ledger(memoryStore());
+    await ledger.ready;
+    for (const entry of entries) {
+        await ledger.add(entry);
+    }
+    return ledger;
+}
+
+const trade = (type, platinum, quantity, date, extra = {}) => ({
+    type, platinum, quantity, date, url_name: 'serration', item_name: 'Serration', rank: 10, ...extra
+});
+
+test('sales are costed at the average price of the units held', async () => {
+    const ledger = await ledgerWith([
+        trade('buy', 10, 2, 1),
+        trade('buy', 16, 2, 2),
+        trade('sell', 20, 3, 3)
+    ]);
+    const summary = ledger.summarize();
+    const [item] = summary.items;
+
+    assert.strictEqual(item.bought, 4);
+    assert.strictEqual(item.sold, 3);
+    assert.strictEqual(item.held, 1);
+    assert.strictEqual(item.averageCost, 13);
+    assert.strictEqual(item.realised, 60 - 39);
+    assert.ok(Math.abs(item.margin - (21 / 39) * 100) < 1e-9);
+    assert.strictEqual(summary.spent, 52);
+    assert.strictEqual(summary.earned, 60);
+    assert.strictEqual(summary.realised, 21);
+});
+
+test('entries are walked in date order, not the order they were logged', async () => {
+    const ledger = await ledgerWith([
+        trade('sell', 30, 1, 20),
+        trade('buy', 10, 1, 10)
+    ]);
+    const summary = ledger.summarize();
+
+    // Bought before it was sold, so the sale made 20 rather than a free 30
+    assert.strictEqual(summary.realised, 20);
+    const [sale, purchase] = ledger.entries;
+    assert.strictEqual(summary.running.get(purchase.id), 0);
+    assert.strictEqual(summary.running.get(sale.id), 20);
+});
+
+test('units sold without a recorded buy are treated as free', async () => {
+    const ledger = await ledgerWith([
+        trade('buy', 10, 1, 1),
+        trade('sell', 15, 3, 2)
+    ]);
+    const [item] = ledger.summarize().items;
+
+    assert.strictEqual(item.realised, 45 - 10);
+    assert.strictEqual(item.held, 0);
+    assert.strictEqual(item.averageCost, null);
+});
+
+test('ranks of the same item are kept apart', async () => {
+    const ledger = await ledgerWith([
+        trade('buy', 10, 1, 1, { rank: 0 }),
+        trade('buy', 50, 1, 2, { rank: 10 }),
+        trade('sell', 60, 1, 3, { rank: 10 })
+    ]);
+    const items = ledger.summarize().items;
+
+    assert.strictEqual(items.length, 2);
+    const unranked = items.find(item => item.rank === 0);
+    const maxed = items.find(item => item.rank === 10);
+    assert.strictEqual(unranked.held, 1);
+    assert.strictEqual(unranked.margin, null);
+    assert.strictEqual(maxed.realised, 10);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LichAuction } = require('../script.js');
+
+const auction = (damage, buyout, ephemera = false) => ({ damage, buyout, ephemera });
+
+test('auctions are grouped into five-point damage bands', () => {
+    const result = LichAuction.priceByDamage([
+        auction(25, 100),
+        auction(29, 140),
+        auction(30, 200),
+        auction(34.9, 260),
+        auction(60, 900)
+    ]);
+
+    assert.deepStrictEqual(result.bands.map(band => [band.from, band.to, band.count]), [
+        [25, 29, 2],
+        [30, 34, 2],
+        [60, 64, 1]
+    ]);
+});
+
+test('each band reports its lowest and median buyout', () => {
+    const result = LichAuction.priceByDamage([
+        auction(41, 300),
+        auction(43, 180),
+        auction(44, 240),
+        auction(46, 500),
+        auction(48, 420)
+    ]);
+    const [forty, fortyFive] = result.bands;
+
+    assert.strictEqual(forty.min, 180);
+    assert.strictEqual(forty.median, 240);
+    assert.strictEqual(fortyFive.min, 420);
+    assert.strictEqual(fortyFive.median, 460);
+});
+
+test('auctions without damage or buyout are left out', () => {
+    const result = LichAuction.priceByDamage([auction(30, 200), auction(null, 100), auction(35, null)]);
+
+    assert.strictEqual(result.points.length, 1);
+    assert.strictEqual(result.bands.length, 1);
+    assert.strictEqual(LichAuction.priceByDamage([auction(null, 100)]), null);
+});
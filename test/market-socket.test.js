@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MarketSocket } = require('../script.js');
+
+// Stands in for the browser WebSocket; tests open and close it by hand
+class FakeWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        FakeWebSocket.instances.push(this);
+    }
+
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    close() {
+        this.readyState = 3;
+    }
+
+    open() {
+        this.readyState = 1;
+        this.onopen();
+    }
+
+    drop() {
+        this.readyState = 3;
+        this.onclose();
+    }
+
+    receive(data) {
+        this.onmessage({ data: typeof data === 'string' ? data : JSON.stringify(data) });
+    }
+}
+
+// Reconnects are scheduled with setTimeout; keep them so tests can see the delay and run them
+function liveSocket(t) {
+    FakeWebSocket.instances = [];
+    globalThis.WebSocket = FakeWebSocket;
+    t.after(() => delete globalThis.WebSocket);
+
+    const timers = [];
+    t.mock.method(globalThis, 'setTimeout', (callback, delay) => {
+        timers.push({ callback, delay });
+        return timers.length;
+    });
+    t.mock.method(globalThis, 'clearTimeout', () => {});
+    t.mock.method(Math, 'random', () => 0);
+
+    const events = [];
+    const statuses = [];
+    const socket = new MarketSocket({
+        url: 'wss://warframe.market/socket?platform=pc',
+        onOrderEvent: event => events.push(event),
+        onStatusChange: status => statuses.push(status)
+    });
+    const current = () => FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+    return { socket, events, statuses, timers, current };
+}
+
+const order = { id: 'o1', platinum: 20, item: { url_name: 'serration' } };
+
+test('new and changed orders become upserts', () => {
+    assert.deepStrictEqual(MarketSocket.parseMessage({ type: '@WS/SUBSCRIPTIONS/MOST_RECENT/NEW_ORDER', payload: { order } }),
+        { action: 'upsert', order, orderId: 'o1', urlName: 'serration' });
+    assert.deepStrictEqual(MarketSocket.parseMessage({ type: '@WS/ITEM/ORDER_UPDATED', payload: { order, url_name: 'vitality' } }),
+        { action: 'upsert', order, orderId: 'o1', urlName: 'vitality' });
+});
+
+test('removed orders need only an id', () => {
+    assert.deepStrictEqual(MarketSocket.parseMessage({ type: '@WS/ITEM/ORDER_REMOVED', payload: { id: 'o2' } }),
+        { action: 'remove', order: null, orderId: 'o2', urlName: null });
+    assert.deepStrictEqual(MarketSocket.parseMessage({ type: '@WS/ITEM/ORDER_DELETED', payload: { order } }),
+        { action: 'remove', order: null, orderId: 'o1', urlName: 'serration' });
+    assert.strictEqual(MarketSocket.parseMessage({ type: '@WS/ITEM/ORDER_CLOSED', payload: {} }), null);
+});
+
+test('malformed and unrelated messages are ignored', () => {
+    assert.strictEqual(MarketSocket.parseMessage(null), null);
+    assert.strictEqual(MarketSocket.parseMessage({}), null);
+    assert.strictEqual(MarketSocket.parseMessage({ type: 42, payload: { order } }), null);
+    assert.strictEqual(MarketSocket.parseMessage({ type: '@WS/SUBSCRIPTIONS/MOST_RECENT/NEW_ORDER', payload: { order: {} } }), null);
+    assert.strictEqual(MarketSocket.parseMessage({ type: '@WS/USER/SET_STATUS', payload: 'online' }), null);
+});
+
+test('socket messages are parsed and passed on, broken JSON is dropped', t => {
+    const { socket, events, current } = liveSocket(t);
+    socket.connect();
+    current().open();
+
+    current().receive('{not json');
+    current().receive({ type: '@WS/MESSAGE/ONLINE_COUNT', payload: { total_users: 10 } });
+    current().receive({ type: '@WS/SUBSCRIPTIONS/MOST_RECENT/NEW_ORDER', payload: { order } });
+
+    assert.deepStrictEqual(events, [{ action: 'upsert', order, orderId: 'o1', urlName: 'serration' }]);
+});
+
+test('reconnect delays double from one second and stop growing at thirty', t => {
+    const { socket, timers, current } = liveSocket(t);
+    socket.connect();
+
+    for (let i = 0; i < 7; i++) {
+        current().drop();
+        timers[timers.length - 1].callback();
+    }
+
+    assert.deepStrictEqual(timers.map(timer => timer.delay), [1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+    assert.strictEqual(FakeWebSocket.instances.length, 8);
+});
+
+test('jitter adds up to thirty percent to the delay', t => {
+    const { socket, timers, current } = liveSocket(t);
+    Math.random.mock.mockImplementation(() => 1);
+    socket.connect();
+    current().drop();
+
+    assert.strictEqual(timers[0].delay, 1300);
+});
+
+test('a reconnect resubscribes to the item and resets the backoff', t => {
+    const { socket, statuses, timers, current } = liveSocket(t);
+    socket.connect();
+    current().open();
+    socket.subscribe('serration');
+
+    current().drop();
+    timers[timers.length - 1].callback();
+    assert.deepStrictEqual(statuses, ['connecting', 'connected', 'reconnecting', 'reconnecting']);
+
+    current().open();
+    assert.deepStrictEqual(current().sent, [
+        { type: '@WS/SUBSCRIBE/MOST_RECENT' },
+        { type: '@WS/SUBSCRIBE/ITEM', payload: { url_name: 'serration' } }
+    ]);
+    assert.strictEqual(socket.reconnectAttempts, 0);
+    assert.strictEqual(socket.status, 'connected');
+});
+
+test('switching items unsubscribes from the previous one', t => {
+    const { socket, current } = liveSocket(t);
+    socket.connect();
+    current().open();
+    socket.subscribe('serration');
+    socket.subscribe('serration');
+    socket.subscribe('vitality');
+
+    assert.deepStrictEqual(current().sent.slice(1), [
+        { type: '@WS/SUBSCRIBE/ITEM', payload: { url_name: 'serration' } },
+        { type: '@WS/UNSUBSCRIBE/ITEM', payload: { url_name: 'serration' } },
+        { type: '@WS/SUBSCRIBE/ITEM', payload: { url_name: 'vitality' } }
+    ]);
+});
+
+test('disconnecting stops reconnects', t => {
+    const { socket, timers, current } = liveSocket(t);
+    socket.connect();
+    current().open();
+    socket.disconnect();
+
+    assert.strictEqual(timers.length, 0);
+    assert.strictEqual(socket.status, 'disconnected');
+    assert.strictEqual(current().readyState, 3);
+});
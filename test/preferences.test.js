@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WarframeMarketApp } = require('../script.js');
+
+const defaults = WarframeMarketApp.defaultPreferences;
+
+test('valid preferences are kept as they are', () => {
+    const values = {
+        cacheTimeout: 0,
+        itemsCacheTimeout: 168 * 3600000,
+        alertsRefreshInterval: 15000,
+        recentSearchLimit: 50,
+        defaultOrderFilter: 'sell',
+        timerWarningThreshold: 600
+    };
+
+    assert.deepStrictEqual(WarframeMarketApp.normalizePreferences(values), values);
+});
+
+test('missing preferences fall back to the defaults', () => {
+    assert.deepStrictEqual(WarframeMarketApp.normalizePreferences({}), defaults);
+});
+
+test('out of range values fall back to the default for that preference only', () => {
+    const preferences = WarframeMarketApp.normalizePreferences({
+        cacheTimeout: -1,
+        itemsCacheTimeout: 169 * 3600000,
+        alertsRefreshInterval: 14999,
+        recentSearchLimit: 10
+    });
+
+    assert.strictEqual(preferences.cacheTimeout, defaults.cacheTimeout);
+    assert.strictEqual(preferences.itemsCacheTimeout, defaults.itemsCacheTimeout);
+    assert.strictEqual(preferences.alertsRefreshInterval, defaults.alertsRefreshInterval);
+    assert.strictEqual(preferences.recentSearchLimit, 10);
+});
+
+test('hand-edited values that are not numbers are ignored', () => {
+    const preferences = WarframeMarketApp.normalizePreferences({
+        cacheTimeout: null,
+        recentSearchLimit: '10',
+        timerWarningThreshold: true,
+        alertsRefreshInterval: NaN,
+        defaultOrderFilter: 'everything'
+    });
+
+    assert.deepStrictEqual(preferences, defaults);
+});
+
+test('the defaults are valid themselves', () => {
+    assert.deepStrictEqual(WarframeMarketApp.normalizePreferences(defaults), defaults);
+});
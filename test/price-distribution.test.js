@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PriceDistribution } = require('../script.js');
+
+test('quartiles interpolate between the closest prices', () => {
+    const summary = PriceDistribution.summarize([400, 100, 300, 200]);
+
+    assert.strictEqual(summary.count, 4);
+    assert.strictEqual(summary.min, 100);
+    assert.strictEqual(summary.q1, 175);
+    assert.strictEqual(summary.median, 250);
+    assert.strictEqual(summary.q3, 325);
+    assert.strictEqual(summary.max, 400);
+});
+
+test('every price lands in exactly one bucket of even width', () => {
+    const prices = [10, 12, 15, 20, 33, 40, 41, 58, 60, 90];
+    const summary = PriceDistribution.summarize(prices, 4);
+
+    assert.strictEqual(summary.buckets.length, 4);
+    assert.strictEqual(summary.buckets.reduce((total, bucket) => total + bucket.count, 0), prices.length);
+    summary.buckets.forEach((bucket, index) => {
+        assert.strictEqual(bucket.to - bucket.from + 1, 21);
+        if (index > 0) assert.strictEqual(bucket.from, summary.buckets[index - 1].to + 1);
+    });
+    assert.ok(summary.buckets[summary.buckets.length - 1].to >= 90);
+});
+
+test('a single price gives one bucket', () => {
+    const summary = PriceDistribution.summarize([150]);
+
+    assert.strictEqual(summary.median, 150);
+    assert.deepStrictEqual(summary.buckets, [{ from: 150, to: 150, count: 1 }]);
+});
+
+test('missing and negative prices are left out', () => {
+    const summary = PriceDistribution.summarize([null, 50, undefined, -1, '80', 70]);
+
+    assert.strictEqual(summary.count, 2);
+    assert.strictEqual(summary.median, 60);
+    assert.strictEqual(PriceDistribution.summarize([]), null);
+    assert.strictEqual(PriceDistribution.summarize([null]), null);
+});
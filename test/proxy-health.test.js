@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProxyHealth } = require('../script.js');
+
+// ProxyHealth keeps its stats in localStorage, which Node does not have
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value))
+};
+
+function freshHealth() {
+    storage.clear();
+    return new ProxyHealth();
+}
+
+const proxies = ['https://a.example/?url={encodedUrl}', 'https://b.example/?url={encodedUrl}', 'https://c.example/?url={encodedUrl}'];
+const [a, b, c] = proxies;
+
+test('untried proxies keep their configured order', () => {
+    assert.deepStrictEqual(freshHealth().order(proxies), proxies);
+});
+
+test('working proxies are tried fastest first', () => {
+    const health = freshHealth();
+    health.record(a, true, 900);
+    health.record(b, true, 200);
+    health.record(c, true, 500);
+
+    assert.deepStrictEqual(health.order(proxies), [b, c, a]);
+});
+
+test('untried proxies go before slow ones so they get measured', () => {
+    const health = freshHealth();
+    health.record(a, true, 400);
+
+    assert.deepStrictEqual(health.order(proxies), [b, c, a]);
+});
+
+test('failing proxies are tried last rather than dropped', () => {
+    const health = freshHealth();
+    health.record(a, false);
+    health.record(b, true, 800);
+
+    assert.deepStrictEqual(health.order(proxies), [c, b, a]);
+});
+
+test('success rate and latency are smoothed so one result does not decide', () => {
+    const health = freshHealth();
+    health.record(a, true, 100);
+    health.record(a, false);
+
+    const stat = health.get(a);
+    assert.ok(Math.abs(stat.successRate - 0.7) < 1e-9);
+    assert.strictEqual(stat.latency, 100);
+    assert.strictEqual(stat.attempts, 2);
+    assert.deepStrictEqual(health.order([a, b]), [b, a]);
+
+    health.record(a, true, 200);
+    assert.ok(Math.abs(health.get(a).latency - 130) < 1e-9);
+    assert.ok(health.get(a).successRate >= 0.5);
+});
+
+test('stats survive a restart and can be reset', () => {
+    const health = freshHealth();
+    health.record(a, true, 300);
+
+    assert.strictEqual(new ProxyHealth().get(a).latency, 300);
+
+    health.reset();
+    assert.strictEqual(new ProxyHealth().get(a), null);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { handleRequest, getCacheDuration, cache, MARKET_REQUEST_INTERVAL } = require('../relay/server.js');
+
+const marketUrl = path => `https://api.warframe.market/v1/items/${path}`;
+
+// Sends one request through the relay and resolves with what it wrote back
+async function relay(target, { method = 'GET', headers = {} } = {}) {
+    const url = target === null ? '/' : `/?url=${encodeURIComponent(target)}`;
+    const response = { status: null, headers: null, body: null };
+    await handleRequest({ method, url, headers: { host: 'localhost:8787', ...headers } }, {
+        headersSent: false,
+        writeHead(status, responseHeaders) {
+            response.status = status;
+            response.headers = responseHeaders;
+            this.headersSent = true;
+        },
+        end(body) {
+            response.body = body;
+        }
+    });
+    return response;
+}
+
+// Replaces the global fetch the relay uses for the length of one test
+function fakeUpstream(t, answer) {
+    const calls = [];
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+        calls.push({ url: String(url), options, at: Date.now() });
+        return answer(String(url), options);
+    });
+    t.mock.method(console, 'error', () => {});
+    return calls;
+}
+
+const ok = body => ({ status: 200, text: async () => body });
+
+test('only GET requests for the game APIs over https are relayed', async t => {
+    const calls = fakeUpstream(t, () => ok('{}'));
+
+    assert.strictEqual((await relay('https://example.com/')).status, 403);
+    assert.strictEqual((await relay('http://api.warframe.market/v1/items')).status, 403);
+    assert.strictEqual((await relay(null)).status, 400);
+    assert.strictEqual((await relay(marketUrl('allowlist'), { method: 'POST' })).status, 405);
+    assert.strictEqual((await relay(marketUrl('allowlist'), { method: 'OPTIONS' })).status, 204);
+    assert.strictEqual(calls.length, 0);
+});
+
+test('successful responses are cached per URL and forwarded headers', async t => {
+    const calls = fakeUpstream(t, () => ok('{"payload":{}}'));
+    const target = 'https://api.warframestat.us/pc/fissures';
+
+    const first = await relay(target, { headers: { platform: 'pc' } });
+    const second = await relay(target, { headers: { platform: 'pc' } });
+    const otherPlatform = await relay(target, { headers: { platform: 'xbox' } });
+
+    assert.strictEqual(first.headers['X-Relay-Cache'], 'MISS');
+    assert.strictEqual(second.headers['X-Relay-Cache'], 'HIT');
+    assert.strictEqual(second.body, '{"payload":{}}');
+    assert.strictEqual(otherPlatform.headers['X-Relay-Cache'], 'MISS');
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(calls[0].options.headers.platform, 'pc');
+    assert.strictEqual(calls[1].options.headers.platform, 'xbox');
+});
+
+test('error responses are passed on but not cached', async t => {
+    const calls = fakeUpstream(t, () => ({ status: 503, text: async () => 'busy' }));
+
+    assert.strictEqual((await relay('https://api.warframestat.us/pc/errors')).status, 503);
+    assert.strictEqual((await relay('https://api.warframestat.us/pc/errors')).status, 503);
+    assert.strictEqual(calls.length, 2);
+});
+
+test('an expired entry is served when the upstream request fails', async t => {
+    let failing = false;
+    fakeUpstream(t, () => {
+        if (failing) throw new Error('upstream down');
+        return ok('{"old":true}');
+    });
+    const target = 'https://api.warframestat.us/pc/stale';
+
+    await relay(target);
+    cache.forEach(entry => {
+        entry.expires = 0;
+    });
+    failing = true;
+
+    const stale = await relay(target);
+    assert.strictEqual(stale.status, 200);
+    assert.strictEqual(stale.headers['X-Relay-Cache'], 'STALE');
+    assert.strictEqual(stale.body, '{"old":true}');
+
+    const uncached = await relay('https://api.warframestat.us/pc/never-cached');
+    assert.strictEqual(uncached.status, 502);
+});
+
+test('identical requests arriving together share one upstream call', async t => {
+    const calls = fakeUpstream(t, () => ok('{}'));
+    const target = 'https://api.warframestat.us/pc/shared';
+
+    const responses = await Promise.all([relay(target), relay(target), relay(target)]);
+
+    assert.strictEqual(calls.length, 1);
+    responses.forEach(response => assert.strictEqual(response.status, 200));
+});
+
+test('warframe.market requests are spaced out, other hosts are not', async t => {
+    const calls = fakeUpstream(t, () => ok('{}'));
+
+    await Promise.all([
+        relay(marketUrl('queue_a/orders')),
+        relay(marketUrl('queue_b/orders')),
+        relay(marketUrl('queue_c/orders')),
+        relay('https://api.warframestat.us/pc/queue')
+    ]);
+
+    const market = calls.filter(call => call.url.includes('warframe.market'));
+    const other = calls.find(call => call.url.includes('warframestat'));
+    assert.strictEqual(market.length, 3);
+    for (let i = 1; i < market.length; i++) {
+        assert.ok(market[i].at - market[i - 1].at >= MARKET_REQUEST_INTERVAL - 10, `gap of ${market[i].at - market[i - 1].at}ms`);
+    }
+    assert.ok(other.at < market[market.length - 1].at);
+});
+
+test('item lists are cached longer than orders', () => {
+    assert.strictEqual(getCacheDuration(new URL('https://api.warframe.market/v1/items')), 3600000);
+    assert.strictEqual(getCacheDuration(new URL('https://api.warframe.market/v2/items')), 3600000);
+    assert.strictEqual(getCacheDuration(new URL(marketUrl('serration'))), 3600000);
+    assert.strictEqual(getCacheDuration(new URL(marketUrl('serration/statistics'))), 600000);
+    assert.strictEqual(getCacheDuration(new URL(marketUrl('serration/orders'))), 60000);
+});
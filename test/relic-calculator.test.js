@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RelicCalculator } = require('../script.js');
+
+// Three commons, two uncommons and a rare, like every void relic
+const rewards = [
+    { name: 'Common A', rarity: 'common', value: 0 },
+    { name: 'Common B', rarity: 'common', value: 0 },
+    { name: 'Common C', rarity: 'common', value: 0 },
+    { name: 'Uncommon A', rarity: 'uncommon', value: 0 },
+    { name: 'Uncommon B', rarity: 'uncommon', value: 0 },
+    { name: 'Rare', rarity: 'rare', value: 100 }
+];
+
+test('reward chances of a relic add up to one for every refinement', () => {
+    RelicCalculator.refinements.forEach(refinement => {
+        const total = 3 * RelicCalculator.chanceOf('common', refinement)
+            + 2 * RelicCalculator.chanceOf('uncommon', refinement)
+            + RelicCalculator.chanceOf('rare', refinement);
+        assert.ok(Math.abs(total - 1) < 0.001, `${refinement} adds up to ${total}`);
+    });
+});
+
+test('rarity falls back to the intact chance when the drop table has none', () => {
+    assert.strictEqual(RelicCalculator.rarityOf({ rarity: 'Uncommon' }), 'uncommon');
+    assert.strictEqual(RelicCalculator.rarityOf({ chance: 2 }), 'rare');
+    assert.strictEqual(RelicCalculator.rarityOf({ chance: 11 }), 'uncommon');
+    assert.strictEqual(RelicCalculator.rarityOf({ chance: 25.33 }), 'common');
+});
+
+test('solo expected value weights each reward by its chance', () => {
+    assert.ok(Math.abs(RelicCalculator.expectedValue(rewards, 'intact') - 2) < 1e-9);
+    assert.ok(Math.abs(RelicCalculator.expectedValue(rewards, 'radiant') - 10) < 1e-9);
+
+    const withCommons = rewards.map(reward => ({ ...reward, value: reward.rarity === 'common' ? 10 : reward.value }));
+    assert.ok(Math.abs(RelicCalculator.expectedValue(withCommons, 'intact') - (3 * 2.533 + 2)) < 1e-9);
+});
+
+test('radshare value is the expected best of four draws', () => {
+    // The rare only has to drop for one of the four players. The published chances are
+    // rounded, so the result is only close to the exact figure.
+    const expected = 100 * (1 - Math.pow(0.9, 4));
+    assert.ok(Math.abs(RelicCalculator.radshareValue(rewards, 'radiant') - expected) < 0.05);
+    assert.ok(RelicCalculator.radshareValue(rewards, 'intact') > RelicCalculator.expectedValue(rewards, 'intact'));
+    assert.ok(Math.abs(RelicCalculator.radshareValue(rewards, 'radiant', 1) - RelicCalculator.expectedValue(rewards, 'radiant')) < 0.05);
+});
+
+test('rewards without a known price count as worthless', () => {
+    const unpriced = rewards.map(reward => ({ ...reward, value: null }));
+    assert.strictEqual(RelicCalculator.expectedValue(unpriced, 'radiant'), 0);
+    assert.strictEqual(RelicCalculator.radshareValue(unpriced, 'radiant'), 0);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WarframeMarketApp } = require('../script.js');
+
+const summarize = entries => WarframeMarketApp.prototype.summarizeStatistics.call(null, entries);
+
+test('closed trade buckets are combined into one summary', () => {
+    const summary = summarize([
+        { datetime: '2026-10-18T11:00:00Z', volume: 3, avg_price: 20, median: 19, moving_avg: 21, min_price: 15, max_price: 25 },
+        { datetime: '2026-10-18T10:00:00Z', volume: 1, avg_price: 40, median: 40, moving_avg: 30, min_price: 40, max_price: 40 }
+    ]);
+
+    assert.strictEqual(summary.volume, 4);
+    assert.strictEqual(summary.average, 25);
+    assert.strictEqual(summary.median, 29.5);
+    assert.strictEqual(summary.movingAverage, 21);
+    assert.strictEqual(summary.min, 15);
+    assert.strictEqual(summary.max, 40);
+});
+
+test('buckets without a price range do not turn min and max into NaN', () => {
+    const summary = summarize([
+        { datetime: '2026-10-18T10:00:00Z', volume: 2, avg_price: 20, min_price: 18, max_price: 22 },
+        { datetime: '2026-10-18T11:00:00Z', volume: 0, avg_price: 0 }
+    ]);
+    assert.strictEqual(summary.min, 18);
+    assert.strictEqual(summary.max, 22);
+
+    const empty = summarize([{ datetime: '2026-10-18T10:00:00Z', volume: 0, max_price: null }]);
+    assert.strictEqual(empty.min, null);
+    assert.strictEqual(empty.max, null);
+});
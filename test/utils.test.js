@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Utils } = require('../script.js');
+
+test('fields with commas, quotes and line breaks are quoted', () => {
+    const csv = Utils.toCSV([
+        ['item', 'partner'],
+        ['Serration, rank 10', 'say "hi"'],
+        ['line\nbreak', 'carriage\rreturn']
+    ]);
+    assert.strictEqual(csv, [
+        'item,partner',
+        '"Serration, rank 10","say ""hi"""',
+        '"line\nbreak","carriage\rreturn"'
+    ].join('\n'));
+});
+
+test('text that starts like a formula is prefixed so spreadsheets show it as text', () => {
+    const csv = Utils.toCSV([['=HYPERLINK("x")', '+1', '-sold', '@SUM(A1)', 'Arcane Energize']]);
+    assert.strictEqual(csv, `"'=HYPERLINK(""x"")",'+1,'-sold,'@SUM(A1),Arcane Energize`);
+});
+
+test('numbers and empty values are written as they are', () => {
+    assert.strictEqual(Utils.toCSV([[-15, 0, 12.5, null, undefined, '']]), '-15,0,12.5,,,');
+});
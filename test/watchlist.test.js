@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Watchlist } = require('../script.js');
+
+// Keeps entries in memory instead of the userData directory
+const memoryStore = () => ({
+    load: async (key, fallback) => fallback,
+    save: async () => {}
+});
+
+async function watching(rules) {
+    const watchlist = new Watchlist(memoryStore());
+    await watchlist.ready;
+    await watchlist.add({ url_name: 'serration', item_name: 'Serration' });
+    for (const [rule, value] of Object.entries(rules)) {
+        await watchlist.updateRule('serration', rule, value);
+    }
+    return watchlist;
+}
+
+const snapshot = (lowestSell, highestBuy, t = 1) => ({ lowestSell, highestBuy, t });
+
+test('a rule fires when the price crosses its threshold', async () => {
+    const watchlist = await watching({ maxSell: 20, minBuy: 30 });
+
+    assert.deepStrictEqual(watchlist.evaluate('serration', snapshot(25, 28)), []);
+    assert.deepStrictEqual(watchlist.evaluate('serration', snapshot(20, 28)), ['sell']);
+    assert.deepStrictEqual(watchlist.evaluate('serration', snapshot(25, 31)), ['buy']);
+
+    const entry = watchlist.get('serration');
+    assert.strictEqual(entry.lastSell, 25);
+    assert.strictEqual(entry.lastBuy, 31);
+});
+
+test('a matched rule does not notify twice until the price leaves the range', async () => {
+    const watchlist = await watching({ maxSell: 20 });
+
+    assert.deepStrictEqual(watchlist.evaluate('serration', snapshot(18, null)), ['sell']);
+    assert.deepStrictEqual(watchlist.evaluate('serration', snapshot(15, null)), []);
+    assert.deepStrictEqual(watchlist.evaluate('serration', snapshot(null, null)), []);
+    assert.deepStrictEqual(watchlist.evaluate('serration', snapshot(19, null)), ['sell']);
+});
+
+test('changing a threshold re-arms the rule', async () => {
+    const watchlist = await watching({ maxSell: 20 });
+
+    assert.deepStrictEqual(watchlist.evaluate('serration', snapshot(18, null)), ['sell']);
+    await watchlist.updateRule('serration', 'maxSell', 19);
+    assert.deepStrictEqual(watchlist.evaluate('serration', snapshot(18, null)), ['sell']);
+});
+
+test('unwatched items and unset rules never fire', async () => {
+    const watchlist = await watching({});
+
+    assert.deepStrictEqual(watchlist.evaluate('serration', snapshot(1, 1000)), []);
+    assert.deepStrictEqual(watchlist.evaluate('vitality', snapshot(1, 1000)), []);
+});